@@ -0,0 +1,57 @@
+/**
+ * Mock audio - synthetic speech stand-ins for the mock server
+ * Generates a soft tone so "assistant speech" is audible and has a realistic length.
+ */
+
+export const SAMPLE_RATE = 24000;
+
+// Roughly how long a TTS voice takes per character of text
+const MS_PER_CHAR = 55;
+
+/**
+ * PCM16 tone whose duration follows the length of the text it stands in for
+ * @param {string} text
+ * @param {number} [sampleRate]
+ * @returns {Buffer} Little-endian PCM16 mono
+ */
+export const synthesizePcm16 = (text, sampleRate = SAMPLE_RATE) => {
+  const durationMs = Math.max(500, text.length * MS_PER_CHAR);
+  const samples = Math.round((durationMs / 1000) * sampleRate);
+  const buffer = Buffer.alloc(samples * 2);
+
+  for (let i = 0; i < samples; i++) {
+    const t = i / sampleRate;
+    // 220Hz carrier with a slow "syllable" envelope so it doesn't sound like a test beep
+    const envelope = 0.5 + 0.5 * Math.sin(2 * Math.PI * 4 * t);
+    const fade = Math.min(1, i / 480, (samples - i) / 480);
+    const value = 0.15 * envelope * fade * Math.sin(2 * Math.PI * 220 * t);
+    buffer.writeInt16LE(Math.round(value * 0x7FFF), i * 2);
+  }
+
+  return buffer;
+};
+
+/**
+ * Wrap PCM16 mono in a WAV container
+ * The chained endpoints return "mp3" audio; browsers sniff the content, so WAV plays fine.
+ * @param {Buffer} pcm
+ * @param {number} [sampleRate]
+ * @returns {Buffer}
+ */
+export const pcm16ToWav = (pcm, sampleRate = SAMPLE_RATE) => {
+  const header = Buffer.alloc(44);
+  header.write('RIFF', 0);
+  header.writeUInt32LE(36 + pcm.length, 4);
+  header.write('WAVE', 8);
+  header.write('fmt ', 12);
+  header.writeUInt32LE(16, 16);
+  header.writeUInt16LE(1, 20);
+  header.writeUInt16LE(1, 22);
+  header.writeUInt32LE(sampleRate, 24);
+  header.writeUInt32LE(sampleRate * 2, 28);
+  header.writeUInt16LE(2, 32);
+  header.writeUInt16LE(16, 34);
+  header.write('data', 36);
+  header.writeUInt32LE(pcm.length, 40);
+  return Buffer.concat([header, pcm]);
+};
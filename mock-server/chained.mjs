@@ -0,0 +1,151 @@
+/**
+ * Mock chained-voice HTTP API - stands in for /api/chained-voice/*
+ * Covers the chained STT → LLM → TTS endpoints and the polling realtime-vad endpoints.
+ * Every "transcription" and "reply" comes from the scripted fixture.
+ */
+
+import { loadFixture, getTurn } from './fixtures.mjs';
+import { synthesizePcm16, pcm16ToWav } from './audio.mjs';
+
+// Audio chunks (1s each from RealtimeVADVoiceAgent) before the mock "detects" a finished utterance
+const VAD_CHUNKS_PER_TURN = Number(process.env.MOCK_VAD_CHUNKS) || 3;
+
+const sessions = new Map();
+
+// businessId only matters for the request that creates the session, like the realtime query string
+const getSession = (sessionId, businessId) => {
+  if (!sessions.has(sessionId)) {
+    sessions.set(sessionId, {
+      fixture: loadFixture(businessId),
+      turnIndex: 0,
+      userInfo: { name: null, email: null, collected: false },
+      calendarLink: null,
+      appointmentDetails: null,
+      conversationCount: 0,
+      vad: null,
+    });
+  }
+  return sessions.get(sessionId);
+};
+
+const synthesize = (text) => pcm16ToWav(synthesizePcm16(text)).toString('base64');
+
+// Advance the script one turn and apply its side effects to the session
+const processTurn = (session) => {
+  const turn = getTurn(session.fixture, session.turnIndex++);
+
+  (turn.events || []).forEach((event) => {
+    if (event.type === 'user_info_updated') {
+      session.userInfo = event.userInfo;
+    } else if (event.type === 'appointment_created') {
+      session.calendarLink = event.calendarLink;
+      session.appointmentDetails = event.appointmentDetails;
+    }
+  });
+  session.conversationCount++;
+
+  return {
+    response: turn.assistant,
+    fillerPhrase: turn.filler || null,
+    userInfo: session.userInfo,
+    calendarLink: session.calendarLink,
+    appointmentDetails: session.appointmentDetails,
+  };
+};
+
+/**
+ * Route a chained-voice request
+ * @returns {Promise<{ status: number, body: Object } | null>} null when the route doesn't match
+ */
+export const handleChainedRequest = async (method, path, readBody) => {
+  const route = path.replace(/^\/api\/chained-voice/, '');
+  if (route === path) return null;
+
+  if (method === 'POST' && route === '/transcribe') {
+    const { sessionId, businessId } = await readBody();
+    const session = getSession(sessionId, businessId);
+    return { status: 200, body: { text: getTurn(session.fixture, session.turnIndex).user } };
+  }
+
+  if (method === 'POST' && route === '/process') {
+    const { sessionId, businessId } = await readBody();
+    return { status: 200, body: processTurn(getSession(sessionId, businessId)) };
+  }
+
+  if (method === 'POST' && route === '/synthesize') {
+    const { text } = await readBody();
+    return { status: 200, body: { audio: synthesize(text || '') } };
+  }
+
+  if (method === 'POST' && route === '/user-info') {
+    const { sessionId, userInfo } = await readBody();
+    const session = getSession(sessionId);
+    session.userInfo = { ...session.userInfo, ...userInfo, collected: true };
+    return { status: 200, body: { success: true, userInfo: session.userInfo } };
+  }
+
+  if (method === 'DELETE' && route.startsWith('/session/')) {
+    sessions.delete(decodeURIComponent(route.slice('/session/'.length)));
+    return { status: 200, body: { success: true } };
+  }
+
+  // Polling realtime-vad endpoints
+  if (method === 'POST' && route === '/realtime-vad/start') {
+    const { sessionId, businessId } = await readBody();
+    getSession(sessionId, businessId).vad = { chunks: 0, pendingResponse: null, speechStartedAt: null };
+    return { status: 200, body: { success: true, sessionId, vadMode: 'server_vad' } };
+  }
+
+  if (method === 'POST' && route === '/realtime-vad/audio') {
+    const { sessionId, audio } = await readBody();
+    const { vad } = getSession(sessionId);
+    if (!vad) return { status: 404, body: { error: 'VAD session not started' } };
+
+    vad.chunks++;
+    vad.speechStartedAt = vad.speechStartedAt || Date.now();
+    if (vad.chunks >= VAD_CHUNKS_PER_TURN && !vad.pendingResponse) {
+      const result = processTurn(getSession(sessionId));
+      vad.pendingResponse = { ...result, responseAudio: synthesize(result.response) };
+      vad.chunks = 0;
+      vad.speechStartedAt = null;
+    }
+    return { status: 200, body: { success: true, audioSize: Buffer.byteLength(audio || '', 'base64') } };
+  }
+
+  if (method === 'GET' && route.startsWith('/realtime-vad/status/')) {
+    const session = sessions.get(decodeURIComponent(route.slice('/realtime-vad/status/'.length)));
+    if (!session?.vad) return { status: 200, body: { exists: false } };
+    const { vad } = session;
+    return {
+      status: 200,
+      body: {
+        exists: true,
+        isConnected: true,
+        vadMode: 'server_vad',
+        hasSpeech: vad.chunks > 0,
+        speechDuration: vad.speechStartedAt ? Date.now() - vad.speechStartedAt : 0,
+      },
+    };
+  }
+
+  if (method === 'GET' && route.startsWith('/realtime-vad/response/')) {
+    const session = sessions.get(decodeURIComponent(route.slice('/realtime-vad/response/'.length)));
+    const pending = session?.vad?.pendingResponse;
+    if (!pending) return { status: 200, body: { hasResponse: false } };
+
+    session.vad.pendingResponse = null;
+    return {
+      status: 200,
+      body: { hasResponse: true, ...pending, conversationCount: session.conversationCount },
+    };
+  }
+
+  if (method === 'POST' && route === '/realtime-vad/stop') {
+    const { sessionId } = await readBody();
+    const session = sessions.get(sessionId);
+    if (session) session.vad = null;
+    return { status: 200, body: { success: true } };
+  }
+
+  return { status: 404, body: { error: `No mock for ${method} ${path}` } };
+};
@@ -0,0 +1,40 @@
+/**
+ * Mock fixtures - scripted conversations, one JSON file per business
+ * Set MOCK_FIXTURE to force a specific fixture for every session.
+ */
+
+import { readFileSync, existsSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import { dirname, join } from 'node:path';
+
+const FIXTURE_DIR = join(dirname(fileURLToPath(import.meta.url)), 'fixtures');
+
+// businessId comes from the query string - only plain names, never a path
+const FIXTURE_NAME = /^[\w-]+$/;
+
+const readFixture = (name) => JSON.parse(readFileSync(join(FIXTURE_DIR, `${name}.json`), 'utf8'));
+
+/**
+ * Load the script for a business (falls back to default.json)
+ * Read on every call so fixture edits apply to the next session without a restart.
+ * @param {string} [businessId]
+ * @returns {{ greeting: string, turns: Array, fallback: Object }}
+ */
+export const loadFixture = (businessId) => {
+  const name = process.env.MOCK_FIXTURE || businessId || 'default';
+  if (!FIXTURE_NAME.test(name) || !existsSync(join(FIXTURE_DIR, `${name}.json`))) {
+    return readFixture('default');
+  }
+
+  const fixture = readFixture(name);
+  if (!Array.isArray(fixture?.turns)) {
+    console.warn(`⚠️ [Mock] Fixture "${name}" has no turns array - using default`);
+    return readFixture('default');
+  }
+  return fixture;
+};
+
+/**
+ * Scripted turn by index - once the script runs out, the fallback turn repeats
+ */
+export const getTurn = (fixture, index) => fixture.turns[index] || fixture.fallback;
@@ -0,0 +1,202 @@
+/**
+ * Mock realtime WebSocket - stands in for /realtime-ws
+ * Speaks the client protocol (see src/features/voice-agent/lib/realtimeProtocol.js):
+ * session_ready handshake, binary or base64 audio, session resume by sessionId.
+ *
+ * Instead of real VAD, every MOCK_TRIGGER_MS of audio received from the client
+ * plays the next scripted turn from the business's fixture. A typed `text`
+ * message plays the next turn straight away.
+ * In push-to-talk mode turns wait for `commit_audio` instead of the audio trigger.
+ */
+
+import { WebSocketServer } from 'ws';
+import { loadFixture, getTurn } from './fixtures.mjs';
+import { synthesizePcm16, SAMPLE_RATE } from './audio.mjs';
+
+// Keep in sync with PROTOCOL_VERSION in realtimeProtocol.js
+const PROTOCOL_VERSION = 1;
+
+const TRIGGER_MS = Number(process.env.MOCK_TRIGGER_MS) || 1500;
+const BYTES_PER_MS = (SAMPLE_RATE * 2) / 1000;
+const CHUNK_MS = 100;
+const CHUNK_INTERVAL_MS = 50;   // Stream faster than real time, like the real API
+
+// Sessions outlive sockets so reconnecting clients can resume
+const sessions = new Map();
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const createSession = (businessId) => ({
+  id: `mock-session-${Date.now()}-${Math.random().toString(36).slice(2, 11)}`,
+  businessId,
+  fixture: loadFixture(businessId),
+  turnIndex: 0,
+});
+
+/**
+ * Attach the mock realtime endpoint to an HTTP server
+ * @param {import('node:http').Server} server
+ */
+export const attachRealtimeServer = (server) => {
+  const wss = new WebSocketServer({ server, path: '/realtime-ws' });
+
+  wss.on('connection', (ws, request) => {
+    const query = new URL(request.url, 'http://localhost').searchParams;
+    const businessId = query.get('businessId') || 'sherpaprompt';
+    const resumeId = query.get('sessionId');
+    const binaryAudio = query.get('audioFormat') === 'binary';
+    let pushToTalk = query.get('turnMode') === 'push_to_talk';
+    let paused = false;
+
+    const resumed = resumeId && sessions.has(resumeId);
+    const session = resumed ? sessions.get(resumeId) : createSession(businessId);
+    sessions.set(session.id, session);
+
+    let receivedBytes = 0;
+    let busy = false;
+    let itemCount = 0;
+    let interruptedItemId = null;   // Reply the client cut off - stop streaming it
+
+    const isOpen = () => ws.readyState === ws.OPEN;
+    const send = (message) => isOpen() && ws.send(JSON.stringify(message));
+
+    const sendAudio = (chunk) => {
+      if (!isOpen()) return;
+      if (binaryAudio) {
+        ws.send(chunk);
+      } else {
+        send({ type: 'audio', delta: chunk.toString('base64') });
+      }
+    };
+
+    // Stream an assistant reply: interleaved text deltas and audio, then the final transcript
+    const speak = async (text, { audio = true } = {}) => {
+      const itemId = `${session.id}-item-${++itemCount}`;
+      send({ type: 'response_started', itemId });
+
+      const pcm = synthesizePcm16(text);
+      const chunkBytes = CHUNK_MS * BYTES_PER_MS;
+      const chunkCount = Math.ceil(pcm.length / chunkBytes);
+      const words = text.split(' ');
+      const wordsPerChunk = Math.ceil(words.length / chunkCount);
+
+      for (let i = 0; i < chunkCount && isOpen() && interruptedItemId !== itemId; i++) {
+        const wordSlice = words.slice(i * wordsPerChunk, (i + 1) * wordsPerChunk);
+        if (wordSlice.length > 0) {
+          send({ type: 'transcript_delta', role: 'assistant', itemId, delta: (i === 0 ? '' : ' ') + wordSlice.join(' ') });
+        }
+        if (audio) sendAudio(pcm.subarray(i * chunkBytes, (i + 1) * chunkBytes));
+        await sleep(CHUNK_INTERVAL_MS);
+      }
+
+      // A truncated reply has no final transcript - the client keeps what was heard
+      if (interruptedItemId !== itemId) {
+        send({ type: 'transcript', role: 'assistant', itemId, text });
+      }
+      send({ type: 'response_done', itemId });
+    };
+
+    // source: 'vad' (audio trigger), 'push_to_talk' (commit_audio) or 'text' (typed message)
+    const playTurn = async (source, typed = null) => {
+      busy = true;
+      const turn = getTurn(session.fixture, session.turnIndex++);
+      console.log(`🎬 [Mock WS] ${session.id} turn ${session.turnIndex} (${source}): "${typed ? typed.text : turn.user}"`);
+
+      // Push-to-talk clients know when speech starts and stops; typed text is already on their screen
+      if (source === 'vad') {
+        send({ type: 'speech_started' });
+        await sleep(300);
+        send({ type: 'speech_stopped' });
+        await sleep(200);
+      }
+      if (source !== 'text') {
+        send({ type: 'transcript', role: 'user', text: turn.user });
+      }
+      (turn.events || []).forEach(send);
+      await speak(turn.assistant, { audio: typed?.audio !== false });
+
+      receivedBytes = 0;
+      busy = false;
+    };
+
+    // A broken turn ends this session's turn, not the whole mock server
+    const runTurn = (source, typed) => {
+      playTurn(source, typed).catch((error) => {
+        console.error(`❌ [Mock WS] ${session.id} turn failed:`, error);
+        send({ type: 'error', error: `Mock turn failed: ${error.message}` });
+        receivedBytes = 0;
+        busy = false;
+      });
+    };
+
+    ws.on('message', (data, isBinary) => {
+      if (isBinary) {
+        if (!paused) receivedBytes += data.length;
+      } else {
+        try {
+          const message = JSON.parse(data.toString());
+          if (message.type === 'audio' && typeof message.data === 'string') {
+            receivedBytes += Buffer.byteLength(message.data, 'base64');
+          } else if (message.type === 'text' && typeof message.text === 'string') {
+            if (!busy) runTurn('text', message);
+            return;
+          } else if (message.type === 'turn_mode') {
+            pushToTalk = message.mode === 'push_to_talk';
+            receivedBytes = 0;
+            console.log('🔀 [Mock WS] Turn mode:', message.mode);
+            return;
+          } else if (message.type === 'session_pause' || message.type === 'session_resume') {
+            paused = message.type === 'session_pause';
+            receivedBytes = 0;
+            console.log(paused ? '⏸️ [Mock WS] Paused' : '▶️ [Mock WS] Resumed');
+            return;
+          } else if (message.type === 'interrupt') {
+            interruptedItemId = message.itemId || null;
+            console.log(`✂️ [Mock WS] Interrupted ${message.itemId || 'reply'} after ${message.playedMs}ms`);
+            return;
+          } else if (message.type === 'user_info_update' && message.userInfo) {
+            // Stands in for the agent adopting the corrected details
+            session.userInfo = { ...session.userInfo, ...message.userInfo, collected: true };
+            console.log('👤 [Mock WS] Contact details corrected:', session.userInfo);
+            send({ type: 'user_info_updated', userInfo: session.userInfo });
+            return;
+          } else if (message.type === 'commit_audio') {
+            if (!busy && receivedBytes > 0) runTurn('push_to_talk');
+            return;
+          } else {
+            console.log('📨 [Mock WS] Client message:', message.type);
+          }
+        } catch (error) {
+          send({ type: 'error', error: `Invalid message: ${error.message}` });
+          return;
+        }
+      }
+
+      if (!pushToTalk && !busy && receivedBytes >= TRIGGER_MS * BYTES_PER_MS) {
+        runTurn('vad');
+      }
+    });
+
+    ws.on('close', () => console.log('🔌 [Mock WS] Disconnected:', session.id));
+
+    console.log(`✅ [Mock WS] ${resumed ? 'Resumed' : 'New'} session ${session.id} (${businessId}, ${binaryAudio ? 'binary' : 'base64'} audio)`);
+    send({
+      type: 'session_ready',
+      sessionId: session.id,
+      protocolVersion: PROTOCOL_VERSION,
+      audioFormat: binaryAudio ? 'binary' : 'base64',
+    });
+
+    // The tenant's configured greeting wins over the fixture's
+    const greeting = query.get('greeting') || session.fixture.greeting;
+    if (!resumed && greeting) {
+      busy = true;
+      speak(greeting).then(() => {
+        receivedBytes = 0;
+        busy = false;
+      });
+    }
+  });
+
+  return wss;
+};
@@ -0,0 +1,104 @@
+/**
+ * Mock ahca-server - offline stand-in for frontend work and automated tests
+ * Serves the /realtime-ws WebSocket and the /api/chained-voice/* HTTP endpoints
+ * from scripted fixtures (WebRTC signaling on /realtime-rtc is refused with a 501), so no real backend or OpenAI key is needed.
+ * /api/tenants returns the client's bundled tenant registry.
+ *
+ *   npm run mock-server
+ *
+ * Environment:
+ *   PORT            - listen port (default 3001, the client's default API URL)
+ *   MOCK_FIXTURE    - fixture name in mock-server/fixtures to use for every session
+ *   MOCK_TRIGGER_MS - client audio (ms) that triggers the next realtime turn (default 1500)
+ *   MOCK_VAD_CHUNKS - realtime-vad audio chunks per turn (default 3)
+ */
+
+import { createServer } from 'node:http';
+import { readFileSync } from 'node:fs';
+import { attachRealtimeServer } from './realtime.mjs';
+import { handleChainedRequest } from './chained.mjs';
+
+const PORT = Number(process.env.PORT) || 3001;
+const TENANTS_FILE = new URL('../src/features/voice-agent/config/tenants.json', import.meta.url);
+const MAX_BODY_BYTES = 25 * 1024 * 1024;
+
+const CORS_HEADERS = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'GET, POST, DELETE, OPTIONS',
+  'Access-Control-Allow-Headers': 'Content-Type',
+};
+
+const readJsonBody = (request) => new Promise((resolve, reject) => {
+  const chunks = [];
+  let size = 0;
+  request.on('data', (chunk) => {
+    size += chunk.length;
+    if (size > MAX_BODY_BYTES) {
+      reject(new Error('Request body too large'));
+      request.destroy();
+      return;
+    }
+    chunks.push(chunk);
+  });
+  request.on('end', () => {
+    try {
+      const text = Buffer.concat(chunks).toString('utf8');
+      resolve(text ? JSON.parse(text) : {});
+    } catch (error) {
+      reject(new Error(`Invalid JSON body: ${error.message}`));
+    }
+  });
+  request.on('error', reject);
+});
+
+const sendJson = (response, status, body) => {
+  response.writeHead(status, { 'Content-Type': 'application/json', ...CORS_HEADERS });
+  response.end(JSON.stringify(body));
+};
+
+const server = createServer(async (request, response) => {
+  if (request.method === 'OPTIONS') {
+    response.writeHead(204, CORS_HEADERS);
+    response.end();
+    return;
+  }
+
+  const { pathname } = new URL(request.url, 'http://localhost');
+
+  try {
+    if (request.method === 'GET' && pathname === '/health') {
+      sendJson(response, 200, { status: 'ok', mock: true });
+      return;
+    }
+
+    // Tenant registry - the client's bundled config, read per request so edits show up on reload
+    if (request.method === 'GET' && pathname === '/api/tenants') {
+      sendJson(response, 200, JSON.parse(readFileSync(TENANTS_FILE, 'utf8')));
+      return;
+    }
+
+    // WebRTC signaling - there is no media stack here, so point clients at the WebSocket
+    if (pathname === '/realtime-rtc') {
+      sendJson(response, 501, { error: 'WebRTC is not supported by the mock server - use the WebSocket transport' });
+      return;
+    }
+
+    const result = await handleChainedRequest(request.method, pathname, () => readJsonBody(request));
+    if (result) {
+      sendJson(response, result.status, result.body);
+      return;
+    }
+
+    sendJson(response, 404, { error: `No mock for ${request.method} ${pathname}` });
+  } catch (error) {
+    console.error('❌ [Mock] Request failed:', error);
+    sendJson(response, 400, { error: error.message });
+  }
+});
+
+attachRealtimeServer(server);
+
+server.listen(PORT, () => {
+  console.log(`🧪 [Mock] ahca-server mock listening on http://localhost:${PORT}`);
+  console.log(`🧪 [Mock] Realtime WebSocket at ws://localhost:${PORT}/realtime-ws`);
+});
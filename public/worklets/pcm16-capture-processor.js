@@ -0,0 +1,62 @@
+/**
+ * PCM16 Capture Processor - AudioWorklet that turns audio input into PCM16 frames
+ * Runs on the audio rendering thread so capture, Float32 → Int16 conversion and
+ * framing never compete with React renders on the main thread.
+ *
+ * processorOptions:
+ *   frameSize    - number of samples (per channel) per posted frame (default 2400 = 100ms @ 24kHz)
+ *   channelCount - channels to capture; frames are interleaved when > 1 (default 1)
+ *   targetRate   - sample rate of the posted frames; when the context runs at another rate
+ *                  (browsers and Bluetooth devices often ignore the requested rate) the input is
+ *                  resampled first. Mono only. Defaults to the context rate.
+ *
+ * Each frame is posted to the main thread as a transferable ArrayBuffer of Int16 samples.
+ */
+import { createResampler } from './resampler.js';
+
+class Pcm16CaptureProcessor extends AudioWorkletProcessor {
+  constructor(options) {
+    super();
+
+    const { frameSize, channelCount, targetRate } = options?.processorOptions || {};
+    this.frameSize = Number.isInteger(frameSize) && frameSize > 0 ? frameSize : 2400;
+    this.channelCount = Number.isInteger(channelCount) && channelCount > 0 ? channelCount : 1;
+
+    // `sampleRate` is the AudioWorkletGlobalScope's - the rate the context really runs at
+    this.resampler = targetRate && targetRate !== sampleRate && this.channelCount === 1
+      ? createResampler({ inputRate: sampleRate, outputRate: targetRate })
+      : null;
+
+    this.frame = new Int16Array(this.frameSize * this.channelCount);
+    this.offset = 0;
+  }
+
+  process(inputs) {
+    const input = inputs[0];
+
+    // No input connected (yet) - keep the processor alive
+    if (!input || input.length === 0) {
+      return true;
+    }
+
+    const channels = this.resampler ? [this.resampler.process(input[0])] : input;
+    const length = channels[0].length;
+    for (let i = 0; i < length; i++) {
+      for (let c = 0; c < this.channelCount; c++) {
+        // A missing channel is recorded as silence
+        const s = Math.max(-1, Math.min(1, channels[c] ? channels[c][i] : 0));
+        this.frame[this.offset++] = s < 0 ? s * 0x8000 : s * 0x7FFF;
+      }
+
+      if (this.offset === this.frame.length) {
+        this.port.postMessage(this.frame.buffer, [this.frame.buffer]);
+        this.frame = new Int16Array(this.frameSize * this.channelCount);
+        this.offset = 0;
+      }
+    }
+
+    return true;
+  }
+}
+
+registerProcessor('pcm16-capture-processor', Pcm16CaptureProcessor);
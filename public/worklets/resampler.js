@@ -0,0 +1,115 @@
+/**
+ * Streaming Resampler - windowed-sinc sample rate conversion for Float32 audio
+ * Shared by the capture worklet (imported as a module) and the main thread (loaded
+ * through src/features/voice-agent/lib/resampler.js), so both directions of the
+ * conversation use the same filter.
+ *
+ * Each output sample is interpolated from `taps` input samples with a Blackman-windowed
+ * sinc kernel. When downsampling, the kernel's cutoff drops below the new Nyquist
+ * frequency so nothing aliases. State carries across calls, so audio can be fed in
+ * chunks of any size without clicks at the chunk boundaries.
+ *
+ * `process` runs once per render quantum on the audio thread, so it doesn't allocate once
+ * its buffers have grown to the largest chunk seen: the output is a view of a reused
+ * buffer, valid until the next call. Copy it to keep it.
+ */
+
+// Kernel lookup resolution - phases per input sample, linearly interpolated
+const PHASES = 256;
+
+// Initial buffer size in input samples - one Web Audio render quantum
+const RENDER_QUANTUM = 128;
+
+const sinc = (x) => (x === 0 ? 1 : Math.sin(Math.PI * x) / (Math.PI * x));
+
+// Blackman window over [-1, 1]
+const blackman = (x) => 0.42 + 0.5 * Math.cos(Math.PI * x) + 0.08 * Math.cos(2 * Math.PI * x);
+
+/**
+ * Create a resampler for a fixed pair of rates
+ * @param {Object} options
+ * @param {number} options.inputRate
+ * @param {number} options.outputRate
+ * @param {number} [options.taps] - Filter length in input samples (even); more = sharper, slower
+ * @returns {{ process: (input: Float32Array) => Float32Array, flush: () => Float32Array, reset: () => void }}
+ *   `process` and `flush` return a view that the next call overwrites
+ */
+export const createResampler = ({ inputRate, outputRate, taps = 32 }) => {
+  const step = inputRate / outputRate;              // Input samples per output sample
+  const cutoff = Math.min(1, outputRate / inputRate) * 0.95;
+  const halfTaps = taps / 2;
+
+  // Half of the symmetric kernel, sampled at PHASES points per input sample
+  const kernel = new Float32Array(halfTaps * PHASES + 2);
+  for (let i = 0; i < kernel.length; i++) {
+    const x = i / PHASES;
+    kernel[i] = x >= halfTaps ? 0 : cutoff * sinc(cutoff * x) * blackman(x / halfTaps);
+  }
+
+  const kernelAt = (distance) => {
+    const position = Math.abs(distance) * PHASES;
+    const index = Math.floor(position);
+    const fraction = position - index;
+    return kernel[index] + (kernel[index + 1] - kernel[index]) * fraction;
+  };
+
+  // Input not yet fully consumed is kept at the start of `buffer`, followed by the new
+  // chunk. It starts as half a window of silence so the first output sample lines up with
+  // the first input sample. Both buffers only grow when a larger chunk arrives.
+  let buffer = new Float32Array(taps + step + RENDER_QUANTUM);
+  let output = new Float32Array(Math.ceil(buffer.length / step) + 1);
+  let historyLength = halfTaps;
+  let position = halfTaps;                          // Next output time, in buffer samples
+  const silence = new Float32Array(taps);
+
+  const process = (input) => {
+    const length = historyLength + input.length;
+    if (length > buffer.length) {
+      const grown = new Float32Array(length);
+      grown.set(buffer.subarray(0, historyLength));
+      buffer = grown;
+    }
+    buffer.set(input, historyLength);
+
+    // Produce every output sample whose whole window is available
+    const lastCentre = length - halfTaps;
+    const count = Math.max(0, Math.ceil((lastCentre - position) / step));
+    if (count > output.length) {
+      output = new Float32Array(count);
+    }
+
+    for (let n = 0; n < count; n++) {
+      const centre = position + n * step;
+      const first = Math.floor(centre) - halfTaps + 1;
+      let sum = 0;
+      for (let k = first; k < first + taps; k++) {
+        sum += buffer[k] * kernelAt(centre - k);
+      }
+      output[n] = sum;
+    }
+
+    // Keep what the next window still needs, moved to the front
+    const nextPosition = position + count * step;
+    const keepFrom = Math.max(0, Math.floor(nextPosition) - halfTaps + 1);
+    buffer.copyWithin(0, keepFrom, length);
+    historyLength = length - keepFrom;
+    position = nextPosition - keepFrom;
+
+    return output.subarray(0, count);
+  };
+
+  // Push the samples held back for the filter's look-ahead out with silence
+  const flush = () => {
+    const flushed = process(silence);
+    reset();
+    return flushed;
+  };
+
+  const reset = () => {
+    buffer.fill(0, 0, halfTaps);
+    historyLength = halfTaps;
+    position = halfTaps;
+  };
+
+  return { process, flush, reset };
+};
@@ -3,6 +3,14 @@
 import { useState, useRef, useEffect } from 'react';
 import { Copy, Edit, Save, X, Mic, Square, Loader2, RotateCcw, Upload, FileText, Trash2 } from 'lucide-react';
 import { Button } from '@/components/ui/button';
+import AudioDevicePicker from '@/features/voice-agent/components/AudioDevicePicker';
+import TenantTheme from '@/features/voice-agent/components/TenantTheme';
+import LevelMeter from '@/features/voice-agent/components/LevelMeter';
+import ScrollingWaveform from '@/features/voice-agent/components/ScrollingWaveform';
+import useAudioDevices from '@/features/voice-agent/hooks/useAudioDevices';
+import useTenants from '@/features/voice-agent/hooks/useTenants';
+import { getMicrophoneStream } from '@/features/voice-agent/lib/audioDevices';
+import { createLevelMeter } from '@/features/voice-agent/lib/levelMeter';
 
 const PrototypeEstimator = () => {
   const [status, setStatus] = useState('Ready to record');
@@ -21,6 +29,22 @@ const PrototypeEstimator = () => {
   const mediaRecorderRef = useRef(null);
   const audioChunksRef = useRef([]);
   const fileInputRef = useRef(null);
+  const meterContextRef = useRef(null);
+
+  // Live mic level while recording
+  const [micMeter, setMicMeter] = useState(null);
+  const [showWaveform, setShowWaveform] = useState(false);
+
+  // Microphone selection, remembered per browser and shared with the voice agents
+  const { inputs, outputs, inputId, selectInput, refreshDevices } = useAudioDevices();
+
+  // Styled as the business the visitor came from (?tenant=<id> from the voice agent)
+  const { tenants, defaultTenantId } = useTenants();
+  const [tenantId, setTenantId] = useState(null);
+  useEffect(() => {
+    setTenantId(new URLSearchParams(window.location.search).get('tenant'));
+  }, []);
+  const tenant = tenants.find((t) => t.id === tenantId) || tenants.find((t) => t.id === defaultTenantId);
 
   // Load custom catalog from localStorage on component mount
   useEffect(() => {
@@ -133,7 +157,19 @@ const PrototypeEstimator = () => {
   const startRecording = async () => {
     try {
       console.log('🎤 Starting audio recording...');
-      const stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+      const stream = await getMicrophoneStream(inputId);
+      // Device labels only become readable once access is granted
+      refreshDevices();
+
+      // Show the mic level so it's obvious the recording is picking the user up
+      try {
+        meterContextRef.current = new (window.AudioContext || window.webkitAudioContext)();
+        const meter = createLevelMeter(meterContextRef.current);
+        meter.connectStream(stream);
+        setMicMeter(meter);
+      } catch (error) {
+        console.warn('⚠️ Level meter unavailable:', error);
+      }
       
       mediaRecorderRef.current = new MediaRecorder(stream);
       audioChunksRef.current = [];
@@ -173,6 +209,9 @@ const PrototypeEstimator = () => {
   const stopRecording = () => {
     if (mediaRecorderRef.current && isRecording) {
       mediaRecorderRef.current.stop();
+      setMicMeter(null);
+      meterContextRef.current?.close();
+      meterContextRef.current = null;
       setIsRecording(false);
       setIsProcessing(true);
       setStatus('Processing your request...');
@@ -307,7 +346,7 @@ const PrototypeEstimator = () => {
   };
 
   return (
-    <div className="min-h-screen bg-gradient-to-br from-slate-900 via-slate-800 to-gray-900 flex items-center justify-center p-4">
+    <TenantTheme theme={tenant?.theme} className="min-h-screen bg-gradient-to-br from-slate-900 via-slate-800 to-gray-900 flex items-center justify-center p-4">
       <div className="w-full max-w-4xl mx-auto">
         
         {/* Title */}
@@ -343,7 +382,7 @@ const PrototypeEstimator = () => {
               <div className={`inline-flex items-center px-3 py-2 rounded-lg text-sm ${
                 customCatalog 
                   ? 'bg-emerald-500/20 text-emerald-400 border border-emerald-500/30'
-                  : 'bg-blue-500/20 text-blue-400 border border-blue-500/30'
+                  : 'bg-brand/20 text-brand-accent border border-brand/30'
               }`}>
                 <FileText className="w-4 h-4 mr-2" />
                 {customCatalog ? `Using: ${catalogFileName}` : 'Using: Default catalog.json'}
@@ -354,7 +393,7 @@ const PrototypeEstimator = () => {
             <div
               className={`border-2 border-dashed rounded-xl p-6 text-center transition-all duration-300 cursor-pointer ${
                 isDragOver
-                  ? 'border-blue-400 bg-blue-500/10'
+                  ? 'border-brand-accent bg-brand/10'
                   : 'border-white/30 hover:border-white/50 hover:bg-white/5'
               }`}
               onDragOver={handleDragOver}
@@ -424,7 +463,7 @@ const PrototypeEstimator = () => {
                   ? 'animate-pulse bg-red-500/20 scale-110' 
                   : isProcessing
                     ? 'animate-pulse bg-amber-500/20 scale-110'
-                    : 'bg-blue-500/20 scale-100'
+                    : 'bg-brand/20 scale-100'
               }`}></div>
               
               {/* Middle ring */}
@@ -433,19 +472,19 @@ const PrototypeEstimator = () => {
                   ? 'border-red-500/50 animate-spin-slow' 
                   : isProcessing
                     ? 'border-amber-500/50 animate-spin-slow'
-                    : 'border-blue-500/50'
+                    : 'border-brand/50'
               }`}></div>
               
               {/* Main button */}
               <button
                 onClick={toggleRecording}
                 disabled={isProcessing}
-                className={`relative w-32 h-32 rounded-full transition-all duration-300 transform hover:scale-105 active:scale-95 focus:outline-none focus:ring-4 focus:ring-blue-500/50 disabled:cursor-not-allowed disabled:transform-none ${
+                className={`relative w-32 h-32 rounded-full transition-all duration-300 transform hover:scale-105 active:scale-95 focus:outline-none focus:ring-4 focus:ring-brand/50 disabled:cursor-not-allowed disabled:transform-none ${
                   isRecording
                     ? 'bg-gradient-to-br from-red-500 to-red-600 hover:from-red-400 hover:to-red-500 shadow-lg shadow-red-500/25'
                     : isProcessing
                       ? 'bg-gradient-to-br from-amber-500 to-amber-600 shadow-lg shadow-amber-500/25'
-                      : 'bg-gradient-to-br from-blue-500 to-blue-600 hover:from-blue-400 hover:to-blue-500 shadow-lg shadow-blue-500/25'
+                      : 'bg-gradient-to-br from-orb-from to-orb-to hover:brightness-110 shadow-lg shadow-brand/25'
                 }`}
               >
                 {/* Button Icon */}
@@ -466,6 +505,18 @@ const PrototypeEstimator = () => {
               {isProcessing ? 'Processing...' : isRecording ? 'Tap to Stop' : 'Tap to Record'}
             </p>
 
+            {/* Microphone selection - applies from the next recording */}
+            <div className="flex justify-center mb-6">
+              <AudioDevicePicker
+                inputs={inputs}
+                outputs={outputs}
+                inputId={inputId}
+                onInputChange={selectInput}
+                showOutput={false}
+                disabled={isRecording || isProcessing}
+              />
+            </div>
+
             {/* Voice Active Indicator */}
             {isRecording && (
               <div className="inline-flex items-center space-x-2 px-6 py-3 bg-white/10 backdrop-blur-sm rounded-full border border-white/20">
@@ -479,6 +530,27 @@ const PrototypeEstimator = () => {
               </div>
             )}
 
+            {/* Live mic level */}
+            {isRecording && micMeter && (
+              <div className="flex flex-col items-center space-y-2 mt-4">
+                <div className="w-64">
+                  <LevelMeter meter={micMeter} label="Mic" barClassName="bg-red-400" />
+                </div>
+                {showWaveform && (
+                  <ScrollingWaveform traces={[{ meter: micMeter, color: 'rgba(248, 113, 113, 0.8)' }]} width={256} />
+                )}
+                <label className="flex items-center space-x-2 text-white/50 text-xs cursor-pointer select-none">
+                  <input
+                    type="checkbox"
+                    checked={showWaveform}
+                    onChange={(e) => setShowWaveform(e.target.checked)}
+                    className="accent-brand"
+                  />
+                  <span>Show waveform</span>
+                </label>
+              </div>
+            )}
+
             {/* Instructions */}
             <div className="mt-8 text-center">
             <div className="inline-block bg-white/5 backdrop-blur-sm rounded-2xl border border-white/10 p-6">
@@ -530,7 +602,7 @@ const PrototypeEstimator = () => {
                           onClick={handleEdit}
                           size="sm"
                           variant="outline"
-                          className="bg-blue-500/20 text-blue-400 hover:bg-blue-500/30 border border-blue-500/30"
+                          className="bg-brand/20 text-brand-accent hover:bg-brand/30 border border-brand/30"
                         >
                           <Edit className="w-4 h-4 mr-2" />
                           Edit
@@ -539,7 +611,7 @@ const PrototypeEstimator = () => {
                           onClick={handleCopy}
                           size="sm"
                           variant="outline"
-                          className="bg-purple-500/20 text-purple-400 hover:bg-purple-500/30 border border-purple-500/30"
+                          className="bg-brand/20 text-brand-accent hover:bg-brand/30 border border-brand/30"
                         >
                           <Copy className="w-4 h-4 mr-2" />
                           Copy
@@ -565,7 +637,7 @@ const PrototypeEstimator = () => {
                   <textarea
                     value={editedEstimate}
                     onChange={(e) => setEditedEstimate(e.target.value)}
-                    className="w-full h-96 p-4 bg-slate-900/50 border border-white/20 rounded-lg text-white/90 font-mono text-sm resize-none focus:outline-none focus:ring-2 focus:ring-blue-500/50 focus:border-blue-500/50"
+                    className="w-full h-96 p-4 bg-slate-900/50 border border-white/20 rounded-lg text-white/90 font-mono text-sm resize-none focus:outline-none focus:ring-2 focus:ring-brand/50 focus:border-brand/50"
                     placeholder="Edit your estimate here..."
                   />
                 ) : (
@@ -609,7 +681,7 @@ const PrototypeEstimator = () => {
           </div>
         </div>
       </div>
-    </div>
+    </TenantTheme>
   );
 };
 
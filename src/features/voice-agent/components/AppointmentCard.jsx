@@ -0,0 +1,157 @@
+'use client';
+
+import { useEffect, useMemo, useRef, useState } from 'react';
+import { CalendarCheck, Check, Copy, Download, ExternalLink } from 'lucide-react';
+import {
+  getAppointmentTimes,
+  formatLocalAppointment,
+  isInOtherTimeZone,
+  buildIcs,
+  getIcsFilename,
+  buildCalendarLinks,
+  buildConfirmationSummary,
+} from '../lib/appointment';
+import { downloadBlob } from '../lib/transcriptExport';
+
+const COPIED_RESET_MS = 2000;
+
+const LINK_CLASS = 'inline-flex items-center justify-center px-3 py-1 text-xs rounded border transition-all duration-200 bg-white/5 hover:bg-white/10 text-white/70 hover:text-white border-white/10';
+
+/**
+ * AppointmentCard - Booked appointment in the visitor's time zone, with calendar exports
+ * Times come from appointmentDetails (see lib/appointment); when they can't be read the
+ * card falls back to the server's own date and time text and offers only the server link.
+ * @param {Object} appointmentDetails - From appointment_created / the process response
+ * @param {string} [calendarLink] - The server's calendar event
+ * @param {Object} [userInfo] - Contact details for the copied summary
+ * @param {string} [businessName] - Tenant the appointment was booked with, named in the calendar exports
+ */
+const AppointmentCard = ({ appointmentDetails, calendarLink, userInfo, businessName }) => {
+  const [copied, setCopied] = useState(false);
+  const copiedTimerRef = useRef(null);
+
+  const times = useMemo(() => getAppointmentTimes(appointmentDetails), [appointmentDetails]);
+  const local = times ? formatLocalAppointment(times) : null;
+
+  const ics = useMemo(
+    () => (times ? buildIcs(appointmentDetails, times, { calendarLink, businessName }) : null),
+    [appointmentDetails, times, calendarLink, businessName]
+  );
+  const links = useMemo(
+    () => (times ? buildCalendarLinks(appointmentDetails, times, { calendarLink, businessName }) : null),
+    [appointmentDetails, times, calendarLink, businessName]
+  );
+
+  useEffect(() => () => clearTimeout(copiedTimerRef.current), []);
+
+  const handleDownloadIcs = () => {
+    try {
+      downloadBlob(new Blob([ics], { type: 'text/calendar;charset=utf-8' }), getIcsFilename(appointmentDetails));
+      console.log('📅 [Appointment] Calendar file downloaded');
+    } catch (error) {
+      console.error('❌ [Appointment] Failed to download calendar file:', error);
+    }
+  };
+
+  const handleCopySummary = async () => {
+    try {
+      await navigator.clipboard.writeText(
+        buildConfirmationSummary(appointmentDetails, times, { userInfo, calendarLink })
+      );
+      setCopied(true);
+      clearTimeout(copiedTimerRef.current);
+      copiedTimerRef.current = setTimeout(() => setCopied(false), COPIED_RESET_MS);
+    } catch (error) {
+      console.error('❌ [Appointment] Failed to copy summary:', error);
+    }
+  };
+
+  return (
+    <div className="text-center">
+      <div className="inline-block w-full bg-gradient-to-r from-emerald-500/20 to-blue-500/20 backdrop-blur-sm rounded-xl border border-emerald-500/30 p-4 max-w-sm text-left">
+        <div className="flex items-center justify-center mb-3">
+          <CalendarCheck className="w-5 h-5 text-emerald-400 mr-2" aria-hidden="true" />
+          <div className="text-emerald-400 text-sm font-semibold">Appointment Scheduled!</div>
+        </div>
+
+        <div className="text-white/90 text-xs mb-3 space-y-1">
+          <div><strong>Service:</strong> {appointmentDetails.title}</div>
+          {local ? (
+            <>
+              <div><strong>Date:</strong> {local.date}</div>
+              <div>
+                <strong>Time:</strong> {local.time}
+                {local.timeZoneName && <span className="text-white/60"> ({local.timeZoneName}, your time)</span>}
+              </div>
+              {isInOtherTimeZone(appointmentDetails) && (
+                <div className="text-white/50">
+                  {appointmentDetails.timeDisplay || appointmentDetails.time} for the business ({appointmentDetails.timeZone})
+                </div>
+              )}
+            </>
+          ) : (
+            <>
+              <div><strong>Date:</strong> {appointmentDetails.date}</div>
+              <div><strong>Time:</strong> {appointmentDetails.timeDisplay}</div>
+            </>
+          )}
+          {appointmentDetails.duration > 0 && (
+            <div><strong>Duration:</strong> {appointmentDetails.duration} minutes</div>
+          )}
+        </div>
+
+        {links && (
+          <div className="mb-3">
+            <div className="text-white/60 text-xs mb-1.5">Add to your calendar</div>
+            <div className="grid grid-cols-2 gap-2">
+              <a href={links.google} target="_blank" rel="noopener noreferrer" className={LINK_CLASS}>
+                Google
+              </a>
+              <a href={links.outlook} target="_blank" rel="noopener noreferrer" className={LINK_CLASS}>
+                Outlook.com
+              </a>
+              <a href={links.office365} target="_blank" rel="noopener noreferrer" className={LINK_CLASS}>
+                Outlook (work)
+              </a>
+              {/* Apple Calendar has no web link - it opens the downloaded .ics */}
+              <button onClick={handleDownloadIcs} className={LINK_CLASS}>
+                Apple Calendar
+              </button>
+            </div>
+          </div>
+        )}
+
+        <div className="flex gap-2 mb-3">
+          {ics && (
+            <button onClick={handleDownloadIcs} className={`${LINK_CLASS} flex-1`}>
+              <Download className="w-3.5 h-3.5 mr-1" aria-hidden="true" />
+              Download .ics
+            </button>
+          )}
+          <button onClick={handleCopySummary} className={`${LINK_CLASS} flex-1`}>
+            {copied ? (
+              <Check className="w-3.5 h-3.5 mr-1 text-emerald-400" aria-hidden="true" />
+            ) : (
+              <Copy className="w-3.5 h-3.5 mr-1" aria-hidden="true" />
+            )}
+            {copied ? 'Copied' : 'Copy summary'}
+          </button>
+        </div>
+
+        {calendarLink && (
+          <a
+            href={calendarLink}
+            target="_blank"
+            rel="noopener noreferrer"
+            className="flex items-center justify-center w-full bg-gradient-to-r from-emerald-500 to-blue-500 hover:from-emerald-400 hover:to-blue-400 text-white font-medium py-2 px-4 rounded-lg transition-all duration-300 transform hover:scale-105 focus:outline-none focus:ring-2 focus:ring-emerald-500/50 text-sm"
+          >
+            <ExternalLink className="w-4 h-4 mr-2" aria-hidden="true" />
+            View in Calendar
+          </a>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default AppointmentCard;
@@ -0,0 +1,60 @@
+'use client';
+
+import { Mic, Volume2 } from 'lucide-react';
+
+/**
+ * AudioDevicePicker - Microphone and speaker selection
+ * Pair with useAudioDevices; the speaker row only shows when output routing is supported.
+ */
+const AudioDevicePicker = ({
+  inputs,
+  outputs,
+  inputId,
+  outputId,
+  onInputChange,
+  onOutputChange,
+  showOutput = true,
+  disabled = false
+}) => {
+  const selectClassName = 'flex-1 min-w-0 px-2 py-1 bg-slate-900/50 border border-white/20 rounded text-white/80 text-xs focus:outline-none focus:ring-2 focus:ring-brand/50 disabled:opacity-50';
+
+  return (
+    <div className="w-full max-w-sm space-y-2">
+      <label className="flex items-center space-x-2">
+        <Mic className="w-3.5 h-3.5 text-white/50 shrink-0" aria-hidden="true" />
+        <span className="sr-only">Microphone</span>
+        <select
+          value={inputId}
+          onChange={(e) => onInputChange(e.target.value)}
+          disabled={disabled}
+          className={selectClassName}
+        >
+          <option value="">Default microphone</option>
+          {inputs.map((device) => (
+            <option key={device.deviceId} value={device.deviceId}>{device.label}</option>
+          ))}
+        </select>
+      </label>
+
+      {showOutput && onOutputChange && (
+        <label className="flex items-center space-x-2">
+          <Volume2 className="w-3.5 h-3.5 text-white/50 shrink-0" aria-hidden="true" />
+          <span className="sr-only">Speaker</span>
+          <select
+            value={outputId}
+            onChange={(e) => onOutputChange(e.target.value)}
+            disabled={disabled}
+            className={selectClassName}
+          >
+            <option value="">Default speaker</option>
+            {outputs.map((device) => (
+              <option key={device.deviceId} value={device.deviceId}>{device.label}</option>
+            ))}
+          </select>
+        </label>
+      )}
+    </div>
+  );
+};
+
+export default AudioDevicePicker;
@@ -0,0 +1,82 @@
+'use client';
+
+import { Check, Pencil } from 'lucide-react';
+import { getBookingSteps, StepStatus } from '../lib/bookingSteps';
+
+const CIRCLE_CLASSES = {
+  [StepStatus.COMPLETE]: 'bg-emerald-500/20 border-emerald-500/50 text-emerald-300',
+  [StepStatus.CURRENT]: 'bg-brand/30 border-brand-accent text-brand-soft animate-pulse',
+  [StepStatus.UPCOMING]: 'bg-white/5 border-white/20 text-white/40',
+};
+
+/**
+ * BookingProgress - Stepper for the scheduling part of the conversation
+ * Fills in as the server reports partial appointment data. Tapping a filled-in step
+ * calls `onCorrect` with the step key so the agent can ask for it again.
+ * @param {{ details: Object, confirmed: boolean }} booking - From the voice session
+ */
+const BookingProgress = ({ booking, onCorrect, disabled = false }) => {
+  const steps = getBookingSteps(booking);
+
+  return (
+    <div className="w-full bg-white/5 backdrop-blur-sm rounded-xl border border-white/10 px-4 py-3">
+      <div className="text-white/90 text-sm font-semibold text-center mb-3">Booking your appointment</div>
+
+      <ol className="flex items-start">
+        {steps.map((step, index) => {
+          const canCorrect = step.correctable && !disabled && Boolean(onCorrect);
+          const content = (
+            <>
+              <span className={`flex items-center justify-center w-7 h-7 rounded-full border text-xs font-medium ${CIRCLE_CLASSES[step.status]}`}>
+                {step.status === StepStatus.COMPLETE ? <Check className="w-3.5 h-3.5" aria-hidden="true" /> : index + 1}
+              </span>
+              <span className={`mt-1 text-xs ${step.status === StepStatus.UPCOMING ? 'text-white/40' : 'text-white/80'}`}>
+                {step.label}
+              </span>
+              {step.value && (
+                <span className="flex items-center text-[11px] text-white/60 max-w-[7rem] truncate">
+                  {step.value}
+                  {canCorrect && <Pencil className="w-2.5 h-2.5 ml-1 flex-shrink-0 opacity-60 group-hover:opacity-100" aria-hidden="true" />}
+                </span>
+              )}
+            </>
+          );
+
+          return (
+            <li key={step.key} className="flex-1 flex items-start">
+              {canCorrect ? (
+                <button
+                  onClick={() => onCorrect(step.key)}
+                  className="group flex-1 flex flex-col items-center rounded-lg py-1 transition-all duration-200 hover:bg-white/10"
+                  title={`Change ${step.label.toLowerCase()}`}
+                  aria-label={`Change ${step.label.toLowerCase()} (currently ${step.value})`}
+                >
+                  {content}
+                </button>
+              ) : (
+                <div
+                  className="flex-1 flex flex-col items-center py-1"
+                  aria-current={step.status === StepStatus.CURRENT ? 'step' : undefined}
+                >
+                  {content}
+                </div>
+              )}
+              {index < steps.length - 1 && (
+                <span
+                  className={`mt-4 h-px w-4 flex-shrink-0 ${step.status === StepStatus.COMPLETE ? 'bg-emerald-500/50' : 'bg-white/20'}`}
+                  aria-hidden="true"
+                />
+              )}
+            </li>
+          );
+        })}
+      </ol>
+
+      {onCorrect && (
+        <p className="mt-2 text-white/40 text-[11px] text-center">Tap a step to change it, then tell the assistant by voice or text</p>
+      )}
+    </div>
+  );
+};
+
+export default BookingProgress;
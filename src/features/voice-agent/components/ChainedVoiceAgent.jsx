@@ -6,18 +6,81 @@
  */
 'use client';
 
-import { useState, useRef, useEffect, useCallback } from 'react';
-
-const ChainedVoiceAgent = ({ onStatusChange }) => {
+import { useState, useRef, useEffect, useCallback, useReducer } from 'react';
+import { Mic, MicOff, Pause, Play } from 'lucide-react';
+import { transcriptReducer, initialTranscript, TranscriptAction } from '../lib/transcript';
+import ConversationTranscript from './ConversationTranscript';
+import TextMessageInput from './TextMessageInput';
+import AudioDevicePicker from './AudioDevicePicker';
+import LevelMeter from './LevelMeter';
+import ScrollingWaveform from './ScrollingWaveform';
+import LatencyOverlay from './LatencyOverlay';
+import AppointmentCard from './AppointmentCard';
+import ContactDetails from './ContactDetails';
+import useAudioDevices from '../hooks/useAudioDevices';
+import useVoiceSession from '../hooks/useVoiceSession';
+import { getMicrophoneStream } from '../lib/audioDevices';
+import { blobToBase64 } from '../lib/voiceSession';
+import { createChainedHttpTransport } from '../lib/transports/chainedHttp';
+import { createClipPlayer } from '../lib/clipPlayer';
+import { createLevelMeter, captureElementStream } from '../lib/levelMeter';
+import { createLatencyTracker, LatencyMark, CHAINED_METRICS } from '../lib/latencyMetrics';
+
+// Spoken when a session starts - tenants pass their own
+const DEFAULT_GREETING = "Hi there! Welcome to SherpaPrompt Fencing Company. I'm here to help with your fencing needs. Just start speaking naturally - I'll listen automatically. Could you tell me your name and email address to get started?";
+
+const ChainedVoiceAgent = ({ onStatusChange, selectedBusiness = 'sherpaprompt', greeting = DEFAULT_GREETING }) => {
   // Core state - simplified following OpenAI patterns
   const [isListening, setIsListening] = useState(false);
   const [isProcessing, setIsProcessing] = useState(false);
-  const [currentStatus, setCurrentStatus] = useState('Ready to start conversation');
-  const [sessionId, setSessionId] = useState(null);
-  const [userInfo, setUserInfo] = useState({ name: null, email: null, collected: false });
-  const [conversationCount, setConversationCount] = useState(0);
-  const [calendarLink, setCalendarLink] = useState(null);
-  const [appointmentDetails, setAppointmentDetails] = useState(null);
+  const [transcript, dispatchTranscript] = useReducer(transcriptReducer, initialTranscript);
+
+  // Session, status, mic and conversation data - shared with the other agents
+  const {
+    session,
+    sessionId,
+    status: currentStatus,
+    userInfo,
+    conversationCount,
+    calendarLink,
+    appointmentDetails,
+    micAvailable
+  } = useVoiceSession({
+    // The tenant is read once, when the session core is created
+    createTransport: () => createChainedHttpTransport({ businessId: selectedBusiness }),
+    logTag: 'VAD',
+    onStatusChange
+  });
+  const transport = session.getTransport();
+  const updateStatus = session.setStatus;
+
+  // Typed input - works with or without a microphone
+  const [speakReplies, setSpeakReplies] = useState(true);
+
+  // Mute stops listening; pause also holds the reply that is playing
+  const [isMuted, setIsMuted] = useState(false);
+  const [isPaused, setIsPaused] = useState(false);
+
+  // Microphone / speaker selection, remembered per browser
+  const {
+    inputs,
+    outputs,
+    inputId,
+    outputId,
+    selectInput,
+    selectOutput,
+    refreshDevices,
+    deviceChangeCount,
+    canSelectOutput
+  } = useAudioDevices({ outputTarget: 'element' });
+
+  // Live levels for the mic and the agent's voice
+  const [meters, setMeters] = useState({ mic: null, agent: null });
+  const [showWaveform, setShowWaveform] = useState(false);
+
+  // Per-turn latency statistics for the session
+  const [latency, setLatency] = useState({ stats: [], turnCount: 0 });
+  const [showLatency, setShowLatency] = useState(false);
 
   // VAD-specific state
   const [isSpeaking, setIsSpeaking] = useState(false);
@@ -27,11 +90,25 @@ const ChainedVoiceAgent = ({ onStatusChange }) => {
   // Refs for media handling and VAD
   const mediaRecorderRef = useRef(null);
   const audioChunksRef = useRef([]);
-  const streamRef = useRef(null);
   const vadRef = useRef(null);
   const silenceTimerRef = useRef(null);
   const speechStartTimeRef = useRef(null);
-  const audioContextRef = useRef(null);
+  const audioContextRef = useRef(null);     // Only used for level metering
+  const micMeterRef = useRef(null);
+  const agentMeterRef = useRef(null);
+  const latencyRef = useRef(null);        // Latency tracker, marked along the processing chain
+  const pausedRef = useRef(false);        // Mirrors isPaused for the async processing chain
+  const inputIdRef = useRef('');          // Mirror the device picks for callbacks created earlier
+  const outputIdRef = useRef('');
+
+  // Replies play one clip at a time; each is metered and counts as the turn's first audio
+  const [clipPlayer] = useState(() => createClipPlayer({
+    onPlaying: (audio) => {
+      // A filler phrase counts - it is the first thing the user hears
+      latencyRef.current?.mark(LatencyMark.FIRST_AUDIO);
+      agentMeterRef.current?.connectStream(captureElementStream(audio));
+    }
+  }));
 
   // VAD Configuration - Optimized for natural conversation with 2-3 second pause tolerance
   const VAD_CONFIG = {
@@ -50,14 +127,14 @@ const ChainedVoiceAgent = ({ onStatusChange }) => {
     maxRecordingTime: 45000,         // Maximum 45 seconds per recording
   };
 
-  useEffect(() => {
-    onStatusChange?.(currentStatus);
-  }, [currentStatus, onStatusChange]);
-
-  const updateStatus = useCallback((status) => {
-    setCurrentStatus(status);
-    console.log('📊 [VAD] Status:', status);
-  }, []);
+  // Microphone constraints, on top of the selected device
+  const MIC_CONSTRAINTS = {
+    sampleRate: 16000,
+    channelCount: 1,
+    echoCancellation: true,
+    noiseSuppression: true,
+    autoGainControl: true,
+  };
 
   // Initialize VAD with proper error handling and worklet fix
   const initializeVAD = useCallback(async () => {
@@ -66,7 +143,7 @@ const ChainedVoiceAgent = ({ onStatusChange }) => {
       updateStatus('Loading VAD model...');
 
       // Check if we have a stream
-      if (!streamRef.current) {
+      if (!session.getStream()) {
         throw new Error('No audio stream available');
       }
 
@@ -88,8 +165,9 @@ const ChainedVoiceAgent = ({ onStatusChange }) => {
         preSpeechPadFrames: VAD_CONFIG.preSpeechPadFrames,
         redemptionFrames: VAD_CONFIG.redemptionFrames,
         
-        // Audio stream
-        stream: streamRef.current,
+        // Audio stream - MicVAD opens its own, so point it at the selected microphone too
+        stream: session.getStream(),
+        additionalAudioConstraints: inputIdRef.current ? { deviceId: { exact: inputIdRef.current } } : {},
         
         // Event handlers
         onSpeechStart: handleSpeechStart,
@@ -165,6 +243,9 @@ const ChainedVoiceAgent = ({ onStatusChange }) => {
       return;
     }
     
+    // The turn's clock starts now - the silence wait counts towards the latency
+    latencyRef.current?.startTurn();
+
     // Start silence timer with configurable threshold
     console.log('⏰ [VAD] Starting silence timer (', VAD_CONFIG.silenceThreshold, 'ms)');
     updateStatus(`Listening... (waiting for ${VAD_CONFIG.silenceThreshold/1000}s silence)`);
@@ -185,7 +266,8 @@ const ChainedVoiceAgent = ({ onStatusChange }) => {
   // Start recording internally (called by VAD or manual trigger)
   const startRecordingInternal = useCallback(async () => {
     // Check if we have both stream and session
-    if (!streamRef.current) {
+    const stream = session.getStream();
+    if (!stream) {
       console.log('⚠️ [VAD] Cannot start recording: no audio stream');
       updateStatus('Error: No audio stream available');
       return;
@@ -199,7 +281,7 @@ const ChainedVoiceAgent = ({ onStatusChange }) => {
 
     try {
       console.log('🎙️ [VAD] Starting internal recording...');
-      console.log('🔍 [VAD] Stream state:', streamRef.current.active ? 'active' : 'inactive');
+      console.log('🔍 [VAD] Stream state:', stream.active ? 'active' : 'inactive');
       console.log('🔍 [VAD] Session ID:', sessionId);
       
       // Reset audio chunks
@@ -209,7 +291,7 @@ const ChainedVoiceAgent = ({ onStatusChange }) => {
       if (!mediaRecorderRef.current || mediaRecorderRef.current.state === 'inactive') {
         console.log('🎙️ [VAD] Creating new MediaRecorder...');
         
-        const mediaRecorder = new MediaRecorder(streamRef.current, {
+        const mediaRecorder = new MediaRecorder(stream, {
           mimeType: 'audio/webm;codecs=opus'
         });
         
@@ -277,36 +359,43 @@ const ChainedVoiceAgent = ({ onStatusChange }) => {
       console.log('🎙️ [VAD] Starting VAD-enabled conversation...');
       updateStatus('Starting conversation...');
 
-      // Get microphone permission with optimal settings for VAD
+      // Get microphone permission with optimal settings for VAD - without one the conversation continues by text
+      // Also resets the conversation data and creates the session ID
       console.log('🎤 [VAD] Requesting microphone access...');
-      const stream = await navigator.mediaDevices.getUserMedia({ 
-        audio: {
-          sampleRate: 16000,
-          channelCount: 1,
-          echoCancellation: true,
-          noiseSuppression: true,
-          autoGainControl: true,
-        } 
-      });
-      
-      streamRef.current = stream;
-      console.log('✅ [VAD] Microphone access granted');
-
-      // Create session ID
-      const newSessionId = `vad-session-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
-      setSessionId(newSessionId);
-      setUserInfo({ name: null, email: null, collected: false });
-      setConversationCount(0);
-      setCalendarLink(null);
-      setAppointmentDetails(null);
-      
-      console.log('✅ [VAD] Session started:', newSessionId);
+      const { stream, sessionId: newSessionId } = await session.start({ inputDeviceId: inputId, constraints: MIC_CONSTRAINTS });
+      if (stream) {
+        console.log('✅ [VAD] Microphone access granted');
+        // Device labels only become readable once access is granted
+        refreshDevices();
+      }
+
+      latencyRef.current = createLatencyTracker({ metrics: CHAINED_METRICS });
+      setLatency({ stats: latencyRef.current.getStats(), turnCount: 0 });
+
+      // Level meters - replies play through <audio> elements, which are tapped as they start
+      try {
+        audioContextRef.current = new (window.AudioContext || window.webkitAudioContext)();
+        micMeterRef.current = createLevelMeter(audioContextRef.current);
+        micMeterRef.current.connectStream(stream);
+        agentMeterRef.current = createLevelMeter(audioContextRef.current);
+        setMeters({ mic: micMeterRef.current, agent: agentMeterRef.current });
+      } catch (error) {
+        console.warn('⚠️ [VAD] Level meters unavailable:', error);
+      }
+
+      dispatchTranscript({ type: TranscriptAction.RESET });
 
       // Play initial greeting
-      const initialGreeting = "Hi there! Welcome to SherpaPrompt Fencing Company. I'm here to help with your fencing needs. Just start speaking naturally - I'll listen automatically. Could you tell me your name and email address to get started?";
+      dispatchTranscript({ type: TranscriptAction.FINAL, role: 'assistant', text: greeting });
+
+      if (!stream) {
+        updateStatus('Ready - type a message (no microphone)');
+        return;
+      }
       
       updateStatus('Playing greeting...');
-      await playTextAsAudio(initialGreeting, newSessionId);
+      // Ended while the greeting played
+      if (!await playTextAsAudio(greeting, newSessionId)) return;
 
       // Try to initialize VAD after we have the stream and session
       console.log('🎯 [VAD] Attempting to initialize VAD...');
@@ -335,12 +424,8 @@ const ChainedVoiceAgent = ({ onStatusChange }) => {
     
     // Stop VAD
     if (vadRef.current) {
-      try {
-        vadRef.current.destroy();
-        console.log('✅ [VAD] VAD instance destroyed');
-      } catch (error) {
-        console.error('❌ [VAD] Error destroying VAD:', error);
-      }
+      releaseVAD(vadRef.current);
+      console.log('✅ [VAD] VAD instance destroyed');
     }
     
     // Clear timers
@@ -354,36 +439,34 @@ const ChainedVoiceAgent = ({ onStatusChange }) => {
       mediaRecorderRef.current.stop();
     }
     
-    // Stop stream
-    if (streamRef.current) {
-      streamRef.current.getTracks().forEach(track => track.stop());
-      streamRef.current = null;
-    }
-
-    // Clean up session on server
-    if (sessionId) {
-      try {
-        await fetch(`${process.env.NEXT_PUBLIC_API_URL || 'http://localhost:3001'}/api/chained-voice/session/${sessionId}`, {
-          method: 'DELETE'
-        });
-        console.log('✅ [VAD] Session cleanup requested for:', sessionId);
-      } catch (error) {
-        console.error('❌ [VAD] Failed to cleanup session:', error);
-      }
+    // Stop any reply that is still playing
+    clipPlayer.stop();
+
+    // Stop metering
+    micMeterRef.current?.disconnect();
+    agentMeterRef.current?.disconnect();
+    micMeterRef.current = null;
+    agentMeterRef.current = null;
+    setMeters({ mic: null, agent: null });
+    if (audioContextRef.current) {
+      audioContextRef.current.close();
+      audioContextRef.current = null;
     }
 
     // Reset state
     setIsListening(false);
+    setIsMuted(false);
+    setIsPaused(false);
+    pausedRef.current = false;
     setIsProcessing(false);
     setIsSpeaking(false);
-    setSessionId(null);
-    setUserInfo({ name: null, email: null, collected: false });
-    setConversationCount(0);
     setVadInstance(null);
     setVadReady(false);
     vadRef.current = null;
     mediaRecorderRef.current = null;
-    updateStatus('Conversation ended');
+
+    // Release the microphone and clean up the session on the server
+    await session.stop();
   };
 
   const processAudioChain = async () => {
@@ -403,23 +486,17 @@ const ChainedVoiceAgent = ({ onStatusChange }) => {
 
       const audioBase64 = await blobToBase64(audioBlob);
 
-      // Step 2: Transcribe with Whisper
-      updateStatus('Transcribing...');
-      const transcriptionResponse = await fetch(`${process.env.NEXT_PUBLIC_API_URL || 'http://localhost:3001'}/api/chained-voice/transcribe`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ 
-          audio: audioBase64,
-          sessionId: sessionId 
-        }),
-      });
-
-      if (!transcriptionResponse.ok) {
-        throw new Error(`Transcription failed: ${transcriptionResponse.status}`);
+      // Manual recordings have no detected end of speech - time them from here
+      if (!latencyRef.current?.isTurnOpen()) {
+        latencyRef.current?.startTurn();
       }
 
-      const transcriptionData = await transcriptionResponse.json();
+      // Step 2: Transcribe with Whisper
+      updateStatus('Transcribing...');
+      latencyRef.current?.mark(LatencyMark.TRANSCRIBE_START);
+      const transcriptionData = await transport.transcribe(sessionId, audioBase64);
       const userText = transcriptionData.text;
+      latencyRef.current?.mark(LatencyMark.TRANSCRIBE_END);
       
       console.log('📝 [VAD] Transcribed:', userText);
 
@@ -429,134 +506,244 @@ const ChainedVoiceAgent = ({ onStatusChange }) => {
         return;
       }
 
-      // Step 3: Process with LLM and function calling
-      updateStatus('Processing with AI...');
-      const processResponse = await fetch(`${process.env.NEXT_PUBLIC_API_URL || 'http://localhost:3001'}/api/chained-voice/process`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ 
-          text: userText,
-          sessionId: sessionId 
-        }),
-      });
-
-      if (!processResponse.ok) {
-        throw new Error(`Processing failed: ${processResponse.status}`);
-      }
-
-      const processData = await processResponse.json();
-      const responseText = processData.response;
-      
-      console.log('🤖 [VAD] AI response:', responseText);
+      dispatchTranscript({ type: TranscriptAction.FINAL, role: 'user', text: userText });
+      await respondToUserText(userText);
 
-      // Update user info if collected
-      if (processData.userInfo) {
-        setUserInfo(processData.userInfo);
-      }
-
-      // Update calendar link if appointment was created
-      if (processData.calendarLink) {
-        setCalendarLink(processData.calendarLink);
-        setAppointmentDetails(processData.appointmentDetails);
-      }
+    } catch (error) {
+      console.error('❌ [VAD] Processing error:', error);
+      updateStatus(`Error: ${error.message}`);
+    } finally {
+      setIsProcessing(false);
+      finishLatencyTurn();
+    }
+  };
 
-      setConversationCount(prev => prev + 1);
+  /**
+   * Steps 3-5 of the chain, shared by spoken and typed input
+   * @param {string} userText
+   */
+  const respondToUserText = async (userText) => {
+    // Step 3: Process with LLM and function calling
+    updateStatus('Processing with AI...');
+    latencyRef.current?.mark(LatencyMark.PROCESS_START);
+    const processData = await transport.process(sessionId, userText);
+    const responseText = processData.response;
+    latencyRef.current?.mark(LatencyMark.PROCESS_END);
+    
+    console.log('🤖 [VAD] AI response:', responseText);
+    dispatchTranscript({ type: TranscriptAction.FINAL, role: 'assistant', text: responseText });
+
+    // Collected user info and a created appointment, if any - the exchange count stays ours
+    session.applyUpdate({
+      userInfo: processData.userInfo,
+      calendarLink: processData.calendarLink,
+      appointmentDetails: processData.appointmentDetails
+    });
+    session.countExchange();
 
-      // Play filler phrase first if available
-      if (processData.fillerPhrase) {
-        console.log('🔊 [VAD] Playing filler phrase:', processData.fillerPhrase);
-        updateStatus('Processing...');
-        await playTextAsAudio(processData.fillerPhrase, sessionId);
-      }
+    // Play filler phrase first if available - stopping it (ending the conversation) drops the reply
+    if (processData.fillerPhrase && speakReplies) {
+      console.log('🔊 [VAD] Playing filler phrase:', processData.fillerPhrase);
+      updateStatus('Processing...');
+      if (!await playTextAsAudio(processData.fillerPhrase, sessionId)) return;
+    }
 
-      // Step 4: Convert to speech with TTS
+    // Step 4: Convert to speech with TTS (skipped when replies are text-only)
+    if (speakReplies) {
       updateStatus('Converting to speech...');
-      const synthesisResponse = await fetch(`${process.env.NEXT_PUBLIC_API_URL || 'http://localhost:3001'}/api/chained-voice/synthesize`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ 
-          text: responseText,
-          sessionId: sessionId 
-        }),
-      });
+      latencyRef.current?.mark(LatencyMark.SYNTHESIZE_START);
+      const synthesisData = await transport.synthesize(sessionId, responseText);
+      latencyRef.current?.mark(LatencyMark.SYNTHESIZE_END);
+    
+      // Step 5: Play audio response - a reply that was stopped leaves the status to whoever stopped it
+      updateStatus('AI responding...');
+      if (!await playReply(synthesisData.audio)) return;
+    }
 
-      if (!synthesisResponse.ok) {
-        throw new Error(`Speech synthesis failed: ${synthesisResponse.status}`);
-      }
+    // Ready for next interaction
+    updateStatus(!session.getStream()
+      ? 'Ready - type a message (no microphone)'
+      : vadReady ? 'Listening... (speak naturally)' : 'Listening... (manual mode - use Force Start)');
+  };
 
-      const synthesisData = await synthesisResponse.json();
-      
-      // Step 5: Play audio response
-      updateStatus('AI responding...');
-      await playAudio(synthesisData.audio);
+  /**
+   * Push contact details the visitor corrected to the server session, so booking uses them
+   */
+  const handleContactSave = async (contact) => {
+    const { sessionId: currentSessionId, userInfo: currentUserInfo } = session.getState();
+    const data = await transport.updateUserInfo(currentSessionId, contact);
+    session.applyUpdate({ userInfo: data.userInfo || { ...currentUserInfo, ...contact, collected: true } });
+    console.log('👤 [VAD] Contact details corrected');
+  };
 
-      // Ready for next interaction
-      updateStatus(vadReady ? 'Listening... (speak naturally)' : 'Listening... (manual mode - use Force Start)');
+  // Typed alternative to speaking - skips transcription (steps 1-2)
+  const sendTextMessage = async (text) => {
+    if (!sessionId || isProcessing) return;
 
+    console.log('⌨️ [VAD] Sending text message');
+    latencyRef.current?.startTurn();
+    dispatchTranscript({ type: TranscriptAction.FINAL, role: 'user', text });
+    setIsProcessing(true);
+    try {
+      await respondToUserText(text);
     } catch (error) {
       console.error('❌ [VAD] Processing error:', error);
       updateStatus(`Error: ${error.message}`);
     } finally {
       setIsProcessing(false);
+      finishLatencyTurn();
     }
   };
 
+  /**
+   * Close the current turn's latency measurement and refresh the overlay
+   */
+  const finishLatencyTurn = () => {
+    const latencies = latencyRef.current?.finishTurn();
+    if (!latencies) return;
+    console.log('⏱️ [VAD] Turn latency (ms):', latencies);
+    setLatency({ stats: latencyRef.current.getStats(), turnCount: latencyRef.current.getTurnCount() });
+  };
+
+  /**
+   * Synthesize and play a line outside the main reply (greeting, filler phrase)
+   * @returns {Promise<boolean>} False if playback was stopped before the end
+   */
   const playTextAsAudio = async (text, currentSessionId = null) => {
     try {
-      const synthesisResponse = await fetch(`${process.env.NEXT_PUBLIC_API_URL || 'http://localhost:3001'}/api/chained-voice/synthesize`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ 
-          text: text,
-          sessionId: currentSessionId || sessionId 
-        }),
-      });
+      const synthesisData = await transport.synthesize(currentSessionId || sessionId, text);
+      return await playReply(synthesisData.audio);
+    } catch (error) {
+      console.error('❌ [VAD] Text-to-speech error:', error);
+      return true;
+    }
+  };
+
+  // Route to the chosen speaker; a reply that arrives while paused waits for resume
+  const playReply = (audioBase64) => clipPlayer.play(audioBase64, {
+    deviceId: outputIdRef.current,
+    autoplay: !pausedRef.current
+  });
+
+  // Throw away a recording in progress without sending it
+  const discardRecording = () => {
+    if (silenceTimerRef.current) {
+      clearTimeout(silenceTimerRef.current);
+      silenceTimerRef.current = null;
+    }
+    const recorder = mediaRecorderRef.current;
+    if (recorder && recorder.state === 'recording') {
+      recorder.ondataavailable = null;
+      recorder.onstop = null;
+      recorder.stop();
+    }
+    mediaRecorderRef.current = null;
+    audioChunksRef.current = [];
+    setIsSpeaking(false);
+  };
 
-      if (!synthesisResponse.ok) {
-        throw new Error('Speech synthesis failed');
+  const setListening = (listening) => {
+    try {
+      if (listening) {
+        vadRef.current?.start();
+      } else {
+        vadRef.current?.pause();
+        discardRecording();
       }
+    } catch (error) {
+      console.error('❌ [VAD] Error', listening ? 'starting' : 'pausing', 'VAD:', error);
+    }
+  };
 
-      const synthesisData = await synthesisResponse.json();
-      await playAudio(synthesisData.audio);
+  // MicVAD owns its stream and AudioContext - release both, not just the detector
+  const releaseVAD = (vad) => {
+    try {
+      if (typeof vad.destroy === 'function') {
+        vad.destroy();
+        return;
+      }
+      vad.pause();
+      vad.stream?.getTracks().forEach(track => track.stop());
+      vad.audioContext?.close();
     } catch (error) {
-      console.error('❌ [VAD] Text-to-speech error:', error);
+      console.error('❌ [VAD] Error releasing VAD:', error);
     }
   };
 
-  const blobToBase64 = (blob) => {
-    return new Promise((resolve, reject) => {
-      const reader = new FileReader();
-      reader.onload = () => {
-        const base64 = reader.result.split(',')[1];
-        resolve(base64);
-      };
-      reader.onerror = reject;
-      reader.readAsDataURL(blob);
-    });
+  /**
+   * Move recording and VAD to another microphone without ending the session
+   * @param {string} deviceId - '' for the system default
+   */
+  const switchMicrophone = async (deviceId) => {
+    if (!sessionId) return;
+
+    // Already on the requested device - the default is always re-opened since it may have moved
+    const currentTrack = session.getStream()?.getAudioTracks()[0];
+    if (deviceId && currentTrack?.readyState === 'live' && currentTrack.getSettings().deviceId === deviceId) return;
+
+    let stream;
+    try {
+      stream = await getMicrophoneStream(deviceId, MIC_CONSTRAINTS);
+    } catch (error) {
+      console.error('❌ [VAD] Could not switch microphone:', error);
+      if (session.getStream()) updateStatus('Could not switch microphone: ' + error.message);
+      return;
+    }
+
+    discardRecording();
+    const previousStream = session.replaceStream(stream);
+    micMeterRef.current?.connectStream(stream);
+    previousStream?.getTracks().forEach(track => track.stop());
+    console.log('🎧 [VAD] Microphone switched to:', stream.getAudioTracks()[0]?.label || 'default');
+
+    // Restart VAD on the new device - or start it, if the session had no microphone so far.
+    // Otherwise startConversation is still setting it up and will pick the new stream.
+    if (!vadRef.current && previousStream) return;
+    if (vadRef.current) {
+      releaseVAD(vadRef.current);
+      vadRef.current = null;
+    }
+    const vad = await initializeVAD();
+    setIsListening(true);
+    if (vad && (isMuted || isPaused)) {
+      vad.pause();
+    }
+    updateStatus(isPaused ? 'Paused' : isMuted ? 'Microphone muted - the AI can\'t hear you'
+      : vad ? 'Listening... (speak naturally)' : 'Listening... (manual mode - use Force Start)');
   };
 
-  const playAudio = (audioBase64) => {
-    return new Promise((resolve, reject) => {
-      try {
-        const audioBlob = new Blob([Uint8Array.from(atob(audioBase64), c => c.charCodeAt(0))], { type: 'audio/mp3' });
-        const audioUrl = URL.createObjectURL(audioBlob);
-        const audio = new Audio(audioUrl);
-        
-        audio.onended = () => {
-          URL.revokeObjectURL(audioUrl);
-          resolve();
-        };
-        
-        audio.onerror = (error) => {
-          URL.revokeObjectURL(audioUrl);
-          reject(error);
-        };
-        
-        audio.play();
-      } catch (error) {
-        reject(error);
-      }
-    });
+  // Follow the microphone live: a new pick, the saved device coming and going, or a new system default
+  useEffect(() => {
+    inputIdRef.current = inputId;
+    switchMicrophone(inputId);
+  }, [inputId, deviceChangeCount]);
+
+  // Replies go wherever the speaker picker says, including the one playing now
+  useEffect(() => {
+    outputIdRef.current = outputId;
+    clipPlayer.setOutputDevice(outputId);
+  }, [outputId, clipPlayer]);
+
+  const toggleMute = () => {
+    const muted = !isMuted;
+    setIsMuted(muted);
+    if (!isPaused) setListening(!muted);
+    console.log(muted ? '🔇 [VAD] Microphone muted' : '🎤 [VAD] Microphone unmuted');
+    updateStatus(muted ? 'Microphone muted - the AI can\'t hear you' : 'Listening... (speak naturally)');
+  };
+
+  const togglePause = () => {
+    const paused = !isPaused;
+    pausedRef.current = paused;
+    setIsPaused(paused);
+    if (!isMuted) setListening(!paused);
+    if (paused) {
+      clipPlayer.pause();
+    } else {
+      clipPlayer.resume();
+    }
+    console.log(paused ? '⏸️ [VAD] Conversation paused' : '▶️ [VAD] Conversation resumed');
+    updateStatus(paused ? 'Paused' : isMuted ? 'Resumed (microphone muted)' : 'Listening... (speak naturally)');
   };
 
   const handleToggleConversation = () => {
@@ -585,10 +772,10 @@ const ChainedVoiceAgent = ({ onStatusChange }) => {
         <button
           onClick={handleToggleConversation}
           disabled={isProcessing}
-          className={`relative w-20 h-20 rounded-full transition-all duration-300 transform hover:scale-105 active:scale-95 focus:outline-none focus:ring-4 focus:ring-purple-500/50 disabled:cursor-not-allowed disabled:transform-none ${
+          className={`relative w-20 h-20 rounded-full transition-all duration-300 transform hover:scale-105 active:scale-95 focus:outline-none focus:ring-4 focus:ring-brand/50 disabled:cursor-not-allowed disabled:transform-none ${
             sessionId
               ? 'bg-gradient-to-br from-red-500 to-red-600 hover:from-red-400 hover:to-red-500 shadow-lg shadow-red-500/25'
-              : 'bg-gradient-to-br from-purple-500 to-purple-600 hover:from-purple-400 hover:to-purple-500 shadow-lg shadow-purple-500/25'
+              : 'bg-gradient-to-br from-orb-from to-orb-to hover:brightness-110 shadow-lg shadow-brand/25'
           }`}
         >
           <div className="flex items-center justify-center text-white">
@@ -609,13 +796,26 @@ const ChainedVoiceAgent = ({ onStatusChange }) => {
         {sessionId ? 'End Conversation' : 'Start Conversation'}
       </p>
 
+      {/* Microphone / speaker selection - switches live during a session */}
+      <AudioDevicePicker
+        inputs={inputs}
+        outputs={outputs}
+        inputId={inputId}
+        outputId={outputId}
+        onInputChange={selectInput}
+        onOutputChange={selectOutput}
+        showOutput={canSelectOutput}
+      />
+
       {/* VAD Status Display - only show when conversation is active */}
       {sessionId && (
         <div className="flex flex-col items-center space-y-4">
           {/* Status Indicator - Non-clickable visual feedback */}
           <div className="relative">
             <div className={`w-24 h-24 rounded-full transition-all duration-500 flex items-center justify-center border-4 ${
-              isProcessing 
+              isPaused
+                ? 'bg-gray-500/20 border-gray-500/50 shadow-lg shadow-gray-500/20'
+                : isProcessing 
                 ? 'bg-yellow-500/20 border-yellow-500/50 shadow-lg shadow-yellow-500/20'
                 : isSpeaking 
                   ? 'bg-green-500/20 border-green-500/70 shadow-lg shadow-green-500/30 animate-pulse'
@@ -624,7 +824,11 @@ const ChainedVoiceAgent = ({ onStatusChange }) => {
                     : 'bg-gray-500/20 border-gray-500/50 shadow-lg shadow-gray-500/20'
             }`}>
               <div className="flex items-center justify-center text-white">
-                {isProcessing ? (
+                {isPaused ? (
+                  <Pause className="w-8 h-8 text-gray-400" />
+                ) : isMuted && !isProcessing ? (
+                  <MicOff className="w-8 h-8 text-red-400" />
+                ) : isProcessing ? (
                   <div className="w-5 h-5 border-2 border-yellow-400 border-t-transparent rounded-full animate-spin"></div>
                 ) : isSpeaking ? (
                   <div className="flex space-x-1">
@@ -644,7 +848,7 @@ const ChainedVoiceAgent = ({ onStatusChange }) => {
             </div>
             
             {/* Listening indicator ring */}
-            {isListening && !isProcessing && (
+            {isListening && !isProcessing && !isMuted && !isPaused && (
               <div className="absolute inset-0 rounded-full border-2 border-blue-400/30 animate-ping"></div>
             )}
           </div>
@@ -652,21 +856,91 @@ const ChainedVoiceAgent = ({ onStatusChange }) => {
           {/* Status Text */}
           <div className="text-center">
             <p className="text-white/90 text-base font-medium">
-              {isProcessing ? '🔄 Processing Speech' : 
+              {isPaused ? '⏸️ Paused' :
+               isProcessing ? '🔄 Processing Speech' : 
+               isMuted ? '🔇 Muted' :
                isSpeaking ? '🎤 Speech Detected' : 
                isListening ? (vadReady ? '👂 Listening for Speech' : '🔧 Manual Mode Active') : 
                '⏸️ Not Active'}
             </p>
             <p className="text-white/60 text-sm mt-1">
-              {isProcessing ? 'Converting speech to text...' : 
+              {isPaused ? 'Listening and playback are on hold' :
+               isProcessing ? 'Converting speech to text...' : 
+               isMuted ? 'The AI can\'t hear you until you unmute' :
                isSpeaking ? 'Recording your voice...' : 
                isListening ? (vadReady ? 'Speak naturally, I\'ll detect when you\'re done' : 'Use Force Start button to begin recording') : 
                'Voice detection inactive'}
             </p>
           </div>
 
+          {/* Live levels */}
+          <div className="w-64 space-y-1.5">
+            {micAvailable && (
+              <LevelMeter meter={meters.mic} label="You" barClassName={isMuted ? 'bg-red-400/50' : 'bg-green-400'} />
+            )}
+            <LevelMeter meter={meters.agent} label="AI" barClassName="bg-blue-400" />
+          </div>
+          {showWaveform && (
+            <ScrollingWaveform
+              traces={[
+                { meter: meters.mic, color: 'rgba(74, 222, 128, 0.8)' },
+                { meter: meters.agent, color: 'rgba(96, 165, 250, 0.8)' }
+              ]}
+              width={256}
+            />
+          )}
+          <div className="flex items-center space-x-4">
+            <label className="flex items-center space-x-2 text-white/50 text-xs cursor-pointer select-none">
+              <input
+                type="checkbox"
+                checked={showWaveform}
+                onChange={(e) => setShowWaveform(e.target.checked)}
+                className="accent-brand"
+              />
+              <span>Show waveform</span>
+            </label>
+            <label className="flex items-center space-x-2 text-white/50 text-xs cursor-pointer select-none">
+              <input
+                type="checkbox"
+                checked={showLatency}
+                onChange={(e) => setShowLatency(e.target.checked)}
+                className="accent-brand"
+              />
+              <span>Show latency</span>
+            </label>
+          </div>
+
+          {/* Mute / pause controls */}
+          <div className="flex space-x-2">
+            {micAvailable && (
+              <button
+                onClick={toggleMute}
+                disabled={isPaused}
+                className={`inline-flex items-center px-3 py-1 text-xs rounded border transition-all duration-200 disabled:opacity-50 disabled:cursor-not-allowed ${
+                  isMuted
+                    ? 'bg-red-500/20 hover:bg-red-500/30 text-red-300 border-red-500/40'
+                    : 'bg-white/5 hover:bg-white/10 text-white/70 hover:text-white/90 border-white/10'
+                }`}
+              >
+                {isMuted ? <MicOff className="w-3.5 h-3.5 mr-1" /> : <Mic className="w-3.5 h-3.5 mr-1" />}
+                {isMuted ? 'Unmute' : 'Mute'}
+              </button>
+            )}
+            <button
+              onClick={togglePause}
+              className={`inline-flex items-center px-3 py-1 text-xs rounded border transition-all duration-200 ${
+                isPaused
+                  ? 'bg-amber-500/20 hover:bg-amber-500/30 text-amber-300 border-amber-500/40'
+                  : 'bg-white/5 hover:bg-white/10 text-white/70 hover:text-white/90 border-white/10'
+              }`}
+            >
+              {isPaused ? <Play className="w-3.5 h-3.5 mr-1" /> : <Pause className="w-3.5 h-3.5 mr-1" />}
+              {isPaused ? 'Resume' : 'Pause'}
+            </button>
+          </div>
+
           {/* Manual override controls for testing - always show in manual mode */}
-          {isListening && !isProcessing && (
+          {isListening && !isProcessing && !isMuted && !isPaused && (
             <div className="flex space-x-2">
               <button
                 onClick={handleManualToggle}
@@ -692,18 +966,36 @@ const ChainedVoiceAgent = ({ onStatusChange }) => {
               ? 'bg-green-500/20 text-green-400 border-green-500/30'
               : isListening
                 ? 'bg-blue-500/20 text-blue-400 border-blue-500/30'
-                : 'bg-purple-500/20 text-purple-400 border-purple-500/30'
+                : 'bg-brand/20 text-brand-accent border-brand/30'
         }`}>
           <div className={`w-2 h-2 rounded-full mr-2 ${
             isProcessing ? 'bg-yellow-400' :
             isSpeaking ? 'bg-green-400 animate-pulse' :
             isListening ? 'bg-blue-400' :
-            'bg-purple-400'
+            'bg-brand-accent'
           }`}></div>
           {currentStatus}
         </div>
       </div>
 
+      {/* Typed input */}
+      {sessionId && (
+        <div className="w-full max-w-md space-y-1">
+          {!micAvailable && (
+            <p className="text-amber-400/80 text-xs text-center">🎙️ No microphone available - type your messages below</p>
+          )}
+          <TextMessageInput
+            onSend={sendTextMessage}
+            disabled={isProcessing || isPaused}
+            speakReplies={speakReplies}
+            onSpeakRepliesChange={setSpeakReplies}
+          />
+        </div>
+      )}
+
+      {/* Conversation Transcript */}
+      <ConversationTranscript turns={transcript} />
+
       {/* VAD Debug Info */}
       {sessionId && (
         <div className="text-center">
@@ -714,7 +1006,7 @@ const ChainedVoiceAgent = ({ onStatusChange }) => {
               <div>Listening: {isListening ? '🎧' : '🔇'}</div>
               <div>Speaking: {isSpeaking ? '🗣️' : '🤐'}</div>
               <div>Mode: {vadReady ? 'Automatic' : 'Manual'}</div>
-              <div>Stream: {streamRef.current?.active ? '✅' : '❌'}</div>
+              <div>Stream: {session.getStream()?.active ? '✅' : '❌'}</div>
               <div>Session: {sessionId ? '✅' : '❌'}</div>
               <div>Silence Threshold: {VAD_CONFIG.silenceThreshold}ms</div>
             </div>
@@ -723,16 +1015,12 @@ const ChainedVoiceAgent = ({ onStatusChange }) => {
       )}
 
       {/* User Information */}
-      {userInfo.name && (
-        <div className="text-center">
-          <div className="inline-block bg-white/5 backdrop-blur-sm rounded-xl border border-white/10 px-4 py-2">
-            <div className="text-white/90 text-sm font-semibold">User Info</div>
-            <div className="text-white/70 text-xs mt-1">
-              Name: {userInfo.name}
-              {userInfo.email && <> • Email: {userInfo.email}</>}
-            </div>
-          </div>
-        </div>
+      {(userInfo.name || userInfo.email) && (
+        <ContactDetails
+          userInfo={userInfo}
+          onSave={sessionId ? handleContactSave : undefined}
+          disabled={isProcessing}
+        />
       )}
 
       {/* Conversation Counter */}
@@ -746,31 +1034,21 @@ const ChainedVoiceAgent = ({ onStatusChange }) => {
         </div>
       )}
 
-      {/* Calendar Link */}
-      {calendarLink && appointmentDetails && (
-        <div className="text-center">
-          <div className="inline-block bg-gradient-to-r from-emerald-500/20 to-blue-500/20 backdrop-blur-sm rounded-xl border border-emerald-500/30 p-4 max-w-sm">
-            <div className="flex items-center justify-center mb-2">
-              <svg className="w-5 h-5 text-emerald-400 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M8 7V3m8 4V3m-9 8h10M5 21h14a2 2 0 002-2V7a2 2 0 00-2-2H5a2 2 0 00-2 2v12a2 2 0 002 2z" />
-              </svg>
-              <div className="text-emerald-400 text-sm font-semibold">Appointment Scheduled!</div>
-            </div>
-            
-            <div className="text-white/90 text-xs mb-3 space-y-1">
-              <div><strong>Service:</strong> {appointmentDetails.title}</div>
-              <div><strong>Date:</strong> {appointmentDetails.date}</div>
-              <div><strong>Time:</strong> {appointmentDetails.timeDisplay}</div>
-            </div>
-            
-            <button
-              onClick={() => window.open(calendarLink, '_blank')}
-              className="w-full bg-gradient-to-r from-emerald-500 to-blue-500 hover:from-emerald-400 hover:to-blue-400 text-white font-medium py-2 px-4 rounded-lg transition-all duration-300 transform hover:scale-105 focus:outline-none focus:ring-2 focus:ring-emerald-500/50 text-sm"
-            >
-              📅 View in Calendar
-            </button>
-          </div>
-        </div>
+      {/* Appointment */}
+      {appointmentDetails && (
+        <AppointmentCard
+          appointmentDetails={appointmentDetails}
+          calendarLink={calendarLink}
+          userInfo={userInfo}
+        />
+      )}
+
+      {showLatency && (
+        <LatencyOverlay
+          stats={latency.stats}
+          turnCount={latency.turnCount}
+          onClose={() => setShowLatency(false)}
+        />
       )}
     </div>
   );
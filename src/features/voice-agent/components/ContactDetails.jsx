@@ -0,0 +1,141 @@
+'use client';
+
+import { useState } from 'react';
+import { Check, Pencil, X } from 'lucide-react';
+import { normalizeContact, validateContact } from '../lib/contactInfo';
+
+const FIELDS = [
+  { key: 'name', label: 'Name', type: 'text', autoComplete: 'name' },
+  { key: 'email', label: 'Email', type: 'email', autoComplete: 'email' },
+  { key: 'phone', label: 'Phone', type: 'tel', autoComplete: 'tel' },
+];
+
+/**
+ * ContactDetails - Contact info the agent collected, correctable inline
+ * `onSave` receives the normalized details and should push them to the server
+ * session; a rejection keeps the form open with the error.
+ * @param {Object} userInfo - { name, email, phone }
+ * @param {(contact: Object) => Promise<void>} [onSave] - Omit for a read-only block
+ */
+const ContactDetails = ({ userInfo, onSave, disabled = false }) => {
+  const [editing, setEditing] = useState(false);
+  const [draft, setDraft] = useState({});
+  const [errors, setErrors] = useState({});
+  const [saving, setSaving] = useState(false);
+  const [saveError, setSaveError] = useState(null);
+
+  const startEditing = () => {
+    setDraft({ name: userInfo.name || '', email: userInfo.email || '', phone: userInfo.phone || '' });
+    setErrors({});
+    setSaveError(null);
+    setEditing(true);
+  };
+
+  const handleChange = (key, value) => {
+    setDraft((current) => ({ ...current, [key]: value }));
+    // Clear a field's error as soon as it's edited; the rest wait for the next save
+    if (errors[key]) setErrors(({ [key]: _cleared, ...rest }) => rest);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const contact = normalizeContact(draft);
+    const fieldErrors = validateContact(contact);
+    setErrors(fieldErrors);
+    if (Object.keys(fieldErrors).length > 0) return;
+
+    setSaving(true);
+    setSaveError(null);
+    try {
+      await onSave(contact);
+      setEditing(false);
+    } catch (error) {
+      console.error('❌ [Contact] Failed to update contact details:', error);
+      setSaveError('Could not update your details - please try again');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (!editing) {
+    return (
+      <div className="text-center">
+        <div className="inline-block bg-white/5 backdrop-blur-sm rounded-xl border border-white/10 px-4 py-2">
+          <div className="flex items-center justify-center text-white/90 text-sm font-semibold">
+            User Info
+            {onSave && (
+              <button
+                onClick={startEditing}
+                disabled={disabled}
+                className="ml-2 text-white/40 hover:text-white/80 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+                aria-label="Edit contact details"
+                title="Fix a misheard name, email or phone"
+              >
+                <Pencil className="w-3.5 h-3.5" />
+              </button>
+            )}
+          </div>
+          <div className="text-white/70 text-xs mt-1">
+            Name: {userInfo.name}
+            {userInfo.email && <> • Email: {userInfo.email}</>}
+            {userInfo.phone && <> • Phone: {userInfo.phone}</>}
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <form
+      onSubmit={handleSubmit}
+      noValidate
+      className="w-full max-w-sm mx-auto bg-white/5 backdrop-blur-sm rounded-xl border border-white/10 px-4 py-3 space-y-2"
+    >
+      <div className="text-white/90 text-sm font-semibold text-center">Edit your details</div>
+
+      {FIELDS.map(({ key, label, type, autoComplete }) => (
+        <div key={key}>
+          <label htmlFor={`contact-${key}`} className="block text-white/60 text-xs mb-1">{label}</label>
+          <input
+            id={`contact-${key}`}
+            type={type}
+            autoComplete={autoComplete}
+            value={draft[key]}
+            onChange={(e) => handleChange(key, e.target.value)}
+            disabled={saving}
+            aria-invalid={Boolean(errors[key])}
+            aria-describedby={errors[key] ? `contact-${key}-error` : undefined}
+            className={`w-full px-3 py-1.5 bg-slate-900/50 border rounded-lg text-white/90 text-sm focus:outline-none focus:ring-2 focus:ring-brand/50 disabled:opacity-50 ${errors[key] ? 'border-red-500/60' : 'border-white/20'}`}
+          />
+          {errors[key] && (
+            <p id={`contact-${key}-error`} className="text-red-400 text-xs mt-1">{errors[key]}</p>
+          )}
+        </div>
+      ))}
+
+      {saveError && <p className="text-red-400 text-xs text-center">{saveError}</p>}
+
+      <div className="flex justify-end gap-2 pt-1">
+        <button
+          type="button"
+          onClick={() => setEditing(false)}
+          disabled={saving}
+          className="flex items-center px-3 py-1 text-xs rounded border transition-all duration-200 bg-white/5 hover:bg-white/10 text-white/70 hover:text-white border-white/10 disabled:opacity-50"
+        >
+          <X className="w-3.5 h-3.5 mr-1" />
+          Cancel
+        </button>
+        <button
+          type="submit"
+          disabled={saving || disabled}
+          className="flex items-center px-3 py-1 text-xs rounded border transition-all duration-200 bg-brand/20 hover:bg-brand/30 text-brand-soft border-brand/30 disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          <Check className="w-3.5 h-3.5 mr-1" />
+          {saving ? 'Saving…' : 'Save'}
+        </button>
+      </div>
+    </form>
+  );
+};
+
+export default ContactDetails;
@@ -0,0 +1,84 @@
+'use client';
+
+import { useRef, useEffect } from 'react';
+
+// How close to the bottom (px) still counts as "following" the conversation
+const STICK_THRESHOLD = 48;
+
+/**
+ * ConversationTranscript - Scrolling chat-style transcript of a voice session
+ * Streams assistant text in place and follows new turns unless the reader has scrolled up.
+ */
+const ConversationTranscript = ({ turns, agentName = 'AI' }) => {
+  const containerRef = useRef(null);
+  const stickToBottomRef = useRef(true);
+
+  useEffect(() => {
+    const container = containerRef.current;
+    if (container && stickToBottomRef.current) {
+      container.scrollTop = container.scrollHeight;
+    }
+  }, [turns]);
+
+  const handleScroll = () => {
+    const container = containerRef.current;
+    if (!container) return;
+    const distanceFromBottom = container.scrollHeight - container.scrollTop - container.clientHeight;
+    stickToBottomRef.current = distanceFromBottom < STICK_THRESHOLD;
+  };
+
+  if (turns.length === 0) {
+    return null;
+  }
+
+  return (
+    <div className="w-full bg-white/5 backdrop-blur-sm rounded-xl border border-white/10 p-3">
+      <div className="text-white/90 text-sm font-semibold mb-2 text-center">Conversation</div>
+      <div
+        ref={containerRef}
+        onScroll={handleScroll}
+        className="max-h-72 overflow-y-auto space-y-2 pr-1"
+      >
+        {turns.map((turn) => {
+          const isUser = turn.role === 'user';
+          return (
+            <div key={turn.id} className={`flex ${isUser ? 'justify-end' : 'justify-start'}`}>
+              <div className={`max-w-[85%] rounded-lg px-3 py-2 text-xs ${
+                isUser
+                  ? 'bg-green-500/20 border border-green-500/30 text-white/90'
+                  : turn.status === 'interrupted'
+                    ? 'bg-blue-500/10 border border-dashed border-blue-500/30 text-white/60'
+                    : 'bg-blue-500/20 border border-blue-500/30 text-white/90'
+              }`}>
+                <div className="text-[10px] uppercase tracking-wide text-white/50 mb-0.5">
+                  {isUser ? 'You' : agentName}
+                  {' • '}
+                  {new Date(turn.startedAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit', second: '2-digit' })}
+                </div>
+                <div className="whitespace-pre-wrap">
+                  {turn.cutoff !== null && turn.cutoff !== undefined ? (
+                    <>
+                      {turn.text.slice(0, turn.cutoff)}
+                      <span className="text-amber-400/80" title="You interrupted here">{' ⏸ '}</span>
+                      <span className="line-through text-white/30">{turn.text.slice(turn.cutoff).trimStart()}</span>
+                    </>
+                  ) : (
+                    turn.text || (turn.status === 'streaming' ? '…' : '')
+                  )}
+                  {turn.status === 'streaming' && turn.text && (
+                    <span className="inline-block w-1.5 h-3 ml-0.5 bg-white/60 animate-pulse align-middle"></span>
+                  )}
+                </div>
+                {turn.status === 'interrupted' && (
+                  <div className="text-[10px] text-amber-400/80 mt-1">⏸ Interrupted</div>
+                )}
+              </div>
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+export default ConversationTranscript;
@@ -0,0 +1,57 @@
+'use client';
+
+import { Timer, X } from 'lucide-react';
+
+const formatMs = (ms) => (ms === null ? '–' : `${ms} ms`);
+
+/**
+ * LatencyOverlay - Floating table of per-turn latencies for the session
+ * @param {Array} stats - From a latency tracker's getStats()
+ */
+const LatencyOverlay = ({ stats, turnCount, onClose }) => {
+  return (
+    <div className="fixed bottom-4 right-4 z-50 w-80 bg-slate-900/90 backdrop-blur-sm rounded-xl border border-white/10 p-3 shadow-lg text-xs">
+      <div className="flex items-center justify-between mb-2">
+        <h4 className="flex items-center text-white/80 font-medium">
+          <Timer className="w-3.5 h-3.5 mr-1" aria-hidden="true" />
+          Latency
+          <span className="ml-2 text-white/40 font-normal">{turnCount} {turnCount === 1 ? 'turn' : 'turns'}</span>
+        </h4>
+        <button
+          onClick={onClose}
+          className="text-white/40 hover:text-white/80 transition-colors"
+          aria-label="Close latency overlay"
+        >
+          <X className="w-3.5 h-3.5" />
+        </button>
+      </div>
+
+      <table className="w-full text-left tabular-nums">
+        <thead>
+          <tr className="text-white/40">
+            <th className="font-normal pb-1">Metric</th>
+            <th className="font-normal pb-1 text-right">Last</th>
+            <th className="font-normal pb-1 text-right">p50</th>
+            <th className="font-normal pb-1 text-right">p95</th>
+          </tr>
+        </thead>
+        <tbody>
+          {stats.map(({ key, label, last, p50, p95 }) => (
+            <tr key={key} className="text-white/80">
+              <td className="py-0.5 pr-2">{label}</td>
+              <td className="py-0.5 text-right">{formatMs(last)}</td>
+              <td className="py-0.5 text-right">{formatMs(p50)}</td>
+              <td className="py-0.5 text-right">{formatMs(p95)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      {turnCount === 0 && (
+        <p className="mt-2 text-white/40">Timings appear after the first reply.</p>
+      )}
+    </div>
+  );
+};
+
+export default LatencyOverlay;
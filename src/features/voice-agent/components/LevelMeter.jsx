@@ -0,0 +1,46 @@
+'use client';
+
+import { useRef, useEffect } from 'react';
+
+/**
+ * LevelMeter - Live horizontal level bar for a microphone or the agent's voice
+ * Reads the meter on every animation frame and updates the DOM directly, so a
+ * moving level doesn't re-render the agent.
+ */
+const LevelMeter = ({ meter, label, barClassName = 'bg-green-400' }) => {
+  const barRef = useRef(null);
+
+  useEffect(() => {
+    const bar = barRef.current;
+    if (!bar) return;
+
+    if (!meter) {
+      bar.style.width = '0%';
+      return;
+    }
+
+    let frame;
+    let displayed = 0;
+    const draw = () => {
+      // Fast attack, slow release - easier to read than the raw level
+      const level = meter.getLevel();
+      displayed = level > displayed ? level : displayed * 0.9 + level * 0.1;
+      bar.style.width = `${Math.round(displayed * 100)}%`;
+      frame = requestAnimationFrame(draw);
+    };
+    frame = requestAnimationFrame(draw);
+
+    return () => cancelAnimationFrame(frame);
+  }, [meter]);
+
+  return (
+    <div className="flex items-center space-x-2 w-full">
+      <span className="text-white/60 text-xs w-12 shrink-0">{label}</span>
+      <div className="flex-1 h-1.5 bg-white/10 rounded-full overflow-hidden">
+        <div ref={barRef} className={`h-full rounded-full transition-[width] duration-75 ${barClassName}`} style={{ width: '0%' }} />
+      </div>
+    </div>
+  );
+};
+
+export default LevelMeter;
@@ -1,21 +1,49 @@
 'use client';
 
-import { useState, useRef, useEffect, useCallback } from 'react';
+import { useState, useRef, useEffect } from 'react';
+import { Mic, MicOff, Pause, Play } from 'lucide-react';
+import AudioDevicePicker from './AudioDevicePicker';
+import LevelMeter from './LevelMeter';
+import ScrollingWaveform from './ScrollingWaveform';
+import AppointmentCard from './AppointmentCard';
+import ContactDetails from './ContactDetails';
+import useAudioDevices from '../hooks/useAudioDevices';
+import useVoiceSession from '../hooks/useVoiceSession';
+import { getMicrophoneStream } from '../lib/audioDevices';
+import { blobToBase64 } from '../lib/voiceSession';
+import { createPollingVadTransport } from '../lib/transports/pollingVad';
+import { createClipPlayer } from '../lib/clipPlayer';
+import { createLevelMeter, captureElementStream } from '../lib/levelMeter';
+
+// Spoken when a session starts - tenants pass their own
+const DEFAULT_GREETING = "Hi there, this is Scout, SherpaPrompt's virtual assistant. Parts of this call may be recorded so we can better understand your needs and improve our service. Who am I speaking with?";
 
 /**
  * RealtimeVADVoiceAgent - Uses OpenAI's Realtime API for server-side VAD
  * Integrates with existing STT-TTS pipeline
  * Streams audio to server which connects to OpenAI Realtime API for VAD processing
  */
-const RealtimeVADVoiceAgent = ({ onStatusChange }) => {
+const RealtimeVADVoiceAgent = ({ onStatusChange, selectedBusiness = 'sherpaprompt', greeting = DEFAULT_GREETING }) => {
   // Core state
   const [isProcessing, setIsProcessing] = useState(false);
-  const [currentStatus, setCurrentStatus] = useState('Ready to start conversation');
-  const [sessionId, setSessionId] = useState(null);
-  const [userInfo, setUserInfo] = useState({ name: null, email: null, collected: false });
-  const [conversationCount, setConversationCount] = useState(0);
-  const [calendarLink, setCalendarLink] = useState(null);
-  const [appointmentDetails, setAppointmentDetails] = useState(null);
+
+  // Session, status, mic and conversation data - shared with the other agents
+  const {
+    session,
+    sessionId,
+    userInfo,
+    conversationCount,
+    calendarLink,
+    appointmentDetails
+  } = useVoiceSession({
+    // The tenant is read once, when the session core is created
+    createTransport: () => createPollingVadTransport({ businessId: selectedBusiness }),
+    requireMicrophone: true,
+    logTag: 'RealtimeVAD',
+    onStatusChange
+  });
+  const transport = session.getTransport();
+  const updateStatus = session.setStatus;
 
   // Realtime VAD specific states
   const [vadSessionActive, setVadSessionActive] = useState(false);
@@ -24,30 +52,59 @@ const RealtimeVADVoiceAgent = ({ onStatusChange }) => {
   const [vadStatus, setVadStatus] = useState({ exists: false });
   // Always use server_vad - simpler and more reliable
 
+  // Mute stops sending audio; pause also holds the reply that is playing
+  const [isMuted, setIsMuted] = useState(false);
+  const [isPaused, setIsPaused] = useState(false);
+
+  // Live levels for the mic and the agent's voice
+  const [meters, setMeters] = useState({ mic: null, agent: null });
+  const [showWaveform, setShowWaveform] = useState(false);
+
+  // Microphone / speaker selection, remembered per browser
+  const {
+    inputs,
+    outputs,
+    inputId,
+    outputId,
+    selectInput,
+    selectOutput,
+    refreshDevices,
+    deviceChangeCount,
+    canSelectOutput
+  } = useAudioDevices({ outputTarget: 'element' });
+
   // Refs for audio handling
   const mediaRecorderRef = useRef(null);
-  const streamRef = useRef(null);
   const audioChunksRef = useRef([]);
   const vadIntervalRef = useRef(null);
   const statusIntervalRef = useRef(null);
   const responseIntervalRef = useRef(null);
-  const currentAudioRef = useRef(null); // Track currently playing audio for interruption
+  const outputIdRef = useRef('');        // Mirrors outputId for playback started from intervals
+  const meterContextRef = useRef(null);  // AudioContext used only for level metering
+  const micMeterRef = useRef(null);
+  const agentMeterRef = useRef(null);
+  const mutedRef = useRef(false);        // Mirror isMuted / isPaused for the streaming and polling intervals
+  const pausedRef = useRef(false);
+
+  // Replies play one clip at a time, so barge-in can stop the current one
+  const [clipPlayer] = useState(() => createClipPlayer({
+    // Meter the reply once it has audio to tap
+    onPlaying: (audio) => agentMeterRef.current?.connectStream(captureElementStream(audio))
+  }));
 
   // Realtime VAD configuration
   const VAD_CONFIG = {
     chunkIntervalMs: 1000,        // Send 1-second chunks to server
     statusCheckIntervalMs: 1000,  // Check status every second
     responseCheckIntervalMs: 500, // Check for response audio every 500ms
-    apiUrl: process.env.NEXT_PUBLIC_API_URL || 'http://localhost:3001'
   };
 
-  useEffect(() => {
-    onStatusChange?.(currentStatus);
-  }, [currentStatus, onStatusChange]);
-
-  const updateStatus = (status) => {
-    setCurrentStatus(status);
-    console.log('📊 [RealtimeVAD] Status:', status);
+  // Microphone constraints, on top of the selected device
+  const MIC_CONSTRAINTS = {
+    sampleRate: 16000,
+    channelCount: 1,
+    echoCancellation: true,
+    noiseSuppression: true,
   };
 
   /**
@@ -58,33 +115,27 @@ const RealtimeVADVoiceAgent = ({ onStatusChange }) => {
       console.log('🎙️ [RealtimeVAD] Starting Realtime API VAD conversation...');
       updateStatus('Starting conversation...');
 
-      // Get microphone permission
-      const stream = await navigator.mediaDevices.getUserMedia({
-        audio: {
-          sampleRate: 16000,
-          channelCount: 1,
-          echoCancellation: true,
-          noiseSuppression: true,
-        },
-      });
+      // Get microphone permission - this agent can't run without one - and create the session ID
+      const { stream, sessionId: newSessionId } = await session.start({ inputDeviceId: inputId, constraints: MIC_CONSTRAINTS });
+      // Device labels only become readable once access is granted
+      refreshDevices();
 
-      streamRef.current = stream;
-
-      // Create session ID
-      const newSessionId = `realtime-vad-session-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
-      setSessionId(newSessionId);
-      setUserInfo({ name: null, email: null, collected: false });
-      setConversationCount(0);
-      setCalendarLink(null);
-      setAppointmentDetails(null);
-
-      console.log('✅ [RealtimeVAD] Session started:', newSessionId);
+      // Level meters - replies play through <audio> elements, which are tapped as they start
+      try {
+        meterContextRef.current = new (window.AudioContext || window.webkitAudioContext)();
+        micMeterRef.current = createLevelMeter(meterContextRef.current);
+        micMeterRef.current.connectStream(stream);
+        agentMeterRef.current = createLevelMeter(meterContextRef.current);
+        setMeters({ mic: micMeterRef.current, agent: agentMeterRef.current });
+      } catch (error) {
+        console.warn('⚠️ [RealtimeVAD] Level meters unavailable:', error);
+      }
 
       // Play initial greeting using existing TTS
-      const initialGreeting = "Hi there, this is Scout, SherpaPrompt's virtual assistant. Parts of this call may be recorded so we can better understand your needs and improve our service. Who am I speaking with?";
 
       updateStatus('Playing greeting...');
-      await playTextAsAudio(initialGreeting, newSessionId);
+      // Ended while the greeting played
+      if (!await playTextAsAudio(greeting, newSessionId)) return;
 
       // Start Realtime VAD session
       await startRealtimeVAD(newSessionId);
@@ -104,17 +155,7 @@ const RealtimeVADVoiceAgent = ({ onStatusChange }) => {
       updateStatus('Initializing Realtime VAD...');
 
       // Start VAD session on server (always server_vad)
-      const vadStartResponse = await fetch(`${VAD_CONFIG.apiUrl}/api/chained-voice/realtime-vad/start`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ sessionId }),
-      });
-
-      if (!vadStartResponse.ok) {
-        throw new Error(`Failed to start Realtime VAD session: ${vadStartResponse.status}`);
-      }
-
-      const vadStartData = await vadStartResponse.json();
+      const vadStartData = await transport.startVad(sessionId);
       console.log('✅ [RealtimeVAD] Realtime API VAD session started:', vadStartData);
 
       setVadSessionActive(true);
@@ -143,7 +184,8 @@ const RealtimeVADVoiceAgent = ({ onStatusChange }) => {
    * Start continuous audio streaming to server
    */
   const startAudioStreaming = (currentSessionId) => {
-    if (!streamRef.current) {
+    const stream = session.getStream();
+    if (!stream) {
       console.error('❌ [RealtimeVAD] No audio stream available');
       return;
     }
@@ -160,18 +202,18 @@ const RealtimeVADVoiceAgent = ({ onStatusChange }) => {
       let mediaRecorder;
       try {
         // Try PCM first (if supported)
-        mediaRecorder = new MediaRecorder(streamRef.current, {
+        mediaRecorder = new MediaRecorder(stream, {
           mimeType: 'audio/wav'
         });
       } catch (e) {
         try {
           // Fallback to WebM
-          mediaRecorder = new MediaRecorder(streamRef.current, {
+          mediaRecorder = new MediaRecorder(stream, {
             mimeType: 'audio/webm;codecs=opus'
           });
         } catch (e2) {
           // Final fallback - let browser choose
-          mediaRecorder = new MediaRecorder(streamRef.current);
+          mediaRecorder = new MediaRecorder(stream);
         }
       }
 
@@ -209,7 +251,7 @@ const RealtimeVADVoiceAgent = ({ onStatusChange }) => {
               
               // Wait a bit for the stop event to process, then restart
               setTimeout(() => {
-                if (mediaRecorderRef.current && streamRef.current) {
+                if (mediaRecorderRef.current && session.getStream()) {
                   mediaRecorderRef.current.start();
                 }
               }, 100);
@@ -236,6 +278,12 @@ const RealtimeVADVoiceAgent = ({ onStatusChange }) => {
       return;
     }
 
+    // Muted or paused - the server's VAD must not hear it
+    if (mutedRef.current || pausedRef.current) {
+      audioChunksRef.current = [];
+      return;
+    }
+
     try {
       // Combine audio chunks
       const audioBlob = new Blob(audioChunksRef.current, { type: 'audio/webm' });
@@ -249,22 +297,14 @@ const RealtimeVADVoiceAgent = ({ onStatusChange }) => {
       console.log('📤 [RealtimeVAD] Sending audio chunk to server:', audioBase64.length, 'chars base64');
 
       // Send to server for Realtime VAD processing
-      const vadResponse = await fetch(`${VAD_CONFIG.apiUrl}/api/chained-voice/realtime-vad/audio`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          sessionId: currentSessionId,
-          audio: audioBase64,
-          commit: false // Don't commit yet, let VAD decide
-        }),
-      });
-
-      if (!vadResponse.ok) {
-        console.warn('⚠️ [RealtimeVAD] VAD processing failed:', vadResponse.status);
+      // Not committed - the server's VAD decides when the turn ends
+      let vadResult;
+      try {
+        vadResult = await transport.sendAudio(currentSessionId, audioBase64);
+      } catch (error) {
+        console.warn('⚠️ [RealtimeVAD]', error.message);
         return;
       }
-
-      const vadResult = await vadResponse.json();
       console.log('✅ [RealtimeVAD] Audio sent to Realtime VAD successfully:', vadResult.audioSize, 'bytes');
 
     } catch (error) {
@@ -278,25 +318,20 @@ const RealtimeVADVoiceAgent = ({ onStatusChange }) => {
   const startStatusMonitoring = (sessionId) => {
     statusIntervalRef.current = setInterval(async () => {
       try {
-        const statusResponse = await fetch(`${VAD_CONFIG.apiUrl}/api/chained-voice/realtime-vad/status/${sessionId}`);
-        
-        if (statusResponse.ok) {
-          const statusData = await statusResponse.json();
-          setVadStatus(statusData);
-          
-          // Update speaking state based on VAD status
-          if (statusData.hasSpeech !== isSpeaking) {
-            setIsSpeaking(statusData.hasSpeech);
-            console.log('🎤 [RealtimeVAD] Speaking state changed:', statusData.hasSpeech);
-            
-            // If user starts speaking while agent is playing audio, interrupt it (barge-in)
-            if (statusData.hasSpeech && currentAudioRef.current) {
-              console.log('🛑 [Barge-in] User started speaking - interrupting agent audio');
-              currentAudioRef.current.pause();
-              currentAudioRef.current = null;
-              setIsProcessing(false);
-              updateStatus('Listening... (interrupted)');
-            }
+        const statusData = await transport.getStatus(sessionId);
+        setVadStatus(statusData);
+
+        // Update speaking state based on VAD status
+        if (statusData.hasSpeech !== isSpeaking) {
+          setIsSpeaking(statusData.hasSpeech);
+          console.log('🎤 [RealtimeVAD] Speaking state changed:', statusData.hasSpeech);
+
+          // If user starts speaking while agent is playing audio, interrupt it (barge-in)
+          if (statusData.hasSpeech && clipPlayer.isPlaying()) {
+            console.log('🛑 [Barge-in] User started speaking - interrupting agent audio');
+            clipPlayer.stop();
+            setIsProcessing(false);
+            updateStatus('Listening... (interrupted)');
           }
         }
       } catch (error) {
@@ -311,45 +346,30 @@ const RealtimeVADVoiceAgent = ({ onStatusChange }) => {
   const startResponseMonitoring = (sessionId) => {
     responseIntervalRef.current = setInterval(async () => {
       try {
-        const responseResponse = await fetch(`${VAD_CONFIG.apiUrl}/api/chained-voice/realtime-vad/response/${sessionId}`);
-        
-        if (responseResponse.ok) {
-          const responseData = await responseResponse.json();
-          
-          if (responseData.hasResponse && responseData.responseAudio) {
-            console.log('🔊 [RealtimeVAD] Received response audio from server');
-            
-            // Update conversation state
-            if (responseData.userInfo) {
-              setUserInfo(responseData.userInfo);
-            }
-            
-            if (responseData.calendarLink) {
-              setCalendarLink(responseData.calendarLink);
-              setAppointmentDetails(responseData.appointmentDetails);
-            }
-            
-            if (responseData.conversationCount) {
-              setConversationCount(responseData.conversationCount);
-            }
-            
-            // Play filler phrase first if available
-            if (responseData.fillerPhrase) {
-              console.log('🔊 [RealtimeVAD] Playing filler phrase:', responseData.fillerPhrase);
-              setIsProcessing(true);
-              updateStatus('Processing...');
-              await playTextAsAudio(responseData.fillerPhrase, sessionId);
-            }
-            
-            // Play the response audio
+        const responseData = await transport.getResponse(sessionId);
+
+        if (responseData.hasResponse && responseData.responseAudio) {
+          console.log('🔊 [RealtimeVAD] Received response audio from server');
+
+          // Update conversation state (user info, appointment, exchange count)
+          session.applyUpdate(responseData);
+
+          // Play filler phrase first if available - a barge-in during it drops the reply
+          if (responseData.fillerPhrase) {
+            console.log('🔊 [RealtimeVAD] Playing filler phrase:', responseData.fillerPhrase);
             setIsProcessing(true);
-            updateStatus('AI responding...');
-            
-            await playAudio(responseData.responseAudio);
-            
-            setIsProcessing(false);
-            updateStatus('Listening... (server VAD)');
+            updateStatus('Processing...');
+            if (!await playTextAsAudio(responseData.fillerPhrase, sessionId)) return;
           }
+
+          // Play the response audio - the barge-in that stops it sets the status itself
+          setIsProcessing(true);
+          updateStatus('AI responding...');
+
+          if (!await playReply(responseData.responseAudio)) return;
+
+          setIsProcessing(false);
+          updateStatus('Listening... (server VAD)');
         }
       } catch (error) {
         console.warn('⚠️ [RealtimeVAD] Response check failed:', error);
@@ -363,19 +383,6 @@ const RealtimeVADVoiceAgent = ({ onStatusChange }) => {
   const stopConversation = async () => {
     console.log('⏹️ [RealtimeVAD] Stopping conversation...');
 
-    // Stop Realtime VAD session on server
-    if (sessionId && vadSessionActive) {
-      try {
-        await fetch(`${VAD_CONFIG.apiUrl}/api/chained-voice/realtime-vad/stop`, {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({ sessionId }),
-        });
-      } catch (error) {
-        console.error('❌ [RealtimeVAD] Failed to stop Realtime VAD session:', error);
-      }
-    }
-
     // Stop audio streaming
     if (vadIntervalRef.current) {
       clearInterval(vadIntervalRef.current);
@@ -397,114 +404,130 @@ const RealtimeVADVoiceAgent = ({ onStatusChange }) => {
       mediaRecorderRef.current.stop();
     }
 
-    // Stop stream
-    if (streamRef.current) {
-      streamRef.current.getTracks().forEach(track => track.stop());
-      streamRef.current = null;
-    }
-
-    // Clean up session on server (existing endpoint)
-    if (sessionId) {
-      try {
-        await fetch(`${VAD_CONFIG.apiUrl}/api/chained-voice/session/${sessionId}`, {
-          method: 'DELETE'
-        });
-        console.log('✅ [RealtimeVAD] Session cleanup requested for:', sessionId);
-      } catch (error) {
-        console.error('❌ [RealtimeVAD] Failed to cleanup session:', error);
-      }
+    // Stop any reply that is still playing
+    clipPlayer.stop();
+
+    // Stop metering
+    micMeterRef.current?.disconnect();
+    agentMeterRef.current?.disconnect();
+    micMeterRef.current = null;
+    agentMeterRef.current = null;
+    setMeters({ mic: null, agent: null });
+    if (meterContextRef.current) {
+      meterContextRef.current.close();
+      meterContextRef.current = null;
     }
 
     // Reset state
     setIsProcessing(false);
-    setSessionId(null);
-    setUserInfo({ name: null, email: null, collected: false });
-    setConversationCount(0);
-    setCalendarLink(null);
-    setAppointmentDetails(null);
+    setIsMuted(false);
+    setIsPaused(false);
+    mutedRef.current = false;
+    pausedRef.current = false;
     setVadSessionActive(false);
     setIsListening(false);
     setIsSpeaking(false);
     setVadStatus({ exists: false });
-    updateStatus('Conversation ended');
+
+    // Release the microphone, stop server VAD and clean up the session on the server
+    await session.stop();
   };
 
   /**
    * Play text as audio using existing TTS endpoint
+   * @returns {Promise<boolean>} False if playback was stopped before the end
    */
   const playTextAsAudio = async (text, currentSessionId = null) => {
     try {
-      const synthesisResponse = await fetch(`${VAD_CONFIG.apiUrl}/api/chained-voice/synthesize`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          text: text,
-          sessionId: currentSessionId || sessionId
-        }),
-      });
-
-      if (!synthesisResponse.ok) {
-        throw new Error('Speech synthesis failed');
-      }
-
-      const synthesisData = await synthesisResponse.json();
-      await playAudio(synthesisData.audio);
+      const synthesisData = await transport.synthesize(currentSessionId || sessionId, text);
+      return await playReply(synthesisData.audio);
     } catch (error) {
       console.error('❌ [RealtimeVAD] Text-to-speech error:', error);
+      return true;
     }
   };
 
   // Server VAD only - no mode switching needed
 
+  // Route to the chosen speaker before starting; a new reply cuts off the one playing,
+  // and one that arrives while paused waits for resume
+  const playReply = (audioBase64) => {
+    if (clipPlayer.isPlaying()) {
+      console.log('🛑 [Interruption] Stopping current audio playback');
+    }
+    return clipPlayer.play(audioBase64, { deviceId: outputIdRef.current, autoplay: !pausedRef.current });
+  };
+
   /**
-   * Utility functions (unchanged from original)
+   * Move audio streaming to another microphone without ending the session
+   * @param {string} deviceId - '' for the system default
    */
-  const blobToBase64 = (blob) => {
-    return new Promise((resolve, reject) => {
-      const reader = new FileReader();
-      reader.onload = () => {
-        const base64 = reader.result.split(',')[1];
-        resolve(base64);
-      };
-      reader.onerror = reject;
-      reader.readAsDataURL(blob);
-    });
-  };
+  const switchMicrophone = async (deviceId) => {
+    if (!sessionId || !session.getStream()) return;
 
-  const playAudio = (audioBase64) => {
-    return new Promise((resolve, reject) => {
-      try {
-        // Stop any currently playing audio (interruption)
-        if (currentAudioRef.current) {
-          console.log('🛑 [Interruption] Stopping current audio playback');
-          currentAudioRef.current.pause();
-          currentAudioRef.current = null;
-        }
+    // Already on the requested device - the default is always re-opened since it may have moved
+    const currentTrack = session.getStream().getAudioTracks()[0];
+    if (deviceId && currentTrack?.readyState === 'live' && currentTrack.getSettings().deviceId === deviceId) return;
 
-        const audioBlob = new Blob([Uint8Array.from(atob(audioBase64), c => c.charCodeAt(0))], { type: 'audio/mp3' });
-        const audioUrl = URL.createObjectURL(audioBlob);
-        const audio = new Audio(audioUrl);
+    let stream;
+    try {
+      stream = await getMicrophoneStream(deviceId, MIC_CONSTRAINTS);
+    } catch (error) {
+      console.error('❌ [RealtimeVAD] Could not switch microphone:', error);
+      updateStatus('Could not switch microphone: ' + error.message);
+      return;
+    }
 
-        // Track current audio element
-        currentAudioRef.current = audio;
+    // Flush what the old recorder has and restart streaming on the new device
+    const wasStreaming = Boolean(vadIntervalRef.current);
+    if (vadIntervalRef.current) {
+      clearInterval(vadIntervalRef.current);
+      vadIntervalRef.current = null;
+    }
+    if (mediaRecorderRef.current && mediaRecorderRef.current.state === 'recording') {
+      mediaRecorderRef.current.stop();
+    }
 
-        audio.onended = () => {
-          URL.revokeObjectURL(audioUrl);
-          currentAudioRef.current = null;
-          resolve();
-        };
+    const previousStream = session.replaceStream(stream);
+    micMeterRef.current?.connectStream(stream);
+    previousStream.getTracks().forEach(track => track.stop());
+    console.log('🎧 [RealtimeVAD] Microphone switched to:', stream.getAudioTracks()[0]?.label || 'default');
 
-        audio.onerror = (error) => {
-          URL.revokeObjectURL(audioUrl);
-          currentAudioRef.current = null;
-          reject(error);
-        };
+    if (wasStreaming) {
+      startAudioStreaming(sessionId);
+    }
+  };
 
-        audio.play();
-      } catch (error) {
-        reject(error);
-      }
-    });
+  // Follow the microphone live: a new pick, the saved device coming and going, or a new system default
+  useEffect(() => {
+    switchMicrophone(inputId);
+  }, [inputId, deviceChangeCount]);
+
+  // Replies go wherever the speaker picker says, including the one playing now
+  useEffect(() => {
+    outputIdRef.current = outputId;
+    clipPlayer.setOutputDevice(outputId);
+  }, [outputId, clipPlayer]);
+
+  const toggleMute = () => {
+    const muted = !isMuted;
+    mutedRef.current = muted;
+    setIsMuted(muted);
+    console.log(muted ? '🔇 [RealtimeVAD] Microphone muted' : '🎤 [RealtimeVAD] Microphone unmuted');
+    updateStatus(muted ? 'Microphone muted - the AI can\'t hear you' : 'Listening... (server VAD)');
+  };
+
+  const togglePause = () => {
+    const paused = !isPaused;
+    pausedRef.current = paused;
+    setIsPaused(paused);
+    if (paused) {
+      clipPlayer.pause();
+    } else {
+      clipPlayer.resume();
+    }
+    console.log(paused ? '⏸️ [RealtimeVAD] Conversation paused' : '▶️ [RealtimeVAD] Conversation resumed');
+    updateStatus(paused ? 'Paused' : isMuted ? 'Resumed (microphone muted)' : 'Listening... (server VAD)');
   };
 
   const handleToggleConversation = () => {
@@ -515,6 +538,16 @@ const RealtimeVADVoiceAgent = ({ onStatusChange }) => {
     }
   };
 
+  /**
+   * Push contact details the visitor corrected to the server session, so booking uses them
+   */
+  const handleContactSave = async (contact) => {
+    const { sessionId: currentSessionId, userInfo: currentUserInfo } = session.getState();
+    const data = await transport.updateUserInfo(currentSessionId, contact);
+    session.applyUpdate({ userInfo: data.userInfo || { ...currentUserInfo, ...contact, collected: true } });
+    console.log('👤 [RealtimeVAD] Contact details corrected');
+  };
+
   return (
     <div className="flex flex-col items-center space-y-6">
       {/* Main conversation button */}
@@ -522,10 +555,10 @@ const RealtimeVADVoiceAgent = ({ onStatusChange }) => {
         <button
           onClick={handleToggleConversation}
           disabled={isProcessing}
-          className={`relative w-20 h-20 rounded-full transition-all duration-300 transform hover:scale-105 active:scale-95 focus:outline-none focus:ring-4 focus:ring-purple-500/50 disabled:cursor-not-allowed disabled:transform-none ${
+          className={`relative w-20 h-20 rounded-full transition-all duration-300 transform hover:scale-105 active:scale-95 focus:outline-none focus:ring-4 focus:ring-brand/50 disabled:cursor-not-allowed disabled:transform-none ${
             sessionId
               ? 'bg-gradient-to-br from-red-500 to-red-600 hover:from-red-400 hover:to-red-500 shadow-lg shadow-red-500/25'
-              : 'bg-gradient-to-br from-purple-500 to-purple-600 hover:from-purple-400 hover:to-purple-500 shadow-lg shadow-purple-500/25'
+              : 'bg-gradient-to-br from-orb-from to-orb-to hover:brightness-110 shadow-lg shadow-brand/25'
           }`}
         >
           <div className="flex items-center justify-center text-white">
@@ -546,6 +579,17 @@ const RealtimeVADVoiceAgent = ({ onStatusChange }) => {
         {sessionId ? 'End Conversation' : 'Start Conversation'}
       </p>
 
+      {/* Microphone / speaker selection - switches live during a session */}
+      <AudioDevicePicker
+        inputs={inputs}
+        outputs={outputs}
+        inputId={inputId}
+        outputId={outputId}
+        onInputChange={selectInput}
+        onOutputChange={selectOutput}
+        showOutput={canSelectOutput}
+      />
+
       {/* Server VAD Only - No mode selection needed */}
 
       {/* Realtime VAD Status Display */}
@@ -585,7 +629,7 @@ const RealtimeVADVoiceAgent = ({ onStatusChange }) => {
             </div>
 
             {/* Listening indicator ring */}
-            {isListening && !isProcessing && (
+            {isListening && !isProcessing && !isMuted && !isPaused && (
               <div className="absolute inset-0 rounded-full border-2 border-blue-400/30 animate-ping"></div>
             )}
           </div>
@@ -593,19 +637,74 @@ const RealtimeVADVoiceAgent = ({ onStatusChange }) => {
           {/* Status Text */}
           <div className="text-center">
             <p className="text-white/90 text-base font-medium">
-              {isProcessing ? '🔄 Processing Speech' :
+              {isPaused ? '⏸️ Paused' :
+               isProcessing ? '🔄 Processing Speech' :
+               isMuted ? '🔇 Muted' :
                isSpeaking ? '🎤 Speech Detected' :
                isListening ? '👂 OpenAI Realtime VAD' :
                '⏸️ Not Active'}
             </p>
             <p className="text-white/60 text-sm mt-1">
-              {isProcessing ? 'AI is processing your request...' :
+              {isPaused ? 'Listening and playback are on hold' :
+               isProcessing ? 'AI is processing your request...' :
+               isMuted ? 'The AI can\'t hear you until you unmute' :
                isSpeaking ? 'OpenAI detecting your speech...' :
                isListening ? 'Server VAD analyzing audio...' :
                'Realtime VAD inactive'}
             </p>
           </div>
 
+          {/* Live levels */}
+          <div className="w-64 space-y-1.5">
+            <LevelMeter meter={meters.mic} label="You" barClassName={isMuted ? 'bg-red-400/50' : 'bg-green-400'} />
+            <LevelMeter meter={meters.agent} label="AI" barClassName="bg-blue-400" />
+          </div>
+          {showWaveform && (
+            <ScrollingWaveform
+              traces={[
+                { meter: meters.mic, color: 'rgba(74, 222, 128, 0.8)' },
+                { meter: meters.agent, color: 'rgba(96, 165, 250, 0.8)' }
+              ]}
+              width={256}
+            />
+          )}
+          <label className="flex items-center space-x-2 text-white/50 text-xs cursor-pointer select-none">
+            <input
+              type="checkbox"
+              checked={showWaveform}
+              onChange={(e) => setShowWaveform(e.target.checked)}
+              className="accent-brand"
+            />
+            <span>Show waveform</span>
+          </label>
+
+          {/* Mute / pause controls */}
+          <div className="flex space-x-2">
+            <button
+              onClick={toggleMute}
+              disabled={isPaused}
+              className={`inline-flex items-center px-3 py-1 text-xs rounded border transition-all duration-200 disabled:opacity-50 disabled:cursor-not-allowed ${
+                isMuted
+                  ? 'bg-red-500/20 hover:bg-red-500/30 text-red-300 border-red-500/40'
+                  : 'bg-white/5 hover:bg-white/10 text-white/70 hover:text-white/90 border-white/10'
+              }`}
+            >
+              {isMuted ? <MicOff className="w-3.5 h-3.5 mr-1" /> : <Mic className="w-3.5 h-3.5 mr-1" />}
+              {isMuted ? 'Unmute' : 'Mute'}
+            </button>
+            <button
+              onClick={togglePause}
+              className={`inline-flex items-center px-3 py-1 text-xs rounded border transition-all duration-200 ${
+                isPaused
+                  ? 'bg-amber-500/20 hover:bg-amber-500/30 text-amber-300 border-amber-500/40'
+                  : 'bg-white/5 hover:bg-white/10 text-white/70 hover:text-white/90 border-white/10'
+              }`}
+            >
+              {isPaused ? <Play className="w-3.5 h-3.5 mr-1" /> : <Pause className="w-3.5 h-3.5 mr-1" />}
+              {isPaused ? 'Resume' : 'Pause'}
+            </button>
+          </div>
+
           {/* Realtime VAD Debug Panel */}
           <div className="inline-block bg-white/5 backdrop-blur-sm rounded-xl border border-white/10 px-4 py-2 text-xs text-white/70">
             <p>Realtime VAD: {vadSessionActive ? '✅' : '❌'}</p>
@@ -621,16 +720,12 @@ const RealtimeVADVoiceAgent = ({ onStatusChange }) => {
       )}
 
       {/* User Information */}
-      {userInfo.name && (
-        <div className="text-center">
-          <div className="inline-block bg-white/5 backdrop-blur-sm rounded-xl border border-white/10 px-4 py-2">
-            <div className="text-white/90 text-sm font-semibold">User Info</div>
-            <div className="text-white/70 text-xs mt-1">
-              Name: {userInfo.name}
-              {userInfo.email && <> • Email: {userInfo.email}</>}
-            </div>
-          </div>
-        </div>
+      {(userInfo.name || userInfo.email) && (
+        <ContactDetails
+          userInfo={userInfo}
+          onSave={sessionId ? handleContactSave : undefined}
+          disabled={false}
+        />
       )}
 
       {/* Conversation Counter */}
@@ -644,31 +739,13 @@ const RealtimeVADVoiceAgent = ({ onStatusChange }) => {
         </div>
       )}
 
-      {/* Calendar Link */}
-      {calendarLink && appointmentDetails && (
-        <div className="text-center">
-          <div className="inline-block bg-gradient-to-r from-emerald-500/20 to-blue-500/20 backdrop-blur-sm rounded-xl border border-emerald-500/30 p-4 max-w-sm">
-            <div className="flex items-center justify-center mb-2">
-              <svg className="w-5 h-5 text-emerald-400 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M8 7V3m8 4V3m-9 8h10M5 21h14a2 2 0 002-2V7a2 2 0 00-2-2H5a2 2 0 00-2 2v12a2 2 0 002 2z" />
-              </svg>
-              <div className="text-emerald-400 text-sm font-semibold">Appointment Scheduled!</div>
-            </div>
-
-            <div className="text-white/90 text-xs mb-3 space-y-1">
-              <div><strong>Service:</strong> {appointmentDetails.title}</div>
-              <div><strong>Date:</strong> {appointmentDetails.date}</div>
-              <div><strong>Time:</strong> {appointmentDetails.timeDisplay}</div>
-            </div>
-
-            <button
-              onClick={() => window.open(calendarLink, '_blank')}
-              className="w-full bg-gradient-to-r from-emerald-500 to-blue-500 hover:from-emerald-400 hover:to-blue-400 text-white font-medium py-2 px-4 rounded-lg transition-all duration-300 transform hover:scale-105 focus:outline-none focus:ring-2 focus:ring-emerald-500/50 text-sm"
-            >
-              📅 View in Calendar
-            </button>
-          </div>
-        </div>
+      {/* Appointment */}
+      {appointmentDetails && (
+        <AppointmentCard
+          appointmentDetails={appointmentDetails}
+          calendarLink={calendarLink}
+          userInfo={userInfo}
+        />
       )}
     </div>
   );
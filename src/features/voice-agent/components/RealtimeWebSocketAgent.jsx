@@ -1,48 +1,191 @@
 'use client';
 
-import { useState, useRef, useEffect } from 'react';
+import { useState, useRef, useEffect, useReducer } from 'react';
+import { Mic, MicOff, Pause, Play } from 'lucide-react';
+import ConversationTranscript from './ConversationTranscript';
+import TranscriptExport from './TranscriptExport';
+import TextMessageInput from './TextMessageInput';
+import AudioDevicePicker from './AudioDevicePicker';
+import LevelMeter from './LevelMeter';
+import ScrollingWaveform from './ScrollingWaveform';
+import LatencyOverlay from './LatencyOverlay';
+import AppointmentCard from './AppointmentCard';
+import BookingProgress from './BookingProgress';
+import ContactDetails from './ContactDetails';
+import useAudioDevices from '../hooks/useAudioDevices';
+import useSessionMachine from '../hooks/useSessionMachine';
+import useVoiceSession from '../hooks/useVoiceSession';
+import { createWebSocketTransport } from '../lib/transports/webSocket';
+import { createWebRtcTransport } from '../lib/transports/webRtc';
+import { createPcmCapture } from '../lib/pcmCapture';
+import { createPlaybackScheduler } from '../lib/playbackScheduler';
+import { arrayBufferToBase64, base64ToArrayBuffer, pcm16ToFloat32 } from '../lib/pcm';
+import {
+  PROTOCOL_VERSION,
+  AUDIO_FORMAT,
+  TURN_MODE,
+  ServerMessage,
+  ClientMessage,
+  parseServerMessage,
+  encodeClientMessage,
+  checkProtocolVersion
+} from '../lib/realtimeProtocol';
+import { transcriptReducer, initialTranscript, TranscriptAction } from '../lib/transcript';
+import { buildCorrectionMessage } from '../lib/bookingSteps';
+import { buildConversationExport, downloadBlob } from '../lib/transcriptExport';
+import { createSessionRecorder } from '../lib/sessionRecorder';
+import { getBackoffDelay } from '../lib/reconnect';
+import { getMicrophoneStream, setOutputDevice } from '../lib/audioDevices';
+import { createLevelMeter } from '../lib/levelMeter';
+import { createResampler } from '../lib/resampler';
+import { createLatencyTracker, LatencyMark, REALTIME_METRICS } from '../lib/latencyMetrics';
+import { SessionPhase, SessionEvent, SessionEffect, isActivePhase, isLivePhase, isStaleAgentAudio } from '../lib/sessionMachine';
 
 /**
- * RealtimeWebSocketAgent - Direct OpenAI Realtime API integration via WebSocket
+ * RealtimeWebSocketAgent - Direct OpenAI Realtime API integration via WebSocket or WebRTC
  * Replaces STT-TTS+VAD architecture with real-time bidirectional audio streaming
  */
-const RealtimeWebSocketAgent = ({ onStatusChange, selectedBusiness }) => {
-  // Core state
-  const [isConnected, setIsConnected] = useState(false);
-  const [currentStatus, setCurrentStatus] = useState('Ready to start conversation');
-  const [sessionId, setSessionId] = useState(null);
-  const [userInfo, setUserInfo] = useState({ name: null, email: null, collected: false });
-  const [conversationCount, setConversationCount] = useState(0);
-  const [calendarLink, setCalendarLink] = useState(null);
-  const [appointmentDetails, setAppointmentDetails] = useState(null);
-
-  // Real-time states
-  const [isSpeaking, setIsSpeaking] = useState(false);
-  const [isAIResponding, setIsAIResponding] = useState(false);
-  const [userTranscript, setUserTranscript] = useState('');
-  const [aiTranscript, setAITranscript] = useState('');
+const RealtimeWebSocketAgent = ({ onStatusChange, selectedBusiness, businessName, agentName, greeting, captureFrameSize }) => {
+  // Session, status, mic and conversation data - shared with the other agents.
+  // Contact and appointment data outlive the session so it can still be exported.
+  const {
+    session,
+    sessionId,
+    status: currentStatus,
+    userInfo,
+    conversationCount,
+    calendarLink,
+    appointmentDetails,
+    booking,
+    micAvailable
+  } = useVoiceSession({ createTransport: createWebSocketTransport, logTag: 'RealtimeWS', onStatusChange });
+  const updateStatus = session.setStatus;
+
+  // Typed input - works with or without a microphone
+  const [speakReplies, setSpeakReplies] = useState(true);
+
+  // Transport for the next session - WebSocket (PCM) or WebRTC (Opus, better on lossy networks)
+  const [transportName, setTransportName] = useState('websocket');
+
+  // Turn detection - server VAD or push-to-talk, switchable mid-session
+  const [turnMode, setTurnMode] = useState(TURN_MODE.VAD);
+  const [isTalking, setIsTalking] = useState(false);
+
+  // Mute keeps the session and playback going; pause holds capture and playback both
+  const [isMuted, setIsMuted] = useState(false);
+  const [isPaused, setIsPaused] = useState(false);
+
+  // Microphone / speaker selection, remembered per browser
+  const {
+    inputs,
+    outputs,
+    inputId,
+    outputId,
+    selectInput,
+    selectOutput,
+    refreshDevices,
+    deviceChangeCount,
+    canSelectOutput
+  } = useAudioDevices({ outputTarget: 'context' });
+
+  // Live levels for the mic and the agent's voice
+  const [meters, setMeters] = useState({ mic: null, agent: null });
+  const [showWaveform, setShowWaveform] = useState(false);
+
+  // Per-turn latency statistics for the session
+  const [latency, setLatency] = useState({ stats: [], turnCount: 0 });
+  const [showLatency, setShowLatency] = useState(false);
+
+  // Session recording (opt-in)
+  const [recordSession, setRecordSession] = useState(false);
+  const [isRecording, setIsRecording] = useState(false);
+  const [recordingBlob, setRecordingBlob] = useState(null);
+
+  // Full conversation transcript - kept after the session ends, cleared on the next start
+  const [transcript, dispatchTranscript] = useReducer(transcriptReducer, initialTranscript);
 
   // Refs
-  const wsRef = useRef(null);
-  const mediaRecorderRef = useRef(null);
-  const streamRef = useRef(null);
+  const connectionRef = useRef(null);      // Current transport connection (one socket)
+  const captureRef = useRef(null);         // AudioWorklet capture pipeline
   const audioContextRef = useRef(null);
-  const audioQueueRef = useRef([]);
-  const isPlayingRef = useRef(false);
-  const currentAudioSourceRef = useRef(null);  // Track currently playing audio
+  const playbackRef = useRef(null);        // Gapless scheduler for assistant audio
+  const outputNodeRef = useRef(null);      // Everything the user hears goes through this node
+  const recorderRef = useRef(null);        // Stereo session recorder, when opted in
+  const speakRepliesRef = useRef(true);    // Mirrors speakReplies for socket callbacks
+  const micMeterRef = useRef(null);
+  const agentMeterRef = useRef(null);
+  const latencyRef = useRef(null);         // Latency tracker, marked from socket callbacks
+  const turnModeRef = useRef(TURN_MODE.VAD);
+  const talkingRef = useRef(false);        // Push-to-talk control is held down
+  const mutedRef = useRef(false);
+  const pausedRef = useRef(false);
 
-  // Configuration
-  const WS_URL = process.env.NEXT_PUBLIC_API_URL 
-    ? `${process.env.NEXT_PUBLIC_API_URL.replace('http', 'ws')}/realtime-ws`
-    : 'ws://localhost:3001/realtime-ws';
+  // Assistant item bookkeeping for interruptions
+  const responseItemRef = useRef(null);      // Item the incoming reply belongs to (servers that send response_started)
+  const interruptedItemRef = useRef(null);   // Item the user cut off - its late text and audio are dropped
+  const receivedAudioMsRef = useRef(0);      // Reply audio received so far, to place the cut-off in its text
 
-  useEffect(() => {
-    onStatusChange?.(currentStatus);
-  }, [currentStatus, onStatusChange]);
+  // Session lifecycle - one phase instead of separate connected/speaking/responding flags
+  const { phase, send: sendSessionEvent, getPhase } = useSessionMachine({
+    effects: {
+      [SessionEffect.INTERRUPT_PLAYBACK]: () => {
+        console.log('🛑 [RealtimeWS] Interrupting AI response');
+        stopAudioPlayback();
+      }
+    },
+    onTransition: (from, to, event) => console.log('🔀 [RealtimeWS] Phase:', from, '→', to, `(${event.type})`)
+  });
+  const isSessionActive = isActivePhase(phase);
+  const isConnected = isLivePhase(phase);
+  const isReconnecting = phase === SessionPhase.RECONNECTING;
+  const isSpeaking = phase === SessionPhase.USER_SPEAKING || phase === SessionPhase.INTERRUPTED;
+  const isAIResponding = phase === SessionPhase.AGENT_SPEAKING;
+
+  // Reconnection refs - read from socket callbacks, so they must not live in state
+  const sessionIdRef = useRef(null);         // Session to resume after a drop
+  const businessIdRef = useRef(null);        // Business the session was opened with
+  const greetingRef = useRef(null);          // That business's greeting, for the server to open with
+  const sessionReadyRef = useRef(false);     // Server accepted the current socket's session
+  const binaryAudioRef = useRef(false);      // Server agreed to raw binary audio frames
+  const trackAudioRef = useRef(false);       // Audio travels on WebRTC media tracks instead of frames
+  const remoteSourceRef = useRef(null);      // Assistant media track, fed into the output node
+  const trackAudioStartedAtRef = useRef(null); // When the reply on the media track became audible
+  const shouldReconnectRef = useRef(false);  // False once the user ends the conversation
+  const reconnectAttemptRef = useRef(0);
+  const reconnectTimerRef = useRef(null);
+  const pendingAudioRef = useRef([]);        // Mic frames captured while offline
+
+  // Survives stopConversation so the last session can still be exported
+  const sessionMetaRef = useRef({ sessionId: null, businessId: null, startedAt: null, endedAt: null });
+
+  // Audio configuration - the wire format is always 24kHz, whatever the hardware runs at
+  const AUDIO_CONFIG = {
+    sampleRate: 24000,
+    // Samples per mic frame sent upstream - smaller = lower latency, larger = less overhead
+    frameSize: captureFrameSize || 2400,   // 100ms @ 24kHz
+  };
+
+  // Microphone constraints, on top of the selected device
+  const MIC_CONSTRAINTS = {
+    sampleRate: AUDIO_CONFIG.sampleRate,
+    channelCount: 1,
+    echoCancellation: true,
+    noiseSuppression: true,
+    autoGainControl: true
+  };
+
+  // Transports the user can pick before a session
+  const TRANSPORTS = [
+    { name: 'websocket', label: 'WebSocket', create: createWebSocketTransport },
+    { name: 'webrtc', label: 'WebRTC', create: createWebRtcTransport },
+  ];
 
-  const updateStatus = (status) => {
-    setCurrentStatus(status);
-    console.log('📊 [RealtimeWS] Status:', status);
+  // Reconnection configuration
+  const RECONNECT_CONFIG = {
+    baseDelayMs: 500,       // First retry after ~0.5s
+    maxDelayMs: 10000,      // Never wait more than 10s between attempts
+    maxAttempts: 10,        // Give up after this many consecutive failures
+    maxBufferedMs: 10000,   // Keep at most 10s of mic audio while offline
   };
 
   /**
@@ -53,59 +196,254 @@ const RealtimeWebSocketAgent = ({ onStatusChange, selectedBusiness }) => {
       console.log('🎙️ [RealtimeWS] Starting conversation...');
       updateStatus('Initializing...');
 
-      // Get microphone permission
-      const stream = await navigator.mediaDevices.getUserMedia({
-        audio: {
-          sampleRate: 24000,
-          channelCount: 1,
-          echoCancellation: true,
-          noiseSuppression: true,
-          autoGainControl: true
-        }
-      });
+      // Transport for this session - WebRTC needs browser support, WebSocket always works
+      let transport = TRANSPORTS.find(({ name }) => name === transportName) || TRANSPORTS[0];
+      if (transport.name === 'webrtc' && typeof RTCPeerConnection === 'undefined') {
+        console.warn('⚠️ [RealtimeWS] WebRTC not supported in this browser, using WebSocket');
+        transport = TRANSPORTS[0];
+      }
+      session.setTransport(transport.create());
+      console.log('🚚 [RealtimeWS] Transport:', transport.label);
+
+      // Get microphone permission - without one the conversation continues by text.
+      // Also drops whatever the previous conversation left for export.
+      const { stream } = await session.start({ inputDeviceId: inputId, constraints: MIC_CONSTRAINTS });
+      if (stream) {
+        // Device labels only become readable once access is granted
+        refreshDevices();
+      }
 
-      streamRef.current = stream;
+      latencyRef.current = createLatencyTracker({ metrics: REALTIME_METRICS });
+      setLatency({ stats: latencyRef.current.getStats(), turnCount: 0 });
 
-      // Create AudioContext for audio processing
-      audioContextRef.current = new (window.AudioContext || window.webkitAudioContext)({
-        sampleRate: 24000
+      // Run the AudioContext at the microphone's real rate - browsers and Bluetooth headsets
+      // often ignore the requested 24kHz, and some refuse to connect a stream at another rate
+      const micRate = stream?.getAudioTracks()[0]?.getSettings().sampleRate;
+      audioContextRef.current = new (window.AudioContext || window.webkitAudioContext)(
+        micRate ? { sampleRate: micRate } : undefined
+      );
+      const contextRate = audioContextRef.current.sampleRate;
+      console.log('🎚️ [RealtimeWS] Audio rates - mic:', micRate || 'unknown', 'context:', contextRate, 'wire:', AUDIO_CONFIG.sampleRate);
+
+      if (outputId) {
+        await setOutputDevice(audioContextRef.current, outputId);
+      }
+
+      // Schedule assistant audio on the context clock
+      outputNodeRef.current = audioContextRef.current.createGain();
+      outputNodeRef.current.connect(audioContextRef.current.destination);
+      playbackRef.current = createPlaybackScheduler(audioContextRef.current, {
+        sampleRate: AUDIO_CONFIG.sampleRate,
+        // Upsample 24kHz replies ourselves rather than leave it to the browser
+        resampler: contextRate !== AUDIO_CONFIG.sampleRate
+          ? await createResampler({ inputRate: AUDIO_CONFIG.sampleRate, outputRate: contextRate })
+          : null,
+        destination: outputNodeRef.current,
+        onIdle: handlePlaybackIdle
       });
 
+      // Level meters tap the mic and the playback output
+      micMeterRef.current = createLevelMeter(audioContextRef.current);
+      micMeterRef.current.connectStream(stream);
+      agentMeterRef.current = createLevelMeter(audioContextRef.current);
+      outputNodeRef.current.connect(agentMeterRef.current.input);
+      setMeters({ mic: micMeterRef.current, agent: agentMeterRef.current });
+
+      // Record mic (left) and assistant playback (right) if the user opted in
+      setRecordingBlob(null);
+      if (recordSession && stream) {
+        try {
+          recorderRef.current = await createSessionRecorder(audioContextRef.current, {
+            micStream: stream,
+            agentNode: outputNodeRef.current
+          });
+          setIsRecording(true);
+          console.log('⏺️ [RealtimeWS] Session recording started');
+        } catch (error) {
+          console.error('❌ [RealtimeWS] Could not start session recording:', error);
+        }
+      }
+
+      // Fresh conversation - drop whatever the previous one left for export
+      dispatchTranscript({ type: TranscriptAction.RESET });
+      sessionMetaRef.current = {
+        sessionId: null,
+        businessId: selectedBusiness || 'sherpaprompt',
+        startedAt: Date.now(),
+        endedAt: null
+      };
+
       // Connect to WebSocket server with business ID
-      const wsUrlWithBusiness = `${WS_URL}?businessId=${selectedBusiness || 'sherpaprompt'}`;
-      console.log('🔗 [RealtimeWS] Connecting with business:', selectedBusiness || 'sherpaprompt');
-      const ws = new WebSocket(wsUrlWithBusiness);
-      wsRef.current = ws;
+      businessIdRef.current = selectedBusiness || 'sherpaprompt';
+      greetingRef.current = greeting || null;
+      sessionIdRef.current = null;
+      pendingAudioRef.current = [];
+      reconnectAttemptRef.current = 0;
+      shouldReconnectRef.current = true;
+      sendSessionEvent({ type: SessionEvent.CONNECT });
+      connectTransport();
+
+    } catch (error) {
+      console.error('❌ [RealtimeWS] Error starting conversation:', error);
+      updateStatus('Error: ' + error.message);
+    }
+  };
+
+  /**
+   * Open the transport connection, resuming the previous session if there is one
+   */
+  const connectTransport = () => {
+    const transport = session.getTransport();
+
+    // Announce our protocol version and offer the transport's audio format; the server confirms in session_ready
+    const params = new URLSearchParams({
+      businessId: businessIdRef.current,
+      protocolVersion: String(PROTOCOL_VERSION),
+      audioFormat: transport.audioFormat,
+      turnMode: turnModeRef.current
+    });
+    if (sessionIdRef.current) {
+      params.set('sessionId', sessionIdRef.current);
+    } else if (greetingRef.current) {
+      // Only new sessions are greeted
+      params.set('greeting', greetingRef.current);
+    }
+
+    console.log('🔗 [RealtimeWS] Connecting over', transport.name, 'with business:', businessIdRef.current,
+      sessionIdRef.current ? `(resuming ${sessionIdRef.current})` : '');
+    sessionReadyRef.current = false;
+    binaryAudioRef.current = false;
+    trackAudioRef.current = false;
 
-      ws.onopen = () => {
+    const connection = transport.connect(params, {
+      onOpen: () => {
         console.log('✅ [RealtimeWS] Connected to server');
-        setIsConnected(true);
         updateStatus('Connected - waiting for AI...');
-      };
+      },
+
+      // Binary frames are always assistant audio (PCM16); control messages stay JSON
+      onAudio: (pcm16) => handleAudioDelta(pcm16),
+
+      // WebRTC: assistant audio is a media track, played through the same output node
+      onRemoteStream: (stream) => handleRemoteStream(stream),
 
-      ws.onmessage = async (event) => {
+      onMessage: async (text) => {
         try {
-          const message = JSON.parse(event.data);
+          const { message, known } = parseServerMessage(text);
+          if (!known) {
+            console.warn('⚠️ [RealtimeWS] Unsupported message type from server:', message.type);
+            return;
+          }
           await handleServerMessage(message);
         } catch (error) {
           console.error('❌ [RealtimeWS] Error handling message:', error);
         }
-      };
+      },
 
-      ws.onerror = (error) => {
-        console.error('❌ [RealtimeWS] WebSocket error:', error);
+      onError: (error) => {
+        console.error('❌ [RealtimeWS] Connection error:', error);
         updateStatus('Connection error');
-      };
+      },
 
-      ws.onclose = () => {
-        console.log('🔌 [RealtimeWS] Disconnected');
-        setIsConnected(false);
-        updateStatus('Disconnected');
-      };
+      onClose: (code) => {
+        console.log('🔌 [RealtimeWS] Disconnected (code:', code, ')');
+        if (connectionRef.current !== connection) return;
 
-    } catch (error) {
-      console.error('❌ [RealtimeWS] Error starting conversation:', error);
-      updateStatus('Error: ' + error.message);
+        sessionReadyRef.current = false;
+
+        // A normal closure means the server ended the session on purpose
+        const reconnect = shouldReconnectRef.current && code !== 1000;
+        sendSessionEvent({ type: SessionEvent.SOCKET_CLOSED, reconnect });
+        if (reconnect) {
+          scheduleReconnect();
+        } else {
+          updateStatus('Disconnected');
+        }
+      }
+    }, { stream: session.getStream() });
+    connectionRef.current = connection;
+  };
+
+  /**
+   * Schedule a reconnect attempt with exponential backoff and jitter
+   */
+  const scheduleReconnect = () => {
+    const attempt = reconnectAttemptRef.current;
+
+    if (attempt >= RECONNECT_CONFIG.maxAttempts) {
+      console.error('❌ [RealtimeWS] Giving up after', attempt, 'reconnect attempts');
+      stopConversation('Disconnected - unable to reconnect');
+      return;
+    }
+
+    const delay = getBackoffDelay(attempt, RECONNECT_CONFIG);
+    reconnectAttemptRef.current = attempt + 1;
+    updateStatus(`Reconnecting… (attempt ${attempt + 1})`);
+    console.log('🔄 [RealtimeWS] Reconnecting in', delay, 'ms');
+
+    reconnectTimerRef.current = setTimeout(() => {
+      reconnectTimerRef.current = null;
+      if (shouldReconnectRef.current) {
+        connectTransport();
+      }
+    }, delay);
+  };
+
+  /**
+   * Send a mic frame, or hold on to it while the socket is down
+   */
+  const sendAudioFrame = (frame) => {
+    const connection = connectionRef.current;
+
+    if (connection?.isOpen() && sessionReadyRef.current) {
+      if (binaryAudioRef.current) {
+        connection.sendAudio(frame);
+      } else {
+        // Fallback for servers that only understand base64-in-JSON audio
+        connection.send(encodeClientMessage(ClientMessage.AUDIO, { data: arrayBufferToBase64(frame) }));
+      }
+      return;
+    }
+
+    if (shouldReconnectRef.current) {
+      const frameMs = (AUDIO_CONFIG.frameSize / AUDIO_CONFIG.sampleRate) * 1000;
+      const maxFrames = Math.ceil(RECONNECT_CONFIG.maxBufferedMs / frameMs);
+      pendingAudioRef.current.push(frame);
+      if (pendingAudioRef.current.length > maxFrames) {
+        pendingAudioRef.current.shift();
+      }
+    }
+  };
+
+  /**
+   * Mic frame from the capture worklet - in push-to-talk mode nothing leaves while the key is up
+   */
+  const handleMicFrame = (frame) => {
+    if (mutedRef.current || pausedRef.current) return;
+    if (turnModeRef.current === TURN_MODE.PUSH_TO_TALK && !talkingRef.current) return;
+    sendAudioFrame(frame);
+  };
+
+  /**
+   * Send a control message if the session is live
+   * @returns {boolean} Whether it was sent
+   */
+  const sendControlMessage = (type, payload) => {
+    const connection = connectionRef.current;
+    if (!connection?.isOpen() || !sessionReadyRef.current) return false;
+    connection.send(encodeClientMessage(type, payload));
+    return true;
+  };
+
+  /**
+   * Send mic audio buffered while offline
+   */
+  const flushPendingAudio = () => {
+    const pending = pendingAudioRef.current;
+    pendingAudioRef.current = [];
+    if (pending.length > 0) {
+      console.log('📤 [RealtimeWS] Sending', pending.length, 'buffered audio frames');
+      pending.forEach(sendAudioFrame);
     }
   };
 
@@ -116,284 +454,621 @@ const RealtimeWebSocketAgent = ({ onStatusChange, selectedBusiness }) => {
     console.log('📨 [RealtimeWS] Received:', message.type);
 
     switch (message.type) {
-      case 'session_ready':
+      case ServerMessage.SESSION_READY: {
         console.log('✅ [RealtimeWS] Session ready:', message.sessionId);
-        setSessionId(message.sessionId);
-        updateStatus('Ready - start speaking');
+
+        const versionError = checkProtocolVersion(message.protocolVersion);
+        if (versionError) {
+          console.error('❌ [RealtimeWS]', versionError);
+          stopConversation('Error: ' + versionError);
+          break;
+        }
+
+        if (sessionIdRef.current && sessionIdRef.current !== message.sessionId) {
+          console.warn('⚠️ [RealtimeWS] Server could not resume', sessionIdRef.current, '- started a new session');
+        }
+        sessionIdRef.current = message.sessionId;
+        sessionMetaRef.current.sessionId = message.sessionId;
+        sessionReadyRef.current = true;
+        // Only a session the server accepted counts as recovered - a socket that opens and
+        // drops again before session_ready keeps using up reconnect attempts
+        reconnectAttemptRef.current = 0;
+        sendSessionEvent({ type: SessionEvent.SESSION_READY });
+        binaryAudioRef.current = message.audioFormat === AUDIO_FORMAT.BINARY;
+        trackAudioRef.current = message.audioFormat === AUDIO_FORMAT.TRACK;
+        console.log('🎚️ [RealtimeWS] Audio transport:',
+          trackAudioRef.current ? 'WebRTC tracks' : binaryAudioRef.current ? 'binary frames' : 'base64 JSON');
+        session.setSessionId(message.sessionId);
+        updateStatus(!session.getStream()
+          ? 'Ready - type a message (no microphone)'
+          : turnModeRef.current === TURN_MODE.PUSH_TO_TALK ? 'Ready - hold Space or the talk button to speak' : 'Ready - start speaking');
         
-        // Start streaming audio after session is ready
-        startAudioStreaming();
+        // Start streaming audio after session is ready (capture survives reconnects) - media tracks need no capture
+        if (trackAudioRef.current) {
+          applyMicGate();
+        } else if (!captureRef.current && session.getStream()) {
+          startAudioStreaming();
+        }
+        flushPendingAudio();
+
+        // A resumed session forgets it was paused
+        if (pausedRef.current) {
+          sendControlMessage(ClientMessage.PAUSE);
+          updateStatus('Paused');
+        }
         break;
+      }
 
-      case 'speech_started':
+      case ServerMessage.SPEECH_STARTED:
         console.log('🎤 [RealtimeWS] User speaking');
-        setIsSpeaking(true);
-        setUserTranscript('');
+        // Over a playing reply this is a barge-in - the machine stops playback and tells the server
+        sendSessionEvent({ type: SessionEvent.SPEECH_STARTED });
+        dispatchTranscript({ type: TranscriptAction.TURN_STARTED, role: 'user' });
         updateStatus('Listening...');
-        
-        // Cancel any ongoing AI response (interruption)
-        // Server will send response.cancel to OpenAI
-        if (isAIResponding) {
-          console.log('🛑 [RealtimeWS] Interrupting AI response');
-          stopAudioPlayback();
-        }
         break;
 
-      case 'speech_stopped':
+      case ServerMessage.SPEECH_STOPPED:
         console.log('🔇 [RealtimeWS] User stopped speaking');
-        setIsSpeaking(false);
+        latencyRef.current?.startTurn();
+        sendSessionEvent({ type: SessionEvent.SPEECH_STOPPED });
         updateStatus('Processing...');
         break;
 
-      case 'transcript':
+      case ServerMessage.TRANSCRIPT:
+        if (isInterruptedItem(message)) break;
+        latencyRef.current?.mark(LatencyMark.FIRST_TRANSCRIPT);
         if (message.role === 'user') {
           console.log('📝 [User]:', message.text);
-          setUserTranscript(message.text);
-          setConversationCount(prev => prev + 1);
-        } else if (message.role === 'assistant') {
+          session.countExchange();
+        } else {
           console.log('📝 [AI]:', message.text);
-          setAITranscript(message.text);
         }
+        dispatchTranscript({ type: TranscriptAction.FINAL, role: message.role, text: message.text });
         break;
 
-      case 'transcript_delta':
+      case ServerMessage.TRANSCRIPT_DELTA:
         // Real-time transcript streaming
-        if (message.role === 'assistant') {
-          setAITranscript(prev => prev + message.delta);
-        }
+        if (isInterruptedItem(message)) break;
+        latencyRef.current?.mark(LatencyMark.FIRST_TRANSCRIPT);
+        dispatchTranscript({ type: TranscriptAction.DELTA, role: message.role, delta: message.delta });
+        break;
+
+      case ServerMessage.RESPONSE_STARTED:
+        responseItemRef.current = message.itemId;
+        receivedAudioMsRef.current = 0;
         break;
 
-      case 'audio':
-        // Queue audio chunk for playback
+      case ServerMessage.AUDIO:
+        // base64 audio from servers without binary frame support
         if (message.delta) {
-          console.log('🔊 [RealtimeWS] Audio chunk received');
-          setIsAIResponding(true);
-          updateStatus('AI responding...');
-          queueAudioChunk(message.delta);
+          handleAudioDelta(base64ToArrayBuffer(message.delta));
         }
         break;
 
-      case 'response_done':
+      case ServerMessage.AUDIO_STARTED:
+        // Track audio: the reply is audible now - what the first PCM chunk signals over the WebSocket
+        if (message.itemId && message.itemId === interruptedItemRef.current) break;
+        latencyRef.current?.mark(LatencyMark.FIRST_AUDIO);
+        trackAudioStartedAtRef.current = performance.now();
+        if (!speakRepliesRef.current) break;
+        console.log('🔊 [RealtimeWS] Audio track playing');
+        sendSessionEvent({ type: SessionEvent.AGENT_AUDIO });
+        updateStatus('AI responding...');
+        break;
+
+      case ServerMessage.AUDIO_STOPPED:
+        trackAudioStartedAtRef.current = null;
+        if (getPhase() === SessionPhase.AGENT_SPEAKING) {
+          handlePlaybackIdle();
+        }
+        break;
+
+      case ServerMessage.RESPONSE_DONE:
         console.log('✅ [RealtimeWS] AI response complete');
-        setIsAIResponding(false);
-        updateStatus('Ready - start speaking');
-        setAITranscript('');
+        dispatchTranscript({ type: TranscriptAction.RESPONSE_DONE });
+        latencyRef.current?.mark(LatencyMark.RESPONSE_DONE);
+        finishLatencyTurn();
+        sendSessionEvent({ type: SessionEvent.RESPONSE_DONE });
+        // Let buffered audio play out - handlePlaybackIdle fires once it has been heard.
+        // Track audio reports that itself with output_audio_stopped.
+        if (!trackAudioRef.current) {
+          playbackRef.current?.end();
+        }
         break;
 
-      case 'user_info_updated':
+      case ServerMessage.USER_INFO_UPDATED:
         console.log('👤 [RealtimeWS] User info updated:', message.userInfo);
-        setUserInfo(message.userInfo);
+        session.applyUpdate({ userInfo: message.userInfo });
         break;
 
-      case 'appointment_started':
+      case ServerMessage.APPOINTMENT_STARTED:
         console.log('📅 [RealtimeWS] Appointment flow started');
+        session.updateBooking(message.appointmentDetails);
+        break;
+
+      case ServerMessage.APPOINTMENT_UPDATED:
+        console.log('📅 [RealtimeWS] Appointment details updated:', message.appointmentDetails);
+        session.updateBooking(message.appointmentDetails);
         break;
 
-      case 'appointment_created':
+      case ServerMessage.APPOINTMENT_CREATED:
         console.log('✅ [RealtimeWS] Appointment created');
-        setCalendarLink(message.calendarLink);
-        setAppointmentDetails(message.appointmentDetails);
+        session.applyUpdate({ calendarLink: message.calendarLink, appointmentDetails: message.appointmentDetails });
         break;
 
-      case 'error':
+      case ServerMessage.ERROR:
         console.error('❌ [RealtimeWS] Error:', message.error);
         updateStatus('Error: ' + message.error);
         break;
-
-      default:
-        console.log('📋 [RealtimeWS] Unknown message type:', message.type);
     }
   };
 
   /**
    * Start streaming audio to server
+   * Capture and PCM16 framing happen in an AudioWorklet; this only forwards frames
    */
-  const startAudioStreaming = () => {
+  const startAudioStreaming = async () => {
     try {
-      console.log('🔴 [RealtimeWS] Starting audio streaming');
-
-      // Use AudioContext to capture raw audio
-      const audioContext = audioContextRef.current;
-      const source = audioContext.createMediaStreamSource(streamRef.current);
-      const processor = audioContext.createScriptProcessor(4096, 1, 1);
-
-      processor.onaudioprocess = (e) => {
-        if (wsRef.current?.readyState === WebSocket.OPEN) {
-          const inputData = e.inputBuffer.getChannelData(0);
-          
-          // Convert Float32 to Int16 (PCM16)
-          const pcm16 = new Int16Array(inputData.length);
-          for (let i = 0; i < inputData.length; i++) {
-            const s = Math.max(-1, Math.min(1, inputData[i]));
-            pcm16[i] = s < 0 ? s * 0x8000 : s * 0x7FFF;
-          }
-          
-          // Convert to base64
-          const uint8Array = new Uint8Array(pcm16.buffer);
-          let binary = '';
-          for (let i = 0; i < uint8Array.length; i++) {
-            binary += String.fromCharCode(uint8Array[i]);
-          }
-          const base64 = btoa(binary);
-          
-          // Send to server
-          wsRef.current.send(JSON.stringify({
-            type: 'audio',
-            data: base64
-          }));
-        }
-      };
+      console.log('🔴 [RealtimeWS] Starting audio streaming (frame size:', AUDIO_CONFIG.frameSize, ')');
 
-      source.connect(processor);
-      processor.connect(audioContext.destination);
-      
-      // Store processor reference for cleanup
-      mediaRecorderRef.current = { processor, source };
+      captureRef.current = await createPcmCapture(audioContextRef.current, session.getStream(), {
+        frameSize: AUDIO_CONFIG.frameSize,
+        targetRate: AUDIO_CONFIG.sampleRate,
+        onFrame: handleMicFrame
+      });
 
       console.log('✅ [RealtimeWS] Audio streaming started');
 
     } catch (error) {
       console.error('❌ [RealtimeWS] Error starting audio stream:', error);
+      updateStatus('Error: ' + error.message);
+    }
+  };
+
+  /**
+   * Move capture (and the session recording) to another microphone without touching the session
+   * @param {string} deviceId - '' for the system default
+   */
+  const switchMicrophone = async (deviceId) => {
+    const audioContext = audioContextRef.current;
+    if (!audioContext) return;
+
+    // Already on the requested device - the default is always re-opened since it may have moved
+    const currentTrack = session.getStream()?.getAudioTracks()[0];
+    if (deviceId && currentTrack?.readyState === 'live' && currentTrack.getSettings().deviceId === deviceId) return;
+
+    let stream;
+    try {
+      stream = await getMicrophoneStream(deviceId, MIC_CONSTRAINTS);
+    } catch (error) {
+      console.error('❌ [RealtimeWS] Could not switch microphone:', error);
+      if (session.getStream()) updateStatus('Could not switch microphone: ' + error.message);
+      return;
     }
+
+    // The conversation may have ended while the device was opening
+    if (audioContextRef.current !== audioContext) {
+      stream.getTracks().forEach(track => track.stop());
+      return;
+    }
+
+    const previousStream = session.replaceStream(stream);
+
+    if (captureRef.current) {
+      captureRef.current.stop();
+      captureRef.current = null;
+    }
+    if (trackAudioRef.current) {
+      await connectionRef.current?.replaceMicStream(stream);
+    } else if (sessionReadyRef.current) {
+      await startAudioStreaming();
+    }
+    recorderRef.current?.replaceMicStream(stream);
+    micMeterRef.current?.connectStream(stream);
+    previousStream?.getTracks().forEach(track => track.stop());
+
+    console.log('🎧 [RealtimeWS] Microphone switched to:', stream.getAudioTracks()[0]?.label || 'default');
   };
 
+  // Follow the microphone live: a new pick, the saved device coming and going, or a new system default
+  useEffect(() => {
+    switchMicrophone(inputId);
+  }, [inputId, deviceChangeCount]);
+
+  // Assistant playback goes wherever the speaker picker says
+  useEffect(() => {
+    if (audioContextRef.current) {
+      setOutputDevice(audioContextRef.current, outputId);
+    }
+  }, [outputId]);
+
+  /**
+   * Handle an assistant audio chunk, whichever way it arrived
+   * @param {ArrayBuffer} pcm16 - Raw PCM16 bytes
+   */
+  const handleAudioDelta = (pcm16) => {
+    // Audio the server sent before it processed our interrupt - matched by item when the
+    // server sends response_started, otherwise by the user still talking over it
+    if (isStaleAgentAudio(getPhase(), responseItemRef.current, interruptedItemRef.current)) return;
+
+    latencyRef.current?.mark(LatencyMark.FIRST_AUDIO);
+
+    // Text-only mode: show the reply, don't play it
+    if (!speakRepliesRef.current) return;
+
+    console.log('🔊 [RealtimeWS] Audio chunk received');
+    sendSessionEvent({ type: SessionEvent.AGENT_AUDIO });
+    updateStatus('AI responding...');
+    queueAudioChunk(pcm16);
+  };
 
   /**
    * Queue audio chunk for playback
    */
-  const queueAudioChunk = (base64Audio) => {
-    audioQueueRef.current.push(base64Audio);
-    
-    // Start playback if not already playing
-    if (!isPlayingRef.current) {
-      playNextAudioChunk();
+  const queueAudioChunk = (pcm16) => {
+    try {
+      const samples = pcm16ToFloat32(pcm16);
+      receivedAudioMsRef.current += (samples.length / AUDIO_CONFIG.sampleRate) * 1000;
+      playbackRef.current?.enqueue(samples, responseItemRef.current ?? undefined);
+    } catch (error) {
+      console.error('❌ [RealtimeWS] Error decoding audio:', error);
     }
   };
 
   /**
-   * Play next audio chunk from queue
+   * Send a typed user message into the current session
    */
-  const playNextAudioChunk = async () => {
-    if (audioQueueRef.current.length === 0) {
-      isPlayingRef.current = false;
+  const sendTextMessage = (text) => {
+    const connection = connectionRef.current;
+    if (!connection?.isOpen() || !sessionReadyRef.current) {
+      updateStatus('Not connected - message not sent');
       return;
     }
 
-    isPlayingRef.current = true;
-    const base64Audio = audioQueueRef.current.shift();
+    // Typing over the assistant interrupts it, just like speaking would - before the text goes out
+    console.log('⌨️ [RealtimeWS] Sending text message');
+    sendSessionEvent({ type: SessionEvent.TEXT_SENT });
+    latencyRef.current?.startTurn();
+    connection.send(encodeClientMessage(ClientMessage.TEXT, { text, audio: speakRepliesRef.current }));
+    dispatchTranscript({ type: TranscriptAction.FINAL, role: 'user', text });
+    session.countExchange();
+    updateStatus('Processing...');
+  };
+
+  /**
+   * Ask the agent to revisit a booking step - the visitor answers by voice or text as usual
+   * @param {string} stepKey - One of BOOKING_STEPS
+   */
+  const handleBookingCorrection = (stepKey) => {
+    const { booking: currentBooking } = session.getState();
+    if (!currentBooking) return;
+    console.log('✏️ [RealtimeWS] Correcting booking step:', stepKey);
+    sendTextMessage(buildCorrectionMessage(stepKey, currentBooking.details));
+  };
+
+  /**
+   * Push contact details the visitor corrected to the server session, so booking uses them
+   */
+  const handleContactSave = async (contact) => {
+    const connection = connectionRef.current;
+    if (!connection?.isOpen() || !sessionReadyRef.current) {
+      throw new Error('Not connected');
+    }
+    connection.send(encodeClientMessage(ClientMessage.USER_INFO_UPDATE, { userInfo: contact }));
+    // The server confirms with user_info_updated; show the fix straight away
+    session.applyUpdate({ userInfo: { ...session.getState().userInfo, ...contact, collected: true } });
+    console.log('👤 [RealtimeWS] Contact details corrected');
+  };
+
+  const handleSpeakRepliesChange = (enabled) => {
+    speakRepliesRef.current = enabled;
+    setSpeakReplies(enabled);
+    if (!enabled) {
+      // Silence the current reply without marking it interrupted - its text keeps streaming
+      playbackRef.current?.stop();
+      playbackRef.current?.clearItem(responseItemRef.current ?? undefined);
+      sendSessionEvent({ type: SessionEvent.PLAYBACK_IDLE });
+    }
+    connectRemoteAudio();
+  };
+
+  /**
+   * Assistant media track arrived (WebRTC)
+   * @param {MediaStream} stream
+   */
+  const handleRemoteStream = (stream) => {
+    const audioContext = audioContextRef.current;
+    if (!audioContext) return;
+
+    console.log('🔊 [RealtimeWS] Receiving assistant audio track');
+    remoteSourceRef.current?.disconnect();
+    remoteSourceRef.current = audioContext.createMediaStreamSource(stream);
+    connectRemoteAudio();
+  };
+
+  /**
+   * Route the assistant media track to the speakers - or not, while replies are text-only
+   */
+  const connectRemoteAudio = () => {
+    const source = remoteSourceRef.current;
+    if (!source) return;
+    source.disconnect();
+    if (speakRepliesRef.current && outputNodeRef.current) {
+      source.connect(outputNodeRef.current);
+    }
+  };
+
+  /**
+   * Media tracks can't drop frames like handleMicFrame does, so mute, pause and
+   * push-to-talk switch the outgoing track instead. A no-op for frame transports.
+   */
+  const applyMicGate = () => {
+    const talking = turnModeRef.current !== TURN_MODE.PUSH_TO_TALK || talkingRef.current;
+    connectionRef.current?.setMicEnabled(!mutedRef.current && !pausedRef.current && talking);
+  };
+
+  /**
+   * Push-to-talk pressed - start streaming the mic
+   */
+  const startTalking = () => {
+    if (turnModeRef.current !== TURN_MODE.PUSH_TO_TALK || talkingRef.current || !session.getStream()) return;
+    if (mutedRef.current || pausedRef.current) return;
+
+    console.log('🎙️ [RealtimeWS] Push-to-talk down');
+    talkingRef.current = true;
+    setIsTalking(true);
+    applyMicGate();
+    // Talking over the assistant interrupts it, just like speech_started would
+    sendSessionEvent({ type: SessionEvent.SPEECH_STARTED });
+    dispatchTranscript({ type: TranscriptAction.TURN_STARTED, role: 'user' });
+    updateStatus('Listening... (release to send)');
+  };
+
+  /**
+   * Push-to-talk released - commit what was said as the user's turn
+   */
+  const stopTalking = () => {
+    if (!talkingRef.current) return;
+
+    console.log('🎙️ [RealtimeWS] Push-to-talk up - committing turn');
+    talkingRef.current = false;
+    setIsTalking(false);
+    applyMicGate();
+    if (sendControlMessage(ClientMessage.COMMIT_AUDIO)) {
+      latencyRef.current?.startTurn();
+      sendSessionEvent({ type: SessionEvent.SPEECH_STOPPED });
+      updateStatus('Processing...');
+    } else {
+      sendSessionEvent({ type: SessionEvent.SPEECH_CANCELLED });
+    }
+  };
+
+  const handleTurnModeChange = (mode) => {
+    if (mode === turnModeRef.current) return;
+
+    // Switching away mid-press still sends what was said
+    stopTalking();
+    turnModeRef.current = mode;
+    setTurnMode(mode);
+    applyMicGate();
+    sendControlMessage(ClientMessage.TURN_MODE, { mode });
+    console.log('🔀 [RealtimeWS] Turn mode:', mode);
+  };
+
+  /**
+   * Stop sending mic frames - the session and assistant playback carry on
+   */
+  const toggleMute = () => {
+    const muted = !mutedRef.current;
+    stopTalking();
+    mutedRef.current = muted;
+    setIsMuted(muted);
+    applyMicGate();
+    console.log(muted ? '🔇 [RealtimeWS] Microphone muted' : '🎤 [RealtimeWS] Microphone unmuted');
+    updateStatus(muted ? 'Microphone muted - the AI can\'t hear you' : 'Microphone on - start speaking');
+  };
+
+  /**
+   * Hold capture and assistant playback, and tell the server so its VAD doesn't time out
+   * Suspending the AudioContext freezes scheduled audio in place; resuming continues it.
+   */
+  const togglePause = async () => {
+    const paused = !pausedRef.current;
+    stopTalking();
+    pausedRef.current = paused;
+    setIsPaused(paused);
+    applyMicGate();
 
     try {
-      // Decode base64 to PCM16
-      const binaryString = atob(base64Audio);
-      const bytes = new Uint8Array(binaryString.length);
-      for (let i = 0; i < binaryString.length; i++) {
-        bytes[i] = binaryString.charCodeAt(i);
-      }
-      
-      const int16Array = new Int16Array(bytes.buffer);
-      
-      // Convert PCM16 to Float32 for Web Audio API
-      const float32Array = new Float32Array(int16Array.length);
-      for (let i = 0; i < int16Array.length; i++) {
-        float32Array[i] = int16Array[i] / 32768.0;
+      if (paused) {
+        await audioContextRef.current?.suspend();
+      } else {
+        await audioContextRef.current?.resume();
       }
-      
-      // Create audio buffer
-      const audioContext = audioContextRef.current;
-      const audioBuffer = audioContext.createBuffer(1, float32Array.length, 24000);
-      audioBuffer.getChannelData(0).set(float32Array);
-      
-      // Play audio
-      const source = audioContext.createBufferSource();
-      source.buffer = audioBuffer;
-      source.connect(audioContext.destination);
-      
-      // Store reference to current audio source
-      currentAudioSourceRef.current = source;
-      
-      source.onended = () => {
-        currentAudioSourceRef.current = null;
-        // Play next chunk
-        playNextAudioChunk();
-      };
-      
-      source.start();
-      
     } catch (error) {
-      console.error('❌ [RealtimeWS] Error playing audio:', error);
-      // Continue with next chunk
-      playNextAudioChunk();
+      console.error('❌ [RealtimeWS] Error', paused ? 'suspending' : 'resuming', 'audio:', error);
     }
+
+    sendControlMessage(paused ? ClientMessage.PAUSE : ClientMessage.RESUME);
+    console.log(paused ? '⏸️ [RealtimeWS] Conversation paused' : '▶️ [RealtimeWS] Conversation resumed');
+    updateStatus(paused ? 'Paused' : mutedRef.current ? 'Resumed (microphone muted)' : 'Resumed - start speaking');
+  };
+
+  // Spacebar doubles as the push-to-talk control, except while typing
+  useEffect(() => {
+    if (!isSessionActive || turnMode !== TURN_MODE.PUSH_TO_TALK) return;
+
+    const isTypingTarget = (target) =>
+      target instanceof HTMLElement && (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName));
+
+    const handleKeyDown = (e) => {
+      if (e.code !== 'Space' || isTypingTarget(e.target)) return;
+      e.preventDefault();
+      if (!e.repeat) startTalking();
+    };
+    const handleKeyUp = (e) => {
+      if (e.code !== 'Space' || isTypingTarget(e.target)) return;
+      e.preventDefault();
+      stopTalking();
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    window.addEventListener('keyup', handleKeyUp);
+    window.addEventListener('blur', stopTalking);
+    return () => {
+      window.removeEventListener('keydown', handleKeyDown);
+      window.removeEventListener('keyup', handleKeyUp);
+      window.removeEventListener('blur', stopTalking);
+    };
+  }, [isSessionActive, turnMode]);
+
+  /**
+   * Close the current turn's latency measurement and refresh the overlay
+   */
+  const finishLatencyTurn = () => {
+    const latencies = latencyRef.current?.finishTurn();
+    if (!latencies) return;
+    console.log('⏱️ [RealtimeWS] Turn latency (ms):', latencies);
+    setLatency({ stats: latencyRef.current.getStats(), turnCount: latencyRef.current.getTurnCount() });
+  };
+
+  /**
+   * All assistant audio has finished playing
+   */
+  const handlePlaybackIdle = () => {
+    console.log('🔈 [RealtimeWS] Playback finished');
+    playbackRef.current?.clearItem(responseItemRef.current ?? undefined);
+    receivedAudioMsRef.current = 0;
+    sendSessionEvent({ type: SessionEvent.PLAYBACK_IDLE });
+    updateStatus('Ready - start speaking');
   };
 
+  /**
+   * Text or audio for an assistant item the user already cut off
+   */
+  const isInterruptedItem = (message) =>
+    message.role === 'assistant' && Boolean(message.itemId) && message.itemId === interruptedItemRef.current;
+
   /**
    * Stop audio playback (for interruptions)
+   * The server truncates the item to what was played, so its history matches what the user heard
    */
   const stopAudioPlayback = () => {
     console.log('🛑 [RealtimeWS] Stopping audio playback');
     
-    // Stop currently playing audio immediately
-    if (currentAudioSourceRef.current) {
-      try {
-        currentAudioSourceRef.current.stop();
-        currentAudioSourceRef.current = null;
-      } catch (e) {
-        // Already stopped
-      }
-    }
-    
-    // Clear audio queue
-    audioQueueRef.current = [];
-    isPlayingRef.current = false;
-    setIsAIResponding(false);
-    setAITranscript('');
+    const itemId = responseItemRef.current ?? undefined;
+    // Track audio is played by the browser as it arrives, so what was heard is the time since it started
+    const playedMs = trackAudioRef.current
+      ? (trackAudioStartedAtRef.current ? Math.round(performance.now() - trackAudioStartedAtRef.current) : 0)
+      : playbackRef.current?.getPlayedMs(itemId) ?? 0;
+    trackAudioStartedAtRef.current = null;
+    playbackRef.current?.stop();
+    playbackRef.current?.clearItem(itemId);
+    console.log('⏱️ [RealtimeWS] User heard', playedMs, 'ms of the response');
+
+    sendControlMessage(ClientMessage.INTERRUPT, { itemId, playedMs });
+    interruptedItemRef.current = itemId ?? null;
+
+    // Audio and text arrive together, so the share of audio heard places the cut-off in the text
+    const receivedMs = receivedAudioMsRef.current;
+    receivedAudioMsRef.current = 0;
+
+    dispatchTranscript({
+      type: TranscriptAction.INTERRUPTED,
+      heardRatio: receivedMs > 0 ? playedMs / receivedMs : undefined
+    });
   };
 
   /**
    * Stop conversation
    */
-  const stopConversation = () => {
+  const stopConversation = (finalStatus = 'Conversation ended') => {
     console.log('⏹️ [RealtimeWS] Stopping conversation');
 
-    // Stop audio processor
-    if (mediaRecorderRef.current?.processor) {
-      mediaRecorderRef.current.processor.disconnect();
-      mediaRecorderRef.current.source.disconnect();
-      mediaRecorderRef.current = null;
+    // Cancel any pending reconnect
+    shouldReconnectRef.current = false;
+    if (reconnectTimerRef.current) {
+      clearTimeout(reconnectTimerRef.current);
+      reconnectTimerRef.current = null;
     }
 
-    // Stop media stream
-    if (streamRef.current) {
-      streamRef.current.getTracks().forEach(track => track.stop());
-      streamRef.current = null;
+    // Stop audio capture worklet
+    if (captureRef.current) {
+      captureRef.current.stop();
+      captureRef.current = null;
     }
 
-    // Close WebSocket
-    if (wsRef.current?.readyState === WebSocket.OPEN) {
-      wsRef.current.close();
+    // Close the connection - detached first, so its close isn't taken for a drop
+    const connection = connectionRef.current;
+    connectionRef.current = null;
+    connection?.close(1000);
+
+    // Finish the recording before the audio graph goes away
+    if (recorderRef.current) {
+      const blob = recorderRef.current.stop();
+      recorderRef.current = null;
+      setIsRecording(false);
+      setRecordingBlob(blob);
+      console.log('⏹️ [RealtimeWS] Session recording saved:', blob.size, 'bytes');
     }
 
-    // Close audio context
+    // Stop metering, playback and close audio context
+    micMeterRef.current?.disconnect();
+    agentMeterRef.current?.disconnect();
+    micMeterRef.current = null;
+    agentMeterRef.current = null;
+    setMeters({ mic: null, agent: null });
+    playbackRef.current?.stop();
+    playbackRef.current = null;
+    remoteSourceRef.current?.disconnect();
+    remoteSourceRef.current = null;
+    outputNodeRef.current = null;
     if (audioContextRef.current) {
       audioContextRef.current.close();
       audioContextRef.current = null;
     }
 
     // Reset state
-    setIsConnected(false);
-    setSessionId(null);
-    setIsSpeaking(false);
-    setIsAIResponding(false);
-    setUserTranscript('');
-    setAITranscript('');
-    audioQueueRef.current = [];
-    isPlayingRef.current = false;
+    sendSessionEvent({ type: SessionEvent.END });
+    sessionIdRef.current = null;
+    sessionReadyRef.current = false;
+    trackAudioRef.current = false;
+    trackAudioStartedAtRef.current = null;
+    pendingAudioRef.current = [];
+    responseItemRef.current = null;
+    interruptedItemRef.current = null;
+    receivedAudioMsRef.current = 0;
+    talkingRef.current = false;
+    setIsTalking(false);
+    mutedRef.current = false;
+    setIsMuted(false);
+    pausedRef.current = false;
+    setIsPaused(false);
     
-    updateStatus('Conversation ended');
+    sessionMetaRef.current.endedAt = Date.now();
+
+    // Release the microphone - the conversation data stays for export
+    session.stop({ status: finalStatus, keepConversation: true });
   };
 
+  const handleDownloadRecording = () => {
+    const stamp = new Date(sessionMetaRef.current.startedAt || Date.now()).toISOString().replace(/[:.]/g, '-');
+    downloadBlob(recordingBlob, `session-recording-${stamp}.wav`);
+  };
+
+  /**
+   * Snapshot of the conversation for export
+   */
+  const getExportData = () => buildConversationExport({
+    turns: transcript,
+    meta: { ...sessionMetaRef.current, agentName },
+    userInfo,
+    appointmentDetails,
+    calendarLink
+  });
+
   const handleToggleConversation = () => {
-    if (isConnected) {
+    if (isSessionActive) {
       stopConversation();
     } else {
       startConversation();
@@ -407,14 +1082,14 @@ const RealtimeWebSocketAgent = ({ onStatusChange, selectedBusiness }) => {
         <button
           onClick={handleToggleConversation}
           disabled={false}
-          className={`relative w-20 h-20 rounded-full transition-all duration-300 transform hover:scale-105 active:scale-95 focus:outline-none focus:ring-4 focus:ring-purple-500/50 ${
-            isConnected
+          className={`relative w-20 h-20 rounded-full transition-all duration-300 transform hover:scale-105 active:scale-95 focus:outline-none focus:ring-4 focus:ring-brand/50 ${
+            isSessionActive
               ? 'bg-gradient-to-br from-red-500 to-red-600 hover:from-red-400 hover:to-red-500 shadow-lg shadow-red-500/25'
-              : 'bg-gradient-to-br from-purple-500 to-purple-600 hover:from-purple-400 hover:to-purple-500 shadow-lg shadow-purple-500/25'
+              : 'bg-gradient-to-br from-orb-from to-orb-to hover:brightness-110 shadow-lg shadow-brand/25'
           }`}
         >
           <div className="flex items-center justify-center text-white">
-            {isConnected ? (
+            {isSessionActive ? (
               <div className="w-4 h-4 bg-white rounded-sm"></div>
             ) : (
               <svg className="w-6 h-6" fill="currentColor" viewBox="0 0 24 24">
@@ -428,23 +1103,104 @@ const RealtimeWebSocketAgent = ({ onStatusChange, selectedBusiness }) => {
       </div>
 
       <p className="text-white/80 text-sm font-medium text-center">
-        {isConnected ? 'End Conversation' : 'Start Conversation'}
+        {isSessionActive ? 'End Conversation' : 'Start Conversation'}
       </p>
 
+      {/* Turn mode - hands-free (server VAD) or push-to-talk */}
+      <div className="inline-flex rounded-lg border border-white/10 bg-white/5 p-0.5 text-xs">
+        {[
+          { mode: TURN_MODE.VAD, label: 'Hands-free' },
+          { mode: TURN_MODE.PUSH_TO_TALK, label: 'Push to talk' },
+        ].map(({ mode, label }) => (
+          <button
+            key={mode}
+            onClick={() => handleTurnModeChange(mode)}
+            className={`px-3 py-1 rounded-md transition-all duration-200 ${
+              turnMode === mode
+                ? 'bg-brand/30 text-brand-soft'
+                : 'text-white/50 hover:text-white/80'
+            }`}
+          >
+            {label}
+          </button>
+        ))}
+      </div>
+
+      {/* Microphone / speaker selection - switches live during a session */}
+      <AudioDevicePicker
+        inputs={inputs}
+        outputs={outputs}
+        inputId={inputId}
+        outputId={outputId}
+        onInputChange={selectInput}
+        onOutputChange={selectOutput}
+        showOutput={canSelectOutput}
+      />
+
+      {/* Transport - fixed for the length of a session */}
+      {!isSessionActive && (
+        <div className="flex items-center space-x-2 text-xs">
+          <span className="text-white/50">Transport</span>
+          <div className="inline-flex rounded-lg border border-white/10 bg-white/5 p-0.5">
+            {TRANSPORTS.map(({ name, label }) => (
+              <button
+                key={name}
+                onClick={() => setTransportName(name)}
+                className={`px-3 py-1 rounded-md transition-all duration-200 ${
+                  transportName === name
+                    ? 'bg-brand/30 text-brand-soft'
+                    : 'text-white/50 hover:text-white/80'
+                }`}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {/* Session recording opt-in */}
+      {isSessionActive ? (
+        isRecording && (
+          <div className="inline-flex items-center px-3 py-1 rounded-full text-xs font-medium bg-red-500/20 text-red-400 border border-red-500/30">
+            <div className="w-2 h-2 rounded-full mr-2 bg-red-400 animate-pulse"></div>
+            Recording session
+          </div>
+        )
+      ) : (
+        <label className="flex items-center space-x-2 text-white/60 text-xs cursor-pointer select-none">
+          <input
+            type="checkbox"
+            checked={recordSession}
+            onChange={(e) => setRecordSession(e.target.checked)}
+            className="accent-brand"
+          />
+          <span>Record this session (saved locally as WAV)</span>
+        </label>
+      )}
+
       {/* Status Display */}
-      {isConnected && (
+      {isSessionActive && (
         <div className="flex flex-col items-center space-y-4">
           {/* Status Indicator */}
           <div className="relative">
             <div className={`w-24 h-24 rounded-full transition-all duration-500 flex items-center justify-center border-4 ${
-              isAIResponding
+              isReconnecting
+                ? 'bg-amber-500/20 border-amber-500/50 shadow-lg shadow-amber-500/20'
+                : isPaused
+                ? 'bg-gray-500/20 border-gray-500/50 shadow-lg shadow-gray-500/20'
+                : isAIResponding
                 ? 'bg-blue-500/20 border-blue-500/70 shadow-lg shadow-blue-500/30 animate-pulse'
                 : isSpeaking
                   ? 'bg-green-500/20 border-green-500/70 shadow-lg shadow-green-500/30 animate-pulse'
-                  : 'bg-purple-500/20 border-purple-500/50 shadow-lg shadow-purple-500/20'
+                  : 'bg-brand/20 border-brand/50 shadow-lg shadow-brand/20'
             }`}>
               <div className="flex items-center justify-center text-white">
-                {isAIResponding ? (
+                {isReconnecting ? (
+                  <div className="w-5 h-5 border-2 border-amber-400 border-t-transparent rounded-full animate-spin"></div>
+                ) : isPaused ? (
+                  <Pause className="w-8 h-8 text-gray-400" />
+                ) : isAIResponding ? (
                   <div className="flex space-x-1">
                     <div className="w-1.5 h-6 bg-blue-400 rounded-full animate-pulse"></div>
                     <div className="w-1.5 h-4 bg-blue-400 rounded-full animate-pulse" style={{animationDelay: '0.1s'}}></div>
@@ -459,7 +1215,7 @@ const RealtimeWebSocketAgent = ({ onStatusChange, selectedBusiness }) => {
                     <div className="w-1.5 h-3 bg-green-400 rounded-full animate-pulse" style={{animationDelay: '0.3s'}}></div>
                   </div>
                 ) : (
-                  <svg className="w-8 h-8 text-purple-400" fill="currentColor" viewBox="0 0 24 24">
+                  <svg className="w-8 h-8 text-brand-accent" fill="currentColor" viewBox="0 0 24 24">
                     <path d="M12 2a3 3 0 013 3v6a3 3 0 11-6 0V5a3 3 0 013-3z"/>
                     <path d="M19 10v1a7 7 0 11-14 0v-1a1 1 0 112 0v1a5 5 0 1010 0v-1a1 1 0 112 0z"/>
                   </svg>
@@ -471,61 +1227,182 @@ const RealtimeWebSocketAgent = ({ onStatusChange, selectedBusiness }) => {
           {/* Status Text */}
           <div className="text-center">
             <p className="text-white/90 text-base font-medium">
-              {isAIResponding ? '🤖 AI Speaking' :
+              {isReconnecting ? '🔄 Reconnecting…' :
+               phase === SessionPhase.CONNECTING ? '🔗 Connecting…' :
+               isPaused ? '⏸️ Paused' :
+               isAIResponding ? '🤖 AI Speaking' :
+               isMuted ? '🔇 Muted' :
+               phase === SessionPhase.INTERRUPTED ? '✋ You Interrupted' :
                isSpeaking ? '🎤 You\'re Speaking' :
+               phase === SessionPhase.THINKING ? '💭 Thinking…' :
+               turnMode === TURN_MODE.PUSH_TO_TALK ? '✋ Hold to Talk' :
                '👂 Listening'}
             </p>
             <p className="text-white/60 text-sm mt-1">{currentStatus}</p>
           </div>
 
+          {/* Live levels */}
+          <div className="w-64 space-y-1.5">
+            {micAvailable && (
+              <LevelMeter meter={meters.mic} label="You" barClassName={isMuted ? 'bg-red-400/50' : 'bg-green-400'} />
+            )}
+            <LevelMeter meter={meters.agent} label={agentName || 'AI'} barClassName="bg-blue-400" />
+          </div>
+          {showWaveform && (
+            <ScrollingWaveform
+              traces={[
+                { meter: meters.mic, color: 'rgba(74, 222, 128, 0.8)' },
+                { meter: meters.agent, color: 'rgba(96, 165, 250, 0.8)' }
+              ]}
+              width={256}
+            />
+          )}
+          <div className="flex items-center space-x-4">
+            <label className="flex items-center space-x-2 text-white/50 text-xs cursor-pointer select-none">
+              <input
+                type="checkbox"
+                checked={showWaveform}
+                onChange={(e) => setShowWaveform(e.target.checked)}
+                className="accent-brand"
+              />
+              <span>Show waveform</span>
+            </label>
+            <label className="flex items-center space-x-2 text-white/50 text-xs cursor-pointer select-none">
+              <input
+                type="checkbox"
+                checked={showLatency}
+                onChange={(e) => setShowLatency(e.target.checked)}
+                className="accent-brand"
+              />
+              <span>Show latency</span>
+            </label>
+          </div>
+
+          {/* Mute / pause controls */}
+          <div className="flex space-x-2">
+            {micAvailable && (
+              <button
+                onClick={toggleMute}
+                disabled={isPaused}
+                className={`inline-flex items-center px-3 py-1 text-xs rounded border transition-all duration-200 disabled:opacity-50 disabled:cursor-not-allowed ${
+                  isMuted
+                    ? 'bg-red-500/20 hover:bg-red-500/30 text-red-300 border-red-500/40'
+                    : 'bg-white/5 hover:bg-white/10 text-white/70 hover:text-white/90 border-white/10'
+                }`}
+              >
+                {isMuted ? <MicOff className="w-3.5 h-3.5 mr-1" /> : <Mic className="w-3.5 h-3.5 mr-1" />}
+                {isMuted ? 'Unmute' : 'Mute'}
+              </button>
+            )}
+            <button
+              onClick={togglePause}
+              disabled={!isConnected}
+              className={`inline-flex items-center px-3 py-1 text-xs rounded border transition-all duration-200 disabled:opacity-50 disabled:cursor-not-allowed ${
+                isPaused
+                  ? 'bg-amber-500/20 hover:bg-amber-500/30 text-amber-300 border-amber-500/40'
+                  : 'bg-white/5 hover:bg-white/10 text-white/70 hover:text-white/90 border-white/10'
+              }`}
+            >
+              {isPaused ? <Play className="w-3.5 h-3.5 mr-1" /> : <Pause className="w-3.5 h-3.5 mr-1" />}
+              {isPaused ? 'Resume' : 'Pause'}
+            </button>
+          </div>
+
+
+          {/* Push-to-talk control */}
+          {turnMode === TURN_MODE.PUSH_TO_TALK && micAvailable && !isMuted && !isPaused && (
+            <div className="flex flex-col items-center space-y-1">
+              <button
+                onPointerDown={startTalking}
+                onPointerUp={stopTalking}
+                onPointerLeave={stopTalking}
+                onPointerCancel={stopTalking}
+                disabled={!isConnected}
+                className={`px-6 py-3 rounded-full text-sm font-medium border select-none touch-none transition-all duration-200 disabled:opacity-50 disabled:cursor-not-allowed ${
+                  isTalking
+                    ? 'bg-green-500/30 text-green-200 border-green-500/60 scale-105'
+                    : 'bg-white/5 hover:bg-white/10 text-white/80 border-white/20'
+                }`}
+              >
+                {isTalking ? '🎙️ Release to send' : '✋ Hold to talk'}
+              </button>
+              <p className="text-white/40 text-xs">or hold the Space bar</p>
+            </div>
+          )}
 
           {/* Debug Info */}
           <div className="inline-block bg-white/5 backdrop-blur-sm rounded-xl border border-white/10 px-4 py-2 text-xs text-white/70">
             <p>Session: {sessionId ? '✅' : '❌'}</p>
             <p>Connected: {isConnected ? '✅' : '❌'}</p>
+            <p>Transport: {session.getTransport().name}</p>
             <p>Messages: {conversationCount}</p>
           </div>
         </div>
       )}
 
-      {/* User Information */}
-      {userInfo.name && (
-        <div className="text-center">
-          <div className="inline-block bg-white/5 backdrop-blur-sm rounded-xl border border-white/10 px-4 py-2">
-            <div className="text-white/90 text-sm font-semibold">User Info</div>
-            <div className="text-white/70 text-xs mt-1">
-              Name: {userInfo.name}
-              {userInfo.email && <> • Email: {userInfo.email}</>}
-            </div>
-          </div>
+      {/* Typed input */}
+      {isSessionActive && (
+        <div className="w-full space-y-1">
+          {!micAvailable && (
+            <p className="text-amber-400/80 text-xs text-center">🎙️ No microphone available - type your messages below</p>
+          )}
+          <TextMessageInput
+            onSend={sendTextMessage}
+            disabled={!isConnected || !sessionId || isPaused}
+            speakReplies={speakReplies}
+            onSpeakRepliesChange={handleSpeakRepliesChange}
+          />
         </div>
       )}
 
-      {/* Calendar Link */}
-      {calendarLink && appointmentDetails && (
-        <div className="text-center">
-          <div className="inline-block bg-gradient-to-r from-emerald-500/20 to-blue-500/20 backdrop-blur-sm rounded-xl border border-emerald-500/30 p-4 max-w-sm">
-            <div className="flex items-center justify-center mb-2">
-              <svg className="w-5 h-5 text-emerald-400 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M8 7V3m8 4V3m-9 8h10M5 21h14a2 2 0 002-2V7a2 2 0 00-2-2H5a2 2 0 00-2 2v12a2 2 0 002 2z" />
-              </svg>
-              <div className="text-emerald-400 text-sm font-semibold">Appointment Scheduled!</div>
-            </div>
+      {/* Conversation Transcript */}
+      <ConversationTranscript turns={transcript} agentName={agentName} />
+      {transcript.length > 0 && (
+        <TranscriptExport getExportData={getExportData} />
+      )}
+      {recordingBlob && (
+        <button
+          onClick={handleDownloadRecording}
+          className="px-3 py-1 text-xs rounded border transition-all duration-200 bg-red-500/10 hover:bg-red-500/20 text-red-300 hover:text-red-200 border-red-500/30"
+        >
+          ⏺️ Download recording (WAV)
+        </button>
+      )}
 
-            <div className="text-white/90 text-xs mb-3 space-y-1">
-              <div><strong>Service:</strong> {appointmentDetails.title}</div>
-              <div><strong>Date:</strong> {appointmentDetails.date}</div>
-              <div><strong>Time:</strong> {appointmentDetails.timeDisplay}</div>
-            </div>
+      {/* User Information */}
+      {(userInfo.name || userInfo.email) && (
+        <ContactDetails
+          userInfo={userInfo}
+          onSave={sessionId ? handleContactSave : undefined}
+          disabled={!isConnected}
+        />
+      )}
 
-            <button
-              onClick={() => window.open(calendarLink, '_blank')}
-              className="w-full bg-gradient-to-r from-emerald-500 to-blue-500 hover:from-emerald-400 hover:to-blue-400 text-white font-medium py-2 px-4 rounded-lg transition-all duration-300 transform hover:scale-105 focus:outline-none focus:ring-2 focus:ring-emerald-500/50 text-sm"
-            >
-              📅 View in Calendar
-            </button>
-          </div>
-        </div>
+      {/* Booking progress - until the appointment card takes over */}
+      {booking && !booking.confirmed && (
+        <BookingProgress
+          booking={booking}
+          onCorrect={handleBookingCorrection}
+          disabled={!isConnected || !sessionId || isPaused}
+        />
+      )}
+
+      {/* Appointment */}
+      {appointmentDetails && (
+        <AppointmentCard
+          appointmentDetails={appointmentDetails}
+          calendarLink={calendarLink}
+          userInfo={userInfo}
+          businessName={businessName}
+        />
+      )}
+
+      {showLatency && (
+        <LatencyOverlay
+          stats={latency.stats}
+          turnCount={latency.turnCount}
+          onClose={() => setShowLatency(false)}
+        />
       )}
     </div>
   );
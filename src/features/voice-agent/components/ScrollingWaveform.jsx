@@ -0,0 +1,66 @@
+'use client';
+
+import { useRef, useEffect } from 'react';
+
+// Pixels the trace moves per animation frame (~5s of history across 320px at 60fps)
+const SCROLL_PX = 1;
+
+/**
+ * ScrollingWaveform - Scrolling amplitude trace of one or more level meters
+ * Each trace is mirrored around the centre line; newest audio enters on the right.
+ * @param {Array<{ meter: Object | null, color: string }>} traces - Meters from createLevelMeter and a CSS colour each
+ */
+const ScrollingWaveform = ({ traces, width = 320, height = 56 }) => {
+  const canvasRef = useRef(null);
+  const tracesRef = useRef(traces);
+
+  // Callers pass a fresh array every render - read it from a ref so the trace isn't reset
+  useEffect(() => {
+    tracesRef.current = traces;
+  });
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    const context = canvas?.getContext('2d');
+    if (!context) return;
+
+    const scale = window.devicePixelRatio || 1;
+    canvas.width = width * scale;
+    canvas.height = height * scale;
+    context.scale(scale, scale);
+
+    let frame;
+    const draw = () => {
+      // Shift the existing picture left (in device pixels) and clear the new column
+      context.save();
+      context.setTransform(1, 0, 0, 1, 0, 0);
+      context.drawImage(canvas, -SCROLL_PX * scale, 0);
+      context.restore();
+      context.clearRect(width - SCROLL_PX, 0, SCROLL_PX, height);
+
+      const middle = height / 2;
+      tracesRef.current.forEach(({ meter, color }) => {
+        if (!meter) return;
+        const amplitude = Math.max(0.5, meter.getLevel() * middle);
+        context.fillStyle = color;
+        context.fillRect(width - SCROLL_PX, middle - amplitude, SCROLL_PX, amplitude * 2);
+      });
+
+      frame = requestAnimationFrame(draw);
+    };
+    frame = requestAnimationFrame(draw);
+
+    return () => cancelAnimationFrame(frame);
+  }, [width, height]);
+
+  return (
+    <canvas
+      ref={canvasRef}
+      style={{ width, height }}
+      className="rounded-lg bg-slate-900/50 border border-white/10"
+      aria-hidden="true"
+    />
+  );
+};
+
+export default ScrollingWaveform;
@@ -0,0 +1,17 @@
+'use client';
+
+import { getThemeStyle } from '../lib/theme';
+
+/**
+ * TenantTheme - Applies a tenant's theme (CSS variables and font) to everything inside it
+ * @param {Object} [theme] - A tenant's `theme`; omitted for the default purple
+ */
+const TenantTheme = ({ theme, className = '', children }) => {
+  return (
+    <div className={`font-brand ${className}`} style={getThemeStyle(theme)}>
+      {children}
+    </div>
+  );
+};
+
+export default TenantTheme;
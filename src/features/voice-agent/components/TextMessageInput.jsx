@@ -0,0 +1,56 @@
+'use client';
+
+import { useState } from 'react';
+import { Send } from 'lucide-react';
+
+/**
+ * TextMessageInput - Typed alternative to speaking in a voice session
+ * For visitors without a working mic or who can't talk out loud right now.
+ */
+const TextMessageInput = ({ onSend, disabled = false, speakReplies, onSpeakRepliesChange }) => {
+  const [text, setText] = useState('');
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const message = text.trim();
+    if (!message || disabled) return;
+    onSend(message);
+    setText('');
+  };
+
+  return (
+    <div className="w-full space-y-2">
+      <form onSubmit={handleSubmit} className="flex items-center space-x-2">
+        <input
+          type="text"
+          value={text}
+          onChange={(e) => setText(e.target.value)}
+          disabled={disabled}
+          placeholder={disabled ? 'Waiting for session…' : 'Type a message instead of speaking…'}
+          className="flex-1 px-3 py-2 bg-slate-900/50 border border-white/20 rounded-lg text-white/90 text-sm placeholder:text-white/40 focus:outline-none focus:ring-2 focus:ring-brand/50 focus:border-brand/50 disabled:opacity-50"
+        />
+        <button
+          type="submit"
+          disabled={disabled || !text.trim()}
+          className="p-2 rounded-lg bg-brand/20 text-brand-soft hover:bg-brand/30 border border-brand/30 transition-all duration-200 disabled:opacity-50 disabled:cursor-not-allowed"
+          aria-label="Send message"
+        >
+          <Send className="w-4 h-4" />
+        </button>
+      </form>
+      {onSpeakRepliesChange && (
+        <label className="flex items-center justify-center space-x-2 text-white/60 text-xs cursor-pointer select-none">
+          <input
+            type="checkbox"
+            checked={speakReplies}
+            onChange={(e) => onSpeakRepliesChange(e.target.checked)}
+            className="accent-brand"
+          />
+          <span>Speak assistant replies</span>
+        </label>
+      )}
+    </div>
+  );
+};
+
+export default TextMessageInput;
@@ -0,0 +1,165 @@
+'use client';
+
+import { useEffect, useRef, useState } from 'react';
+import { Check, Copy, Palette, RotateCcw, X } from 'lucide-react';
+import { resolveTheme, validateTheme } from '../lib/theme';
+
+const COPIED_RESET_MS = 2000;
+
+const COLOR_FIELDS = [
+  { path: 'primary', label: 'Primary' },
+  { path: 'primaryStrong', label: 'Primary (strong)' },
+  { path: 'primarySoft', label: 'Primary (soft)' },
+  { path: 'accent', label: 'Accent' },
+  { path: 'orb.from', label: 'Orb start' },
+  { path: 'orb.to', label: 'Orb end' },
+];
+
+const FONT_OPTIONS = [
+  { label: 'Geist (default)', value: '' },
+  { label: 'System UI', value: 'system-ui, sans-serif' },
+  { label: 'Serif', value: 'Georgia, "Times New Roman", serif' },
+  { label: 'Rounded', value: 'ui-rounded, "SF Pro Rounded", system-ui, sans-serif' },
+  { label: 'Monospace', value: 'var(--font-geist-mono)' },
+];
+
+const HEX_COLOR = /^#[0-9a-f]{6}$/i;
+
+const getPath = (object, path) => path.split('.').reduce((value, key) => value?.[key], object);
+
+const setPath = (object, path, value) => {
+  const [key, ...rest] = path.split('.');
+  if (rest.length === 0) return { ...object, [key]: value };
+  return { ...object, [key]: setPath(object?.[key] || {}, rest.join('.'), value) };
+};
+
+const INPUT_CLASS = 'w-full px-2 py-1 bg-slate-900/50 border border-white/20 rounded text-white/80 text-xs focus:outline-none focus:ring-2 focus:ring-brand/50';
+
+/**
+ * ThemePreview - Try out a tenant theme on the live page before saving it
+ * Edits go straight to `onChange` so the page restyles as you pick; nothing is
+ * stored. "Copy theme JSON" gives the `theme` block to save in tenants.json.
+ * @param {Object} theme - Theme being previewed
+ * @param {string} tenantName
+ * @param {(theme: Object) => void} onChange
+ * @param {() => void} onReset - Back to the tenant's saved theme
+ * @param {() => void} onClose
+ */
+const ThemePreview = ({ theme, tenantName, onChange, onReset, onClose }) => {
+  const [copied, setCopied] = useState(false);
+  const copiedTimerRef = useRef(null);
+  const resolved = resolveTheme(theme);
+  const problem = validateTheme(theme);
+
+  useEffect(() => () => clearTimeout(copiedTimerRef.current), []);
+
+  const handleFieldChange = (path, value) => {
+    onChange(setPath(theme, path, value || undefined));
+  };
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(JSON.stringify(theme, null, 2));
+      setCopied(true);
+      clearTimeout(copiedTimerRef.current);
+      copiedTimerRef.current = setTimeout(() => setCopied(false), COPIED_RESET_MS);
+    } catch (error) {
+      console.error('❌ [Theme] Failed to copy theme:', error);
+    }
+  };
+
+  return (
+    <div className="fixed bottom-4 left-4 z-50 w-72 bg-slate-900/90 backdrop-blur-sm rounded-xl border border-white/10 p-3 shadow-lg text-xs space-y-3">
+      <div className="flex items-center justify-between">
+        <h4 className="flex items-center text-white/80 font-medium">
+          <Palette className="w-3.5 h-3.5 mr-1" aria-hidden="true" />
+          Theme preview
+          <span className="ml-2 text-white/40 font-normal truncate max-w-[7rem]">{tenantName}</span>
+        </h4>
+        <button
+          onClick={onClose}
+          className="text-white/40 hover:text-white/80 transition-colors"
+          aria-label="Close theme preview"
+        >
+          <X className="w-3.5 h-3.5" />
+        </button>
+      </div>
+
+      <div className="grid grid-cols-2 gap-2">
+        {COLOR_FIELDS.map(({ path, label }) => {
+          const value = getPath(theme, path);
+          const shown = getPath(resolved, path);
+          return (
+            <label key={path} className="flex items-center space-x-2 text-white/60">
+              <input
+                type="color"
+                value={HEX_COLOR.test(value) ? value : HEX_COLOR.test(shown) ? shown : '#000000'}
+                onChange={(e) => handleFieldChange(path, e.target.value)}
+                className="w-6 h-6 flex-shrink-0 rounded border border-white/20 bg-transparent cursor-pointer"
+              />
+              <span className={value ? 'text-white/80' : undefined} title={value ? undefined : 'Mixed from primary'}>
+                {label}
+              </span>
+            </label>
+          );
+        })}
+      </div>
+
+      <label className="block text-white/60">
+        Font
+        <select
+          value={theme.font || ''}
+          onChange={(e) => handleFieldChange('font', e.target.value)}
+          className={`${INPUT_CLASS} mt-1`}
+        >
+          {FONT_OPTIONS.map(({ label, value }) => (
+            <option key={label} value={value}>{label}</option>
+          ))}
+        </select>
+      </label>
+
+      <label className="block text-white/60">
+        Logo URL
+        <input
+          type="url"
+          value={theme.logo || ''}
+          onChange={(e) => handleFieldChange('logo', e.target.value.trim())}
+          placeholder="https://…/logo.svg"
+          className={`${INPUT_CLASS} mt-1`}
+        />
+      </label>
+
+      {/* The orb and a button as they'll look */}
+      <div className="flex items-center justify-center space-x-3 py-1">
+        <div className="w-10 h-10 rounded-full bg-gradient-to-br from-orb-from to-orb-to shadow-lg shadow-brand/25" />
+        <span className="px-3 py-1 rounded bg-brand/30 text-brand-soft border border-brand/30">Selected</span>
+        <span className="text-brand-accent">Accent</span>
+      </div>
+
+      {problem && <p className="text-red-400">{problem}</p>}
+
+      <div className="flex gap-2">
+        <button
+          onClick={onReset}
+          className="flex-1 flex items-center justify-center px-3 py-1 rounded border transition-all duration-200 bg-white/5 hover:bg-white/10 text-white/70 hover:text-white border-white/10"
+        >
+          <RotateCcw className="w-3.5 h-3.5 mr-1" />
+          Reset
+        </button>
+        <button
+          onClick={handleCopy}
+          disabled={Boolean(problem)}
+          className="flex-1 flex items-center justify-center px-3 py-1 rounded border transition-all duration-200 bg-brand/20 hover:bg-brand/30 text-brand-soft border-brand/30 disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          {copied ? <Check className="w-3.5 h-3.5 mr-1" /> : <Copy className="w-3.5 h-3.5 mr-1" />}
+          {copied ? 'Copied' : 'Copy theme JSON'}
+        </button>
+      </div>
+      <p className="text-white/40 text-[11px]">
+        Changes only apply to this page. Paste the JSON into the tenant&apos;s <code>theme</code> in tenants.json to save it.
+      </p>
+    </div>
+  );
+};
+
+export default ThemePreview;
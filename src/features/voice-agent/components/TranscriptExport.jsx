@@ -0,0 +1,40 @@
+'use client';
+
+import { Download } from 'lucide-react';
+import { EXPORT_FORMATS, downloadConversation } from '../lib/transcriptExport';
+
+/**
+ * TranscriptExport - Download buttons for the current/last conversation
+ * `getExportData` is called on click so the export always reflects the latest state.
+ */
+const TranscriptExport = ({ getExportData, disabled = false }) => {
+  const handleExport = (format) => {
+    try {
+      downloadConversation(getExportData(), format);
+      console.log('💾 [Export] Conversation exported as', format);
+    } catch (error) {
+      console.error('❌ [Export] Failed to export conversation:', error);
+    }
+  };
+
+  return (
+    <div className="flex flex-wrap items-center justify-center gap-2">
+      <span className="flex items-center text-white/60 text-xs">
+        <Download className="w-3.5 h-3.5 mr-1" />
+        Export
+      </span>
+      {Object.entries(EXPORT_FORMATS).map(([format, { label }]) => (
+        <button
+          key={format}
+          onClick={() => handleExport(format)}
+          disabled={disabled}
+          className="px-3 py-1 text-xs rounded border transition-all duration-200 bg-white/5 hover:bg-white/10 text-white/70 hover:text-white border-white/10 disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          {label}
+        </button>
+      ))}
+    </div>
+  );
+};
+
+export default TranscriptExport;
@@ -1,56 +1,57 @@
 'use client';
 
-import { useState } from 'react';
+import { useState, useEffect } from 'react';
+import Image from 'next/image';
+import { Palette } from 'lucide-react';
 import RealtimeWebSocketAgent from './RealtimeWebSocketAgent';
+import TenantTheme from './TenantTheme';
+import ThemePreview from './ThemePreview';
+import useTenants from '../hooks/useTenants';
 
 const VoiceAgent = () => {
   const [currentStatus, setCurrentStatus] = useState('Ready to start conversation');
-  const [selectedBusiness, setSelectedBusiness] = useState('sherpaprompt');
+  const [selectedBusiness, setSelectedBusiness] = useState(null);   // null until the visitor picks one
+  const { tenants, defaultTenantId } = useTenants();
+  const [previewTheme, setPreviewTheme] = useState(null);   // Unsaved theme being tried out, if any
+  const [showThemePreview, setShowThemePreview] = useState(false);
 
   const handleChainedStatusChange = (chainedStatus) => {
     setCurrentStatus(chainedStatus);
   };
 
+  const currentConfig = tenants.find(({ id }) => id === selectedBusiness)
+    || tenants.find(({ id }) => id === defaultTenantId);
+  const theme = previewTheme || currentConfig.theme;
+
   const handleEstimatorClick = () => {
-    window.open('/prototype-estimator', '_blank');
+    window.open(`/prototype-estimator?tenant=${encodeURIComponent(currentConfig.id)}`, '_blank');
   };
 
   const handleBusinessToggle = (businessId) => {
     setSelectedBusiness(businessId);
+    // A preview belongs to the tenant it was started on
+    setPreviewTheme(null);
   };
 
-  // Business configurations
-  const businessConfigs = {
-    sherpaprompt: {
-      name: 'SherpaPrompt',
-      tagline: 'Conversations into Outcomes',
-      agent: 'Scout',
-      color: 'purple',
-      services: [
-        { name: 'Call Automation', color: 'blue' },
-        { name: 'Transcript to Task', color: 'emerald' },
-        { name: 'Voice to Estimate', color: 'orange' },
-        { name: 'App Platform', color: 'purple' }
-      ]
-    },
-    'superior-fencing': {
-      name: 'Superior Fence & Construction',
-      tagline: 'Professional Fencing Services',
-      agent: 'Mason',
-      color: 'emerald',
-      services: [
-        { name: 'New Installation', color: 'blue' },
-        { name: 'Fence Repair', color: 'emerald' },
-        { name: 'Gate Services', color: 'orange' },
-        { name: 'Emergency Service', color: 'red' }
-      ]
-    }
-  };
-
-  const currentConfig = businessConfigs[selectedBusiness];
+  useEffect(() => {
+    document.title = `${currentConfig.name} Voice Agent`;
+  }, [currentConfig.name]);
 
   return (
-    <div className="min-h-screen bg-gradient-to-br from-slate-900 via-slate-800 to-gray-900 flex items-center justify-center p-4 relative">
+    <TenantTheme
+      theme={theme}
+      className="min-h-screen bg-gradient-to-br from-slate-900 via-slate-800 to-gray-900 flex items-center justify-center p-4 relative"
+    >
+      {/* Theme preview toggle - Top Left */}
+      <button
+        onClick={() => setShowThemePreview((shown) => !shown)}
+        className="absolute top-4 left-4 flex items-center space-x-1 px-3 py-1 text-xs rounded border transition-all duration-200 bg-white/5 hover:bg-white/10 text-white/70 hover:text-white border-white/10"
+        aria-pressed={showThemePreview}
+      >
+        <Palette className="w-3.5 h-3.5" />
+        <span>Theme</span>
+      </button>
+
       {/* Estimator Button - Top Right */}
       <button
         onClick={handleEstimatorClick}
@@ -66,32 +67,35 @@ const VoiceAgent = () => {
         
         {/* Business Toggle */}
         <div className="text-center mb-6">
-          <div className="inline-flex bg-white/10 backdrop-blur-sm rounded-lg p-1 border border-white/20">
-            <button
-              onClick={() => handleBusinessToggle('sherpaprompt')}
-              className={`px-4 py-2 rounded-md text-sm font-medium transition-all duration-200 ${
-                selectedBusiness === 'sherpaprompt'
-                  ? 'bg-purple-600 text-white shadow-lg'
-                  : 'text-white/70 hover:text-white hover:bg-white/10'
-              }`}
-            >
-              SherpaPrompt
-            </button>
-            <button
-              onClick={() => handleBusinessToggle('superior-fencing')}
-              className={`px-4 py-2 rounded-md text-sm font-medium transition-all duration-200 ${
-                selectedBusiness === 'superior-fencing'
-                  ? 'bg-emerald-600 text-white shadow-lg'
-                  : 'text-white/70 hover:text-white hover:bg-white/10'
-              }`}
-            >
-              Superior Fencing
-            </button>
+          <div className="inline-flex flex-wrap justify-center bg-white/10 backdrop-blur-sm rounded-lg p-1 border border-white/20">
+            {tenants.map((tenant) => (
+              <button
+                key={tenant.id}
+                onClick={() => handleBusinessToggle(tenant.id)}
+                className={`px-4 py-2 rounded-md text-sm font-medium transition-all duration-200 ${
+                  tenant.id === currentConfig.id
+                    ? 'bg-brand-strong text-white shadow-lg'
+                    : 'text-white/70 hover:text-white hover:bg-white/10'
+                }`}
+              >
+                {tenant.shortName}
+              </button>
+            ))}
           </div>
         </div>
 
         {/* Title */}
         <div className="text-center mb-8">
+          {theme.logo && (
+            <Image
+              src={theme.logo}
+              alt={`${currentConfig.name} logo`}
+              width={160}
+              height={40}
+              unoptimized
+              className="h-10 w-auto mx-auto mb-3"
+            />
+          )}
           <h1 className="text-3xl font-bold text-white mb-2">
             {currentConfig.name}
           </h1>
@@ -99,7 +103,7 @@ const VoiceAgent = () => {
             {currentConfig.tagline}
           </p>
           <p className="text-white/40 text-xs mt-1">
-            AI Agent: {currentConfig.agent}
+            AI Agent: {currentConfig.agentName}
           </p>
         </div>
         
@@ -107,7 +111,10 @@ const VoiceAgent = () => {
         {/* Main Interface - Realtime WebSocket Agent */}
         <RealtimeWebSocketAgent 
           onStatusChange={handleChainedStatusChange} 
-          selectedBusiness={selectedBusiness}
+          selectedBusiness={currentConfig.id}
+          businessName={currentConfig.name}
+          agentName={currentConfig.agentName}
+          greeting={currentConfig.greeting}
         />
 
         {/* Features List */}
@@ -117,7 +124,7 @@ const VoiceAgent = () => {
             <div className="grid grid-cols-2 gap-3 text-white/60 text-xs">
               {currentConfig.services.map((service, index) => (
                 <div key={index} className="flex items-center space-x-2">
-                  <div className={`w-1.5 h-1.5 bg-${service.color}-400 rounded-full`}></div>
+                  <div className="w-1.5 h-1.5 rounded-full" style={{ backgroundColor: service.color }}></div>
                   <span>{service.name}</span>
                 </div>
               ))}
@@ -125,7 +132,17 @@ const VoiceAgent = () => {
           </div>
         </div>
       </div>
-    </div>
+
+      {showThemePreview && (
+        <ThemePreview
+          theme={theme}
+          tenantName={currentConfig.name}
+          onChange={setPreviewTheme}
+          onReset={() => setPreviewTheme(null)}
+          onClose={() => setShowThemePreview(false)}
+        />
+      )}
+    </TenantTheme>
   );
 };
 
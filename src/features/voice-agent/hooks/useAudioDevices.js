@@ -0,0 +1,91 @@
+'use client';
+
+import { useState, useEffect, useCallback } from 'react';
+import {
+  AUDIO_DEVICE_KIND,
+  listAudioDevices,
+  loadPreferredDevice,
+  savePreferredDevice,
+  supportsOutputSelection
+} from '../lib/audioDevices';
+
+/**
+ * useAudioDevices - live list of microphones / speakers plus the remembered choice
+ *
+ * `inputId` / `outputId` are the devices to use right now: the saved choice while it
+ * is plugged in, '' (system default) otherwise. The saved choice itself is kept, so
+ * plugging the device back in switches back to it.
+ *
+ * `deviceChangeCount` goes up on every `devicechange`. Streams opened on the default
+ * device don't follow the system default by themselves, so consumers re-open them
+ * when it changes.
+ *
+ * @param {Object} [options]
+ * @param {'context' | 'element'} [options.outputTarget] - How the consumer plays audio; decides `canSelectOutput`
+ */
+const useAudioDevices = ({ outputTarget = 'context' } = {}) => {
+  const [inputs, setInputs] = useState([]);
+  const [outputs, setOutputs] = useState([]);
+  const [preferredInputId, setPreferredInputId] = useState('');
+  const [preferredOutputId, setPreferredOutputId] = useState('');
+  const [deviceChangeCount, setDeviceChangeCount] = useState(0);
+  const [canSelectOutput, setCanSelectOutput] = useState(false);
+
+  const refreshDevices = useCallback(async () => {
+    try {
+      const devices = await listAudioDevices();
+      setInputs(devices.inputs);
+      setOutputs(devices.outputs);
+    } catch (error) {
+      console.warn('⚠️ [AudioDevices] Could not list devices:', error);
+    }
+  }, []);
+
+  useEffect(() => {
+    setPreferredInputId(loadPreferredDevice(AUDIO_DEVICE_KIND.INPUT));
+    setPreferredOutputId(loadPreferredDevice(AUDIO_DEVICE_KIND.OUTPUT));
+    // Checked after mount - the server render can't know
+    setCanSelectOutput(supportsOutputSelection(outputTarget));
+    refreshDevices();
+
+    const mediaDevices = navigator.mediaDevices;
+    if (!mediaDevices?.addEventListener) return;
+
+    const handleDeviceChange = () => {
+      console.log('🎧 [AudioDevices] Devices changed');
+      refreshDevices();
+      setDeviceChangeCount((count) => count + 1);
+    };
+
+    mediaDevices.addEventListener('devicechange', handleDeviceChange);
+    return () => mediaDevices.removeEventListener('devicechange', handleDeviceChange);
+  }, [refreshDevices, outputTarget]);
+
+  const selectInput = useCallback((deviceId) => {
+    savePreferredDevice(AUDIO_DEVICE_KIND.INPUT, deviceId);
+    setPreferredInputId(deviceId);
+  }, []);
+
+  const selectOutput = useCallback((deviceId) => {
+    savePreferredDevice(AUDIO_DEVICE_KIND.OUTPUT, deviceId);
+    setPreferredOutputId(deviceId);
+  }, []);
+
+  // Before the first permission grant the list is empty - trust the saved choice until we know better
+  const isPresent = (devices, deviceId) =>
+    devices.length === 0 || devices.some((device) => device.deviceId === deviceId);
+
+  return {
+    inputs,
+    outputs,
+    inputId: isPresent(inputs, preferredInputId) ? preferredInputId : '',
+    outputId: isPresent(outputs, preferredOutputId) ? preferredOutputId : '',
+    selectInput,
+    selectOutput,
+    refreshDevices,
+    deviceChangeCount,
+    canSelectOutput,
+  };
+};
+
+export default useAudioDevices;
@@ -0,0 +1,45 @@
+'use client';
+
+import { useState, useRef, useEffect, useCallback } from 'react';
+import { transition, initialSessionState } from '../lib/sessionMachine';
+
+/**
+ * useSessionMachine - drive the session state machine from React and socket callbacks
+ *
+ * `send` applies an event against the latest state (kept in a ref, so callbacks
+ * created in earlier renders still see the real phase), re-renders with the new
+ * state and runs the effects the transition asked for.
+ *
+ * @param {Object} options
+ * @param {Object<string, (event: Object) => void>} options.effects - Handler per SessionEffect
+ * @param {(from: string, to: string, event: Object) => void} [options.onTransition] - Called on every phase change
+ * @returns {{ phase: string, send: (event: Object) => Object, getPhase: () => string }}
+ */
+const useSessionMachine = ({ effects, onTransition }) => {
+  const [state, setState] = useState(initialSessionState);
+  const stateRef = useRef(initialSessionState);
+  const handlersRef = useRef({ effects, onTransition });
+
+  // Handlers close over the latest render
+  useEffect(() => {
+    handlersRef.current = { effects, onTransition };
+  });
+
+  const send = useCallback((event) => {
+    const previous = stateRef.current;
+    const { state: next, effects: requested } = transition(previous, event);
+    if (next === previous) return previous;
+
+    stateRef.current = next;
+    setState(next);
+    handlersRef.current.onTransition?.(previous.phase, next.phase, event);
+    requested.forEach((effect) => handlersRef.current.effects[effect]?.(event));
+    return next;
+  }, []);
+
+  const getPhase = useCallback(() => stateRef.current.phase, []);
+
+  return { phase: state.phase, send, getPhase };
+};
+
+export default useSessionMachine;
@@ -0,0 +1,46 @@
+'use client';
+
+import { useState, useEffect } from 'react';
+import { BUNDLED_TENANTS, hasRemoteTenants, fetchTenants } from '../lib/tenants';
+
+/**
+ * useTenants - the tenant registry for the business switcher
+ *
+ * Starts from the bundled config so the page renders straight away. When a
+ * tenants endpoint is configured its registry replaces the bundled one once
+ * it loads; if it fails the bundled tenants stay and `error` says why.
+ *
+ * @returns {{ tenants: Object[], defaultTenantId: string, loading: boolean, error: string|null }}
+ */
+const useTenants = () => {
+  const [registry, setRegistry] = useState(BUNDLED_TENANTS);
+  const [loading, setLoading] = useState(hasRemoteTenants);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!hasRemoteTenants()) return;
+
+    let cancelled = false;
+    fetchTenants()
+      .then((remote) => {
+        if (cancelled) return;
+        setRegistry(remote);
+        console.log('🏢 [Tenants] Loaded', remote.tenants.length, 'tenants from the server');
+      })
+      .catch((fetchError) => {
+        console.error('❌ [Tenants] Falling back to bundled tenants:', fetchError);
+        if (!cancelled) setError(fetchError.message);
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  return { ...registry, loading, error };
+};
+
+export default useTenants;
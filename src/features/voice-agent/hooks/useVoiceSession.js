@@ -0,0 +1,36 @@
+'use client';
+
+import { useState, useEffect, useSyncExternalStore } from 'react';
+import { createVoiceSession } from '../lib/voiceSession';
+
+/**
+ * useVoiceSession - React binding for the shared voice session core
+ *
+ * The session is created once per component and its state (status, session ID,
+ * contact details, appointment, exchange count, mic availability) re-renders the
+ * component when it changes. Imperative calls go through `session`, which is
+ * stable, so socket and timer callbacks can use it without stale closures.
+ *
+ * @param {Object} options
+ * @param {() => Object} options.createTransport - Builds the transport, called once
+ * @param {boolean} [options.requireMicrophone]
+ * @param {string} [options.logTag]
+ * @param {(status: string) => void} [options.onStatusChange]
+ * @returns {Object} Session state plus `session`
+ */
+const useVoiceSession = ({ createTransport, requireMicrophone, logTag, onStatusChange }) => {
+  const [session] = useState(() => createVoiceSession({
+    transport: createTransport(),
+    requireMicrophone,
+    logTag
+  }));
+  const state = useSyncExternalStore(session.subscribe, session.getState, session.getState);
+
+  useEffect(() => {
+    onStatusChange?.(state.status);
+  }, [state.status, onStatusChange]);
+
+  return { ...state, session };
+};
+
+export default useVoiceSession;
@@ -0,0 +1,268 @@
+/**
+ * Appointment - turn the server's appointmentDetails into times, calendar files and links
+ *
+ * appointmentDetails as sent with appointment_created (and by /process):
+ *   { title, date: 'YYYY-MM-DD', time: 'HH:mm', timeDisplay: '2:00 PM', duration?: minutes,
+ *     timeZone?: IANA zone the date/time are in, start?: ISO timestamp, location?, description? }
+ * `start` wins when present. Without it the wall-clock date/time are read in `timeZone`,
+ * or in the visitor's own zone when the server doesn't say.
+ */
+
+const DEFAULT_DURATION_MINUTES = 60;
+
+// PRODID product segment; the business that took the booking is the owner when known
+const ICS_PRODUCT = 'Voice Agent';
+
+const slugify = (value) => String(value).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+
+const pad = (value) => String(value).padStart(2, '0');
+
+/**
+ * Hours and minutes from '14:00' or '2:00 PM'
+ * @returns {{ hours: number, minutes: number } | null}
+ */
+const parseTime = (value) => {
+  const match = /^\s*(\d{1,2})(?::(\d{2}))?\s*([ap]\.?m\.?)?\s*$/i.exec(value || '');
+  if (!match) return null;
+
+  let hours = Number(match[1]);
+  const minutes = Number(match[2] || 0);
+  const meridiem = match[3]?.[0].toLowerCase();
+  if (meridiem === 'p' && hours < 12) hours += 12;
+  if (meridiem === 'a' && hours === 12) hours = 0;
+  if (hours > 23 || minutes > 59) return null;
+  return { hours, minutes };
+};
+
+/**
+ * Offset (ms) of a time zone from UTC at a given instant
+ */
+const getZoneOffset = (timestamp, timeZone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+  }).formatToParts(new Date(timestamp));
+  const get = (type) => Number(parts.find((part) => part.type === type).value);
+  const wall = Date.UTC(get('year'), get('month') - 1, get('day'), get('hour'), get('minute'), get('second'));
+  return wall - Math.floor(timestamp / 1000) * 1000;
+};
+
+/**
+ * The instant a wall-clock time in `timeZone` refers to
+ */
+const zonedTimeToDate = (year, month, day, hours, minutes, timeZone) => {
+  const wall = Date.UTC(year, month - 1, day, hours, minutes);
+  // Second pass settles times next to a daylight-saving change
+  let utc = wall - getZoneOffset(wall, timeZone);
+  utc = wall - getZoneOffset(utc, timeZone);
+  return new Date(utc);
+};
+
+/**
+ * Start and end of an appointment
+ * @param {Object} details - appointmentDetails
+ * @returns {{ start: Date, end: Date } | null} Null when the details carry no usable date
+ */
+export const getAppointmentTimes = (details) => {
+  if (!details) return null;
+  const durationMs = (Number(details.duration) || DEFAULT_DURATION_MINUTES) * 60000;
+
+  let start = null;
+  if (details.start) {
+    start = new Date(details.start);
+  } else {
+    const dateMatch = /^(\d{4})-(\d{2})-(\d{2})$/.exec(details.date || '');
+    const time = parseTime(details.time) || parseTime(details.timeDisplay);
+    if (!dateMatch || !time) return null;
+
+    const [year, month, day] = dateMatch.slice(1).map(Number);
+    try {
+      start = details.timeZone
+        ? zonedTimeToDate(year, month, day, time.hours, time.minutes, details.timeZone)
+        : new Date(year, month - 1, day, time.hours, time.minutes);
+    } catch (error) {
+      // Unknown time zone name - the visitor's zone is the best remaining guess
+      console.warn('⚠️ [Appointment] Could not read time zone', details.timeZone, error);
+      start = new Date(year, month - 1, day, time.hours, time.minutes);
+    }
+  }
+
+  if (Number.isNaN(start.getTime())) return null;
+  return { start, end: new Date(start.getTime() + durationMs) };
+};
+
+/**
+ * Human-readable date and time range in the visitor's time zone
+ * @param {{ start: Date, end: Date }} times
+ * @param {string} [locale]
+ * @returns {{ date: string, time: string, timeZoneName: string }}
+ */
+export const formatLocalAppointment = ({ start, end }, locale) => {
+  const date = start.toLocaleDateString(locale, { weekday: 'long', month: 'long', day: 'numeric', year: 'numeric' });
+  const timeOptions = { hour: 'numeric', minute: '2-digit' };
+  const time = `${start.toLocaleTimeString(locale, timeOptions)} – ${end.toLocaleTimeString(locale, timeOptions)}`;
+  const timeZoneName = new Intl.DateTimeFormat(locale, { timeZoneName: 'short' })
+    .formatToParts(start)
+    .find((part) => part.type === 'timeZoneName')?.value || '';
+  return { date, time, timeZoneName };
+};
+
+/**
+ * Whether the appointment's own time zone differs from the visitor's
+ * @param {Object} details - appointmentDetails
+ */
+export const isInOtherTimeZone = (details) => {
+  if (!details?.timeZone) return false;
+  return details.timeZone !== Intl.DateTimeFormat().resolvedOptions().timeZone;
+};
+
+// 20251104T170000Z
+const formatUtcStamp = (date) =>
+  `${date.getUTCFullYear()}${pad(date.getUTCMonth() + 1)}${pad(date.getUTCDate())}T${pad(date.getUTCHours())}${pad(date.getUTCMinutes())}${pad(date.getUTCSeconds())}Z`;
+
+// RFC 5545 text escaping
+const escapeIcsText = (value) => String(value)
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+// RFC 5545 lines are at most 75 octets; continuations start with a space
+const foldIcsLine = (line) => {
+  const encoder = new TextEncoder();
+  const folded = [];
+  let current = '';
+  for (const char of line) {
+    const limit = folded.length === 0 ? 75 : 74;
+    if (encoder.encode(current + char).length > limit) {
+      folded.push(current);
+      current = '';
+    }
+    current += char;
+  }
+  folded.push(current);
+  return folded.join('\r\n ');
+};
+
+/**
+ * Plain-text description used by the calendar file and the add-to-calendar links
+ */
+const buildEventDescription = (details, { calendarLink, businessName } = {}) => [
+  details.description,
+  businessName ? `Booked with the ${businessName} voice assistant.` : 'Booked with the voice assistant.',
+  calendarLink && `Calendar event: ${calendarLink}`,
+].filter(Boolean).join('\n');
+
+/**
+ * Build an iCalendar (.ics) file for the appointment
+ * @param {Object} details - appointmentDetails
+ * @param {{ start: Date, end: Date }} times
+ * @param {Object} [options]
+ * @param {string} [options.calendarLink] - The server's own calendar event
+ * @param {string} [options.businessName] - Tenant the appointment was booked with
+ * @returns {string}
+ */
+export const buildIcs = (details, { start, end }, { calendarLink, businessName } = {}) => {
+  const owner = businessName ? `${businessName.replace(/\/\//g, '/')}//` : '';
+  const uid = `${formatUtcStamp(start)}-${slugify(details.title || 'appointment')}@${slugify(businessName || '') || 'voice-agent'}`;
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:-//${owner}${ICS_PRODUCT}//EN`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    'BEGIN:VEVENT',
+    `UID:${uid}`,
+    `DTSTAMP:${formatUtcStamp(new Date())}`,
+    `DTSTART:${formatUtcStamp(start)}`,
+    `DTEND:${formatUtcStamp(end)}`,
+    `SUMMARY:${escapeIcsText(details.title || 'Appointment')}`,
+    `DESCRIPTION:${escapeIcsText(buildEventDescription(details, { calendarLink, businessName }))}`,
+    details.location && `LOCATION:${escapeIcsText(details.location)}`,
+    calendarLink && `URL:${calendarLink}`,
+    'END:VEVENT',
+    'END:VCALENDAR',
+  ].filter(Boolean);
+  return lines.map(foldIcsLine).join('\r\n') + '\r\n';
+};
+
+/**
+ * File name for the appointment's .ics download
+ */
+export const getIcsFilename = (details) => `${slugify(details.title || 'appointment') || 'appointment'}.ics`;
+
+/**
+ * Add-to-calendar links for the web calendars
+ * @param {Object} details - appointmentDetails
+ * @param {{ start: Date, end: Date }} times
+ * @param {Object} [options] - { calendarLink, businessName }, as for buildIcs
+ * @returns {{ google: string, outlook: string, office365: string }}
+ */
+export const buildCalendarLinks = (details, { start, end }, options) => {
+  const title = details.title || 'Appointment';
+  const description = buildEventDescription(details, options);
+  const location = details.location || '';
+
+  const google = new URLSearchParams({
+    action: 'TEMPLATE',
+    text: title,
+    dates: `${formatUtcStamp(start)}/${formatUtcStamp(end)}`,
+    details: description,
+    location,
+  });
+
+  // Outlook takes ISO times; the same compose deeplink works for personal and work accounts
+  const outlook = new URLSearchParams({
+    path: '/calendar/action/compose',
+    rru: 'addevent',
+    subject: title,
+    startdt: start.toISOString(),
+    enddt: end.toISOString(),
+    body: description,
+    location,
+  });
+
+  return {
+    google: `https://calendar.google.com/calendar/render?${google.toString()}`,
+    outlook: `https://outlook.live.com/calendar/0/action/compose?${outlook.toString()}`,
+    office365: `https://outlook.office.com/calendar/0/action/compose?${outlook.toString()}`,
+  };
+};
+
+/**
+ * Confirmation text for the visitor to copy into an email or note
+ * @param {Object} details - appointmentDetails
+ * @param {{ start: Date, end: Date } | null} times
+ * @param {Object} [options]
+ * @param {Object} [options.userInfo] - { name, email, phone }
+ * @param {string} [options.calendarLink]
+ * @returns {string}
+ */
+export const buildConfirmationSummary = (details, times, { userInfo, calendarLink } = {}) => {
+  const lines = [`Appointment confirmed: ${details.title || 'Appointment'}`];
+
+  if (times) {
+    const { date, time, timeZoneName } = formatLocalAppointment(times);
+    lines.push(`When: ${date}, ${time}${timeZoneName ? ` ${timeZoneName}` : ''}`);
+    if (isInOtherTimeZone(details)) {
+      lines.push(`Local to the business: ${details.timeDisplay || details.time} (${details.timeZone})`);
+    }
+  } else {
+    lines.push(`When: ${[details.date, details.timeDisplay || details.time].filter(Boolean).join(' at ')}`);
+  }
+
+  if (details.duration) lines.push(`Duration: ${details.duration} minutes`);
+  if (details.location) lines.push(`Where: ${details.location}`);
+  if (userInfo?.name) lines.push(`Name: ${userInfo.name}`);
+  if (userInfo?.email) lines.push(`Email: ${userInfo.email}`);
+  if (userInfo?.phone) lines.push(`Phone: ${userInfo.phone}`);
+  if (calendarLink) lines.push(`Calendar: ${calendarLink}`);
+
+  return lines.join('\n');
+};
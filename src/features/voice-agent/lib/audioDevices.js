@@ -0,0 +1,119 @@
+/**
+ * Audio Devices - microphone / speaker discovery, persistence and routing
+ * The chosen devices are remembered per browser in localStorage. An empty deviceId
+ * always means "system default", which is also the fallback when a saved device
+ * is unplugged.
+ */
+
+export const AUDIO_DEVICE_KIND = {
+  INPUT: 'audioinput',
+  OUTPUT: 'audiooutput',
+};
+
+const STORAGE_KEYS = {
+  [AUDIO_DEVICE_KIND.INPUT]: 'audioInputDeviceId',
+  [AUDIO_DEVICE_KIND.OUTPUT]: 'audioOutputDeviceId',
+};
+
+/**
+ * List the available microphones and speakers
+ * Labels are empty until the page has been granted microphone access once.
+ * @returns {Promise<{ inputs: Array<{ deviceId: string, label: string }>, outputs: Array<{ deviceId: string, label: string }> }>}
+ */
+export const listAudioDevices = async () => {
+  if (!navigator.mediaDevices?.enumerateDevices) {
+    return { inputs: [], outputs: [] };
+  }
+
+  const devices = await navigator.mediaDevices.enumerateDevices();
+  const byKind = (kind, fallbackLabel) => devices
+    // Chrome adds 'default' and 'communications' aliases - the empty id already covers default
+    .filter((device) => device.kind === kind && device.deviceId && !['default', 'communications'].includes(device.deviceId))
+    .map((device, index) => ({
+      deviceId: device.deviceId,
+      label: device.label || `${fallbackLabel} ${index + 1}`,
+    }));
+
+  return {
+    inputs: byKind(AUDIO_DEVICE_KIND.INPUT, 'Microphone'),
+    outputs: byKind(AUDIO_DEVICE_KIND.OUTPUT, 'Speaker'),
+  };
+};
+
+/**
+ * @param {string} kind - One of AUDIO_DEVICE_KIND
+ * @returns {string} Saved deviceId, or '' for the default device
+ */
+export const loadPreferredDevice = (kind) => {
+  try {
+    return localStorage.getItem(STORAGE_KEYS[kind]) || '';
+  } catch (error) {
+    return '';
+  }
+};
+
+/**
+ * @param {string} kind - One of AUDIO_DEVICE_KIND
+ * @param {string} deviceId - '' to go back to the default device
+ */
+export const savePreferredDevice = (kind, deviceId) => {
+  try {
+    if (deviceId) {
+      localStorage.setItem(STORAGE_KEYS[kind], deviceId);
+    } else {
+      localStorage.removeItem(STORAGE_KEYS[kind]);
+    }
+  } catch (error) {
+    console.warn('⚠️ [AudioDevices] Could not save device preference:', error);
+  }
+};
+
+/**
+ * Open a microphone stream on a specific device
+ * Falls back to the default microphone if the device has gone away.
+ * @param {string} deviceId - '' for the default device
+ * @param {MediaTrackConstraints} [constraints] - Other audio constraints (sample rate, echo cancellation...)
+ * @returns {Promise<MediaStream>}
+ */
+export const getMicrophoneStream = async (deviceId, constraints = {}) => {
+  if (!deviceId) {
+    return navigator.mediaDevices.getUserMedia({ audio: { ...constraints } });
+  }
+
+  try {
+    return await navigator.mediaDevices.getUserMedia({
+      audio: { ...constraints, deviceId: { exact: deviceId } }
+    });
+  } catch (error) {
+    if (error.name !== 'OverconstrainedError' && error.name !== 'NotFoundError') throw error;
+    console.warn('⚠️ [AudioDevices] Microphone', deviceId, 'unavailable, using the default');
+    return navigator.mediaDevices.getUserMedia({ audio: { ...constraints } });
+  }
+};
+
+/**
+ * Whether assistant audio can be routed to a chosen speaker
+ * @param {'context' | 'element'} target - AudioContext playback or <audio> element playback
+ */
+export const supportsOutputSelection = (target) => {
+  if (typeof window === 'undefined') return false;
+  const proto = target === 'context' ? window.AudioContext?.prototype : window.HTMLMediaElement?.prototype;
+  return Boolean(proto && 'setSinkId' in proto);
+};
+
+/**
+ * Route an AudioContext or media element to a speaker
+ * @param {AudioContext | HTMLMediaElement} target
+ * @param {string} deviceId - '' for the default device
+ * @returns {Promise<boolean>} Whether the output was changed
+ */
+export const setOutputDevice = async (target, deviceId) => {
+  if (typeof target?.setSinkId !== 'function') return false;
+  try {
+    await target.setSinkId(deviceId);
+    return true;
+  } catch (error) {
+    console.warn('⚠️ [AudioDevices] Could not switch output to', deviceId || 'default', error);
+    return false;
+  }
+};
@@ -0,0 +1,90 @@
+/**
+ * Booking Steps - where the visitor is in the scheduling conversation
+ * Derived from the session's booking ({ details, confirmed }): each step is complete
+ * once the server has reported its field, and the first incomplete step is current.
+ */
+
+const formatDate = (value) => {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value || '');
+  if (!match) return value;
+  const [year, month, day] = match.slice(1).map(Number);
+  return new Date(year, month - 1, day).toLocaleDateString(undefined, { weekday: 'short', month: 'short', day: 'numeric' });
+};
+
+// `correction` is what the visitor "says" when they tap a completed step
+export const BOOKING_STEPS = [
+  {
+    key: 'service',
+    label: 'Service',
+    getValue: (details) => details.title || null,
+    correction: 'I need a different service',
+  },
+  {
+    key: 'date',
+    label: 'Date',
+    getValue: (details) => (details.date ? formatDate(details.date) : null),
+    correction: "I'd like to change the date",
+  },
+  {
+    key: 'time',
+    label: 'Time',
+    getValue: (details) => details.timeDisplay || details.time || null,
+    correction: "I'd like to change the time",
+  },
+  {
+    key: 'confirm',
+    label: 'Confirmed',
+    getValue: () => null,
+  },
+];
+
+export const StepStatus = {
+  COMPLETE: 'complete',
+  CURRENT: 'current',
+  UPCOMING: 'upcoming',
+};
+
+/**
+ * Steps with their status and the value gathered so far
+ * @param {{ details: Object, confirmed: boolean }} booking
+ * @returns {Array<{ key: string, label: string, value: string|null, status: string, correctable: boolean }>}
+ */
+export const getBookingSteps = ({ details, confirmed }) => {
+  let currentFound = false;
+
+  return BOOKING_STEPS.map((step) => {
+    const value = step.getValue(details);
+    const complete = step.key === 'confirm' ? confirmed : confirmed || value !== null;
+
+    let status = StepStatus.UPCOMING;
+    if (complete) {
+      status = StepStatus.COMPLETE;
+    } else if (!currentFound) {
+      status = StepStatus.CURRENT;
+      currentFound = true;
+    }
+
+    return {
+      key: step.key,
+      label: step.label,
+      value,
+      status,
+      correctable: Boolean(step.correction) && value !== null,
+    };
+  });
+};
+
+/**
+ * Message asking the agent to revisit a step - the visitor then answers by voice or text
+ * @param {string} stepKey - One of BOOKING_STEPS
+ * @param {Object} details - Booking details gathered so far
+ * @returns {string}
+ */
+export const buildCorrectionMessage = (stepKey, details) => {
+  const step = BOOKING_STEPS.find(({ key }) => key === stepKey);
+  if (!step?.correction) {
+    throw new Error(`Booking step "${stepKey}" can't be corrected`);
+  }
+  const value = step.getValue(details);
+  return value ? `${step.correction} (currently ${value}).` : `${step.correction}.`;
+};
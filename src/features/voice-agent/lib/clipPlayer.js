@@ -0,0 +1,91 @@
+/**
+ * Clip Player - plays whole synthesized replies (base64 MP3) one at a time
+ * Used by the agents whose server returns complete audio files rather than a stream.
+ * Starting a clip stops the previous one, and stopping a clip settles its promise,
+ * so an interrupted reply never leaves the caller waiting - the result tells the
+ * caller whether to carry on.
+ */
+
+import { setOutputDevice } from './audioDevices';
+
+/**
+ * Create a clip player
+ * @param {Object} [options]
+ * @param {(audio: HTMLAudioElement) => void} [options.onPlaying] - Each clip starting to sound (e.g. to meter it)
+ * @returns {{ play: Function, stop: () => void, pause: () => void, resume: () => void, setOutputDevice: (deviceId: string) => void, isPlaying: () => boolean }}
+ */
+export const createClipPlayer = ({ onPlaying } = {}) => {
+  let current = null;   // { audio, url, resolve }
+
+  const release = (clip) => {
+    URL.revokeObjectURL(clip.url);
+    if (current === clip) current = null;
+  };
+
+  /**
+   * Play a clip to the end
+   * @param {string} audioBase64 - MP3 bytes
+   * @param {Object} [options]
+   * @param {string} [options.deviceId] - Speaker to route to ('' for the default)
+   * @param {boolean} [options.autoplay] - False to load the clip paused until resume()
+   * @returns {Promise<boolean>} True once the clip has played to the end, false if it was stopped
+   */
+  const play = (audioBase64, { deviceId = '', autoplay = true } = {}) => {
+    stop();
+
+    return new Promise((resolve, reject) => {
+      try {
+        const audioBlob = new Blob([Uint8Array.from(atob(audioBase64), c => c.charCodeAt(0))], { type: 'audio/mp3' });
+        const url = URL.createObjectURL(audioBlob);
+        const audio = new Audio(url);
+        const clip = { audio, url, resolve };
+        current = clip;
+
+        audio.onended = () => {
+          release(clip);
+          resolve(true);
+        };
+
+        audio.onerror = (error) => {
+          release(clip);
+          reject(error);
+        };
+
+        audio.onplaying = () => onPlaying?.(audio);
+
+        // Route to the chosen speaker before starting
+        setOutputDevice(audio, deviceId).then(() => {
+          if (autoplay && current === clip) {
+            audio.play();
+          }
+        });
+      } catch (error) {
+        reject(error);
+      }
+    });
+  };
+
+  /**
+   * Stop the current clip for good (interruptions, teardown)
+   */
+  const stop = () => {
+    if (!current) return;
+    const clip = current;
+    clip.audio.onended = null;
+    clip.audio.onerror = null;
+    clip.audio.pause();
+    release(clip);
+    clip.resolve(false);
+  };
+
+  return {
+    play,
+    stop,
+    pause: () => current?.audio.pause(),
+    resume: () => current?.audio.play(),
+    setOutputDevice: (deviceId) => {
+      if (current) setOutputDevice(current.audio, deviceId);
+    },
+    isPlaying: () => current !== null,
+  };
+};
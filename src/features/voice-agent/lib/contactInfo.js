@@ -0,0 +1,52 @@
+/**
+ * Contact Info - checks for contact details the visitor corrects by hand
+ * Speech-to-text tends to spell out emails ("jane at example dot com") or drop
+ * characters, so edited values are validated before they go back to the agent.
+ */
+
+// Deliberately loose - one @, no spaces, a dot in the domain
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Separators people type in phone numbers
+const PHONE_SEPARATORS = /[\s().-]/g;
+
+/**
+ * Trim and tidy edited contact fields; empty fields become null
+ * @param {{ name?: string, email?: string, phone?: string }} contact
+ * @returns {{ name: string|null, email: string|null, phone: string|null }}
+ */
+export const normalizeContact = ({ name, email, phone }) => ({
+  name: name?.trim().replace(/\s+/g, ' ') || null,
+  email: email?.trim().toLowerCase() || null,
+  phone: phone?.trim() || null,
+});
+
+/**
+ * Validate normalized contact details
+ * @param {{ name: string|null, email: string|null, phone: string|null }} contact
+ * @returns {Object<string, string>} Message per invalid field - empty when everything is valid
+ */
+export const validateContact = ({ name, email, phone }) => {
+  const errors = {};
+
+  if (!name) {
+    errors.name = 'Please enter a name';
+  }
+
+  if (email && !EMAIL_PATTERN.test(email)) {
+    errors.email = 'Enter an email like name@example.com';
+  }
+
+  if (phone) {
+    const digits = phone.replace(PHONE_SEPARATORS, '');
+    if (!/^\+?\d{7,15}$/.test(digits)) {
+      errors.phone = 'Enter a phone number with 7 to 15 digits';
+    }
+  }
+
+  if (!email && !phone) {
+    errors.email = 'Add an email or phone number so we can confirm your booking';
+  }
+
+  return errors;
+};
@@ -0,0 +1,132 @@
+/**
+ * Latency Metrics - per-turn timing of the conversation pipeline
+ * Each turn starts at the end of the user's speech (or a typed message). Agents
+ * mark pipeline events as they happen; when the turn finishes, every metric whose
+ * two marks were seen is recorded, and the session keeps p50/p95 per metric.
+ */
+
+// Marks every agent uses; agent-specific marks are plain strings
+export const LatencyMark = {
+  SPEECH_END: 'speechEnd',
+  FIRST_TRANSCRIPT: 'firstTranscript',
+  FIRST_AUDIO: 'firstAudio',
+  RESPONSE_DONE: 'responseDone',
+  TRANSCRIBE_START: 'transcribeStart',
+  TRANSCRIBE_END: 'transcribeEnd',
+  PROCESS_START: 'processStart',
+  PROCESS_END: 'processEnd',
+  SYNTHESIZE_START: 'synthesizeStart',
+  SYNTHESIZE_END: 'synthesizeEnd',
+};
+
+// Metrics for the streaming (WebSocket) agent
+export const REALTIME_METRICS = [
+  { key: 'transcript', label: 'Speech end → transcript', from: LatencyMark.SPEECH_END, to: LatencyMark.FIRST_TRANSCRIPT },
+  { key: 'firstAudio', label: 'Speech end → first audio', from: LatencyMark.SPEECH_END, to: LatencyMark.FIRST_AUDIO },
+  { key: 'responseDone', label: 'Speech end → response done', from: LatencyMark.SPEECH_END, to: LatencyMark.RESPONSE_DONE },
+];
+
+// Metrics for the chained (transcribe → process → synthesize) agent
+export const CHAINED_METRICS = [
+  { key: 'silence', label: 'Silence wait', from: LatencyMark.SPEECH_END, to: LatencyMark.TRANSCRIBE_START },
+  { key: 'transcribe', label: 'Transcribe', from: LatencyMark.TRANSCRIBE_START, to: LatencyMark.TRANSCRIBE_END },
+  { key: 'process', label: 'Process', from: LatencyMark.PROCESS_START, to: LatencyMark.PROCESS_END },
+  { key: 'synthesize', label: 'Synthesize', from: LatencyMark.SYNTHESIZE_START, to: LatencyMark.SYNTHESIZE_END },
+  { key: 'firstAudio', label: 'Speech end → first audio', from: LatencyMark.SPEECH_END, to: LatencyMark.FIRST_AUDIO },
+];
+
+/**
+ * Nearest-rank percentile
+ * @param {number[]} sorted - Ascending values
+ * @param {number} p - 0..100
+ * @returns {number | null}
+ */
+export const percentile = (sorted, p) => {
+  if (sorted.length === 0) return null;
+  const rank = Math.ceil((p / 100) * sorted.length);
+  return sorted[Math.min(sorted.length - 1, Math.max(0, rank - 1))];
+};
+
+/**
+ * Create a latency tracker for one session
+ * @param {Object} options
+ * @param {Array<{ key: string, label: string, from: string, to: string }>} options.metrics
+ * @param {number} [options.maxTurns] - Turns kept for the percentiles
+ * @param {() => number} [options.now] - Clock in milliseconds
+ */
+export const createLatencyTracker = ({
+  metrics,
+  maxTurns = 200,
+  now = () => performance.now(),
+}) => {
+  let marks = null;              // Marks of the open turn, null between turns
+  let turns = [];                // Finished turns: { [metricKey]: ms }
+
+  /**
+   * Open a new turn at the end of the user's speech - an unfinished turn is dropped
+   */
+  const startTurn = () => {
+    marks = { [LatencyMark.SPEECH_END]: now() };
+  };
+
+  /**
+   * Record an event of the open turn; only the first occurrence of each mark counts
+   * @param {string} name
+   */
+  const mark = (name) => {
+    if (!marks || marks[name] !== undefined) return;
+    marks[name] = now();
+  };
+
+  /**
+   * Close the open turn and record its latencies
+   * @returns {Object | null} Latencies of the turn in ms, keyed by metric
+   */
+  const finishTurn = () => {
+    if (!marks) return null;
+
+    const latencies = {};
+    metrics.forEach(({ key, from, to }) => {
+      if (marks[from] !== undefined && marks[to] !== undefined) {
+        latencies[key] = Math.round(marks[to] - marks[from]);
+      }
+    });
+    marks = null;
+
+    if (Object.keys(latencies).length === 0) return null;
+    turns = [...turns, latencies].slice(-maxTurns);
+    return latencies;
+  };
+
+  /**
+   * Session statistics per metric
+   * @returns {Array<{ key: string, label: string, last: number | null, p50: number | null, p95: number | null, count: number }>}
+   */
+  const getStats = () => metrics.map(({ key, label }) => {
+    const values = turns.map((turn) => turn[key]).filter((value) => value !== undefined);
+    const sorted = [...values].sort((a, b) => a - b);
+    return {
+      key,
+      label,
+      last: values.length > 0 ? values[values.length - 1] : null,
+      p50: percentile(sorted, 50),
+      p95: percentile(sorted, 95),
+      count: values.length,
+    };
+  });
+
+  const reset = () => {
+    marks = null;
+    turns = [];
+  };
+
+  return {
+    startTurn,
+    mark,
+    finishTurn,
+    getStats,
+    reset,
+    isTurnOpen: () => marks !== null,
+    getTurnCount: () => turns.length,
+  };
+};
@@ -0,0 +1,79 @@
+/**
+ * Level Meter - AnalyserNode wrapper for live audio levels
+ * Feed it a node (connect into `input`) or a MediaStream (`connectStream`), then
+ * poll `getLevel()` from an animation frame. Analysers are pass-through taps, so
+ * metering never changes what the user hears.
+ */
+
+// Levels are shown on a dB scale: -60 dBFS and below is silence, 0 dBFS is full scale
+const MIN_DB = -60;
+
+/**
+ * Create a level meter in an AudioContext
+ * @param {AudioContext} audioContext
+ * @param {Object} [options]
+ * @param {number} [options.fftSize] - Analysis window in samples
+ * @returns {{ input: AnalyserNode, connectStream: (stream: MediaStream | null) => void, getLevel: () => number, getWaveform: () => Float32Array, disconnect: () => void }}
+ */
+export const createLevelMeter = (audioContext, { fftSize = 1024 } = {}) => {
+  const analyser = audioContext.createAnalyser();
+  analyser.fftSize = fftSize;
+  const samples = new Float32Array(analyser.fftSize);
+  let streamSource = null;
+
+  /**
+   * Meter a media stream (mic, or a captured <audio> element) - replaces the previous one
+   * @param {MediaStream | null} stream
+   */
+  const connectStream = (stream) => {
+    streamSource?.disconnect();
+    streamSource = null;
+    if (!stream || stream.getAudioTracks().length === 0) return;
+    streamSource = audioContext.createMediaStreamSource(stream);
+    streamSource.connect(analyser);
+  };
+
+  /**
+   * Current loudness
+   * @returns {number} 0 (silence) to 1 (full scale), on a dB scale
+   */
+  const getLevel = () => {
+    analyser.getFloatTimeDomainData(samples);
+    let sum = 0;
+    for (let i = 0; i < samples.length; i++) {
+      sum += samples[i] * samples[i];
+    }
+    const rms = Math.sqrt(sum / samples.length);
+    if (rms === 0) return 0;
+    const db = 20 * Math.log10(rms);
+    return Math.min(1, Math.max(0, (db - MIN_DB) / -MIN_DB));
+  };
+
+  /**
+   * Latest window of raw samples (-1..1) - the returned array is reused between calls
+   * @returns {Float32Array}
+   */
+  const getWaveform = () => {
+    analyser.getFloatTimeDomainData(samples);
+    return samples;
+  };
+
+  const disconnect = () => {
+    streamSource?.disconnect();
+    streamSource = null;
+    analyser.disconnect();
+  };
+
+  return { input: analyser, connectStream, getLevel, getWaveform, disconnect };
+};
+
+/**
+ * Tap the audio of a playing <audio> element without rerouting its output
+ * @param {HTMLMediaElement} element
+ * @returns {MediaStream | null} Null where the browser can't capture media elements
+ */
+export const captureElementStream = (element) => {
+  if (typeof element.captureStream === 'function') return element.captureStream();
+  if (typeof element.mozCaptureStream === 'function') return element.mozCaptureStream();
+  return null;
+};
@@ -0,0 +1,46 @@
+/**
+ * PCM - conversions between PCM16 bytes, Float32 samples and base64
+ */
+
+/**
+ * Convert PCM16 bytes to base64 for JSON transport
+ * @param {ArrayBuffer} buffer
+ * @returns {string}
+ */
+export const arrayBufferToBase64 = (buffer) => {
+  const bytes = new Uint8Array(buffer);
+  const chunkSize = 0x8000;
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += chunkSize) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + chunkSize));
+  }
+  return btoa(binary);
+};
+
+/**
+ * Decode base64 into raw bytes
+ * @param {string} base64
+ * @returns {ArrayBuffer}
+ */
+export const base64ToArrayBuffer = (base64) => {
+  const binary = atob(base64);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes.buffer;
+};
+
+/**
+ * Convert PCM16 (little-endian) bytes to Float32 samples for the Web Audio API
+ * @param {ArrayBuffer} buffer
+ * @returns {Float32Array}
+ */
+export const pcm16ToFloat32 = (buffer) => {
+  const int16Array = new Int16Array(buffer, 0, Math.floor(buffer.byteLength / 2));
+  const float32Array = new Float32Array(int16Array.length);
+  for (let i = 0; i < int16Array.length; i++) {
+    float32Array[i] = int16Array[i] / 32768.0;
+  }
+  return float32Array;
+};
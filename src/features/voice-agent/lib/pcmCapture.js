@@ -0,0 +1,68 @@
+/**
+ * PCM Capture - AudioWorklet based audio capture
+ * Loads the pcm16-capture-processor worklet and wires audio into it.
+ * Capture, PCM16 conversion and framing run on the audio thread; the main thread
+ * only receives ready-made frames.
+ */
+
+const WORKLET_URL = '/worklets/pcm16-capture-processor.js';
+const PROCESSOR_NAME = 'pcm16-capture-processor';
+
+// Worklet modules only need to be added once per AudioContext
+const loadedContexts = new WeakSet();
+
+/**
+ * Create a worklet node that posts PCM16 frames of whatever is connected to it
+ * @param {AudioContext} audioContext
+ * @param {Object} options
+ * @param {number} options.frameSize - Samples per channel in each frame
+ * @param {number} [options.channelCount] - Channels to capture (interleaved when > 1)
+ * @param {number} [options.targetRate] - Rate of the posted frames; resampled from the context rate when different (mono only)
+ * @param {(frame: ArrayBuffer) => void} options.onFrame - Receives each Int16 PCM frame
+ * @returns {Promise<AudioWorkletNode>}
+ */
+export const createPcmFrameNode = async (audioContext, { frameSize, channelCount = 1, targetRate, onFrame }) => {
+  if (!audioContext.audioWorklet) {
+    throw new Error('AudioWorklet is not supported in this browser');
+  }
+
+  if (!loadedContexts.has(audioContext)) {
+    await audioContext.audioWorklet.addModule(WORKLET_URL);
+    loadedContexts.add(audioContext);
+  }
+
+  const node = new AudioWorkletNode(audioContext, PROCESSOR_NAME, {
+    numberOfInputs: 1,
+    numberOfOutputs: 0,
+    channelCount,
+    channelCountMode: 'explicit',
+    processorOptions: { frameSize, channelCount, targetRate }
+  });
+
+  node.port.onmessage = (event) => onFrame(event.data);
+  return node;
+};
+
+/**
+ * Create a PCM16 capture pipeline for a media stream
+ * @param {AudioContext} audioContext - Context the worklet runs in
+ * @param {MediaStream} stream - Microphone stream
+ * @param {Object} options
+ * @param {number} options.frameSize - Samples per frame posted to onFrame (at the target rate)
+ * @param {number} [options.targetRate] - Rate frames are delivered at; defaults to the context's sampleRate
+ * @param {(frame: ArrayBuffer) => void} options.onFrame - Receives each Int16 PCM frame
+ * @returns {Promise<{ node: AudioWorkletNode, source: MediaStreamAudioSourceNode, stop: () => void }>}
+ */
+export const createPcmCapture = async (audioContext, stream, { frameSize, targetRate, onFrame }) => {
+  const node = await createPcmFrameNode(audioContext, { frameSize, targetRate, onFrame });
+  const source = audioContext.createMediaStreamSource(stream);
+  source.connect(node);
+
+  const stop = () => {
+    node.port.onmessage = null;
+    source.disconnect();
+    node.disconnect();
+  };
+
+  return { node, source, stop };
+};
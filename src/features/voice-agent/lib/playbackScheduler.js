@@ -0,0 +1,255 @@
+/**
+ * Playback Scheduler - gapless playback of streamed assistant audio
+ * Chunks are scheduled back-to-back on the AudioContext clock instead of chaining
+ * `onended` callbacks, so there are no clicks or gaps between deltas.
+ *
+ * A small adaptive jitter buffer holds the first chunks of a stream until enough
+ * audio is queued to ride out network jitter. Every underrun grows the buffer,
+ * long stretches without one shrink it back towards the minimum.
+ *
+ * When the context doesn't run at the stream's rate, pass a resampler and chunks
+ * are converted to the context rate before scheduling, instead of relying on the
+ * browser's own (often linear) buffer resampling.
+ */
+
+const DEFAULT_ITEM = 'default';
+
+/**
+ * Create a playback scheduler bound to an AudioContext
+ * @param {AudioContext} audioContext
+ * @param {Object} options
+ * @param {number} options.sampleRate - Sample rate of the incoming Float32 chunks
+ * @param {{ process: Function, flush: Function, reset: Function }} [options.resampler] - Converts chunks from sampleRate to the context rate
+ * @param {AudioNode} [options.destination] - Node to play into (defaults to the context destination)
+ * @param {number} [options.minBufferMs] - Smallest jitter buffer
+ * @param {number} [options.maxBufferMs] - Largest jitter buffer
+ * @param {number} [options.bufferStepMs] - How much an underrun grows the buffer
+ * @param {number} [options.stableChunks] - Chunks without underrun before the buffer shrinks
+ * @param {() => void} [options.onIdle] - Called when everything queued has finished playing
+ */
+export const createPlaybackScheduler = (audioContext, {
+  sampleRate,
+  resampler = null,
+  destination = audioContext.destination,
+  minBufferMs = 60,
+  maxBufferMs = 400,
+  bufferStepMs = 40,
+  stableChunks = 50,
+  onIdle,
+} = {}) => {
+  let targetBufferMs = minBufferMs;
+  let buffering = true;          // Waiting for the jitter buffer to fill
+  let streaming = false;         // More chunks of the current stream are expected
+  let pending = [];              // Chunks held while buffering
+  let pendingMs = 0;
+  let bufferTimer = null;
+  let nextStartTime = 0;         // Context time where the next chunk starts
+  let chunksSinceUnderrun = 0;
+  let resamplingItemId = null;   // Owner of the samples still inside the resampler
+
+  // Rate of the scheduled buffers
+  const bufferRate = resampler ? audioContext.sampleRate : sampleRate;
+
+  // The stream fell behind playback, so buffer more from now on
+  const registerUnderrun = () => {
+    targetBufferMs = Math.min(maxBufferMs, targetBufferMs + bufferStepMs);
+    chunksSinceUnderrun = 0;
+    buffering = true;
+  };
+
+  const sources = new Set();
+  let segments = [];             // Scheduled audio: { itemId, start, duration }
+  const settledMs = new Map();   // Fully played milliseconds per item
+
+  const clearBufferTimer = () => {
+    if (bufferTimer) {
+      clearTimeout(bufferTimer);
+      bufferTimer = null;
+    }
+  };
+
+  // Fold fully played segments into the per-item totals
+  const settleSegments = () => {
+    const now = audioContext.currentTime;
+    segments = segments.filter((segment) => {
+      if (segment.start + segment.duration > now) return true;
+      settledMs.set(segment.itemId, (settledMs.get(segment.itemId) || 0) + segment.duration * 1000);
+      return false;
+    });
+  };
+
+  const schedule = ({ samples, itemId }) => {
+    const buffer = audioContext.createBuffer(1, samples.length, bufferRate);
+    buffer.getChannelData(0).set(samples);
+
+    const source = audioContext.createBufferSource();
+    source.buffer = buffer;
+    source.connect(destination);
+
+    const start = Math.max(nextStartTime, audioContext.currentTime);
+    source.start(start);
+    nextStartTime = start + buffer.duration;
+
+    sources.add(source);
+    segments.push({ itemId, start, duration: buffer.duration });
+
+    source.onended = () => {
+      sources.delete(source);
+      settleSegments();
+      if (sources.size === 0 && pending.length === 0) {
+        if (streaming) {
+          registerUnderrun();
+        } else {
+          buffering = true;
+          onIdle?.();
+        }
+      }
+    };
+  };
+
+  // Release everything held in the jitter buffer
+  const flush = () => {
+    clearBufferTimer();
+    if (pending.length === 0) return;
+    buffering = false;
+    const chunks = pending;
+    pending = [];
+    pendingMs = 0;
+    nextStartTime = Math.max(nextStartTime, audioContext.currentTime);
+    chunks.forEach(schedule);
+  };
+
+  // Queue samples that are already at the buffer rate
+  const queueChunk = (samples, itemId) => {
+    if (samples.length === 0) return;
+    const chunk = { samples, itemId };
+    const chunkMs = (samples.length / bufferRate) * 1000;
+    streaming = true;
+
+    if (!buffering) {
+      if (nextStartTime < audioContext.currentTime) {
+        registerUnderrun();
+      } else {
+        chunksSinceUnderrun++;
+        if (chunksSinceUnderrun >= stableChunks && targetBufferMs > minBufferMs) {
+          targetBufferMs = Math.max(minBufferMs, targetBufferMs - bufferStepMs);
+          chunksSinceUnderrun = 0;
+        }
+        schedule(chunk);
+        return;
+      }
+    }
+
+    pending.push(chunk);
+    pendingMs += chunkMs;
+
+    if (pendingMs >= targetBufferMs) {
+      flush();
+    } else if (!bufferTimer) {
+      // Don't sit on a short tail forever if the stream stops early
+      bufferTimer = setTimeout(flush, targetBufferMs);
+    }
+  };
+
+  /**
+   * Queue a chunk of Float32 samples
+   * @param {Float32Array} samples - At options.sampleRate
+   * @param {string} [itemId] - Assistant item the audio belongs to
+   */
+  const enqueue = (samples, itemId = DEFAULT_ITEM) => {
+    if (samples.length === 0) return;
+    if (!resampler) {
+      queueChunk(samples, itemId);
+      return;
+    }
+    resamplingItemId = itemId;
+    // The resampler reuses its output buffer - copy, since chunks can wait in `pending`
+    queueChunk(resampler.process(samples).slice(), itemId);
+  };
+
+  /**
+   * Signal that the current stream is complete - plays out whatever is still buffered
+   */
+  const end = () => {
+    // The resampler holds back a few samples of look-ahead - play those out too
+    if (resamplingItemId !== null) {
+      queueChunk(resampler.flush().slice(), resamplingItemId);
+      resamplingItemId = null;
+    }
+    streaming = false;
+    if (pending.length > 0) {
+      flush();
+    } else if (sources.size === 0) {
+      buffering = true;
+      onIdle?.();
+    }
+  };
+
+  /**
+   * Milliseconds of an item the listener has actually heard
+   * @param {string} [itemId]
+   * @returns {number}
+   */
+  const getPlayedMs = (itemId = DEFAULT_ITEM) => {
+    settleSegments();
+    const now = audioContext.currentTime;
+    const inFlight = segments
+      .filter((segment) => segment.itemId === itemId && segment.start < now)
+      .reduce((total, segment) => total + (now - segment.start) * 1000, 0);
+    return Math.round((settledMs.get(itemId) || 0) + inFlight);
+  };
+
+  /**
+   * Stop playback immediately and drop everything queued
+   */
+  const stop = () => {
+    clearBufferTimer();
+    settleSegments();
+
+    // Count the partially played segments before they are cut off
+    const now = audioContext.currentTime;
+    segments.forEach((segment) => {
+      if (segment.start < now) {
+        settledMs.set(segment.itemId, (settledMs.get(segment.itemId) || 0) + (now - segment.start) * 1000);
+      }
+    });
+    segments = [];
+
+    sources.forEach((source) => {
+      source.onended = null;
+      try {
+        source.stop();
+      } catch (e) {
+        // Already stopped
+      }
+    });
+    sources.clear();
+
+    pending = [];
+    pendingMs = 0;
+    buffering = true;
+    streaming = false;
+    nextStartTime = 0;
+    resampler?.reset();
+    resamplingItemId = null;
+  };
+
+  /**
+   * Forget played-time bookkeeping for an item
+   * @param {string} [itemId]
+   */
+  const clearItem = (itemId = DEFAULT_ITEM) => {
+    settleSegments();
+    settledMs.delete(itemId);
+  };
+
+  return {
+    enqueue,
+    end,
+    stop,
+    getPlayedMs,
+    clearItem,
+    isPlaying: () => sources.size > 0 || pending.length > 0,
+    getBufferMs: () => targetBufferMs,
+  };
+};
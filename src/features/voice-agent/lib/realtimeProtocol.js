@@ -0,0 +1,189 @@
+/**
+ * Realtime Protocol - message definitions for the /realtime-ws WebSocket
+ * and the /realtime-rtc data channel, which carry the same JSON messages
+ * Single source of truth for every message the client sends or receives, with
+ * runtime validation so a server-side change fails loudly instead of silently.
+ *
+ * Field specs:
+ *   'string' | 'number' | 'boolean' | 'object' - required field of that type
+ *   '?string' etc.                               - optional field
+ *   ['a', 'b']                                   - required field, one of the listed values
+ */
+
+// Bump when a message changes shape in a way older clients/servers can't handle
+export const PROTOCOL_VERSION = 1;
+
+// Audio transport negotiated through the connection query and session_ready
+export const AUDIO_FORMAT = {
+  BINARY: 'binary',   // Raw PCM16 in binary WebSocket frames
+  BASE64: 'base64',   // PCM16 as base64 inside JSON `audio` messages
+  TRACK: 'track',     // Opus on WebRTC media tracks - only control messages are JSON
+};
+
+// How the end of a user turn is decided, negotiated through the connection query and turn_mode
+export const TURN_MODE = {
+  VAD: 'vad',                     // Server VAD detects speech start/stop (hands-free)
+  PUSH_TO_TALK: 'push_to_talk',   // Audio only flows while the user holds the talk control
+};
+
+/**
+ * Messages sent by the server
+ */
+export const ServerMessage = {
+  SESSION_READY: 'session_ready',
+  SPEECH_STARTED: 'speech_started',
+  SPEECH_STOPPED: 'speech_stopped',
+  TRANSCRIPT: 'transcript',
+  TRANSCRIPT_DELTA: 'transcript_delta',
+  RESPONSE_STARTED: 'response_started',   // Assistant item the following text and audio belong to
+  AUDIO: 'audio',
+  AUDIO_STARTED: 'output_audio_started',   // Track audio only: the reply began playing on the media track
+  AUDIO_STOPPED: 'output_audio_stopped',   // Track audio only: the reply has finished playing out
+  RESPONSE_DONE: 'response_done',
+  USER_INFO_UPDATED: 'user_info_updated',
+  APPOINTMENT_STARTED: 'appointment_started',
+  APPOINTMENT_UPDATED: 'appointment_updated',   // Partial appointmentDetails gathered so far
+  APPOINTMENT_CREATED: 'appointment_created',
+  ERROR: 'error',
+};
+
+/**
+ * Messages sent by the client
+ */
+export const ClientMessage = {
+  AUDIO: 'audio',
+  TEXT: 'text',       // Typed user message; `audio: false` asks for a text-only reply
+  TURN_MODE: 'turn_mode',         // Switch turn detection mid-session
+  COMMIT_AUDIO: 'commit_audio',   // Push-to-talk released - the audio sent so far is the user's turn
+  PAUSE: 'session_pause',         // User paused - no audio is coming, don't time out the turn
+  RESUME: 'session_resume',
+  INTERRUPT: 'interrupt',         // User barged in - truncate the assistant item to what was actually heard
+  USER_INFO_UPDATE: 'user_info_update',   // Visitor corrected their contact details - use these from now on
+};
+
+const ROLES = ['user', 'assistant'];
+
+const SERVER_SCHEMAS = {
+  [ServerMessage.SESSION_READY]: { sessionId: 'string', protocolVersion: '?number', audioFormat: '?string' },
+  [ServerMessage.SPEECH_STARTED]: {},
+  [ServerMessage.SPEECH_STOPPED]: {},
+  [ServerMessage.TRANSCRIPT]: { role: ROLES, text: 'string', itemId: '?string' },
+  [ServerMessage.TRANSCRIPT_DELTA]: { role: ROLES, delta: 'string', itemId: '?string' },
+  [ServerMessage.RESPONSE_STARTED]: { itemId: 'string' },
+  [ServerMessage.AUDIO]: { delta: 'string' },
+  [ServerMessage.AUDIO_STARTED]: { itemId: '?string' },
+  [ServerMessage.AUDIO_STOPPED]: { itemId: '?string' },
+  [ServerMessage.RESPONSE_DONE]: { itemId: '?string' },
+  [ServerMessage.USER_INFO_UPDATED]: { userInfo: 'object' },
+  [ServerMessage.APPOINTMENT_STARTED]: { appointmentDetails: '?object' },
+  [ServerMessage.APPOINTMENT_UPDATED]: { appointmentDetails: 'object' },
+  [ServerMessage.APPOINTMENT_CREATED]: { calendarLink: '?string', appointmentDetails: 'object' },
+  [ServerMessage.ERROR]: { error: 'string' },
+};
+
+const CLIENT_SCHEMAS = {
+  [ClientMessage.AUDIO]: { data: 'string' },
+  [ClientMessage.TEXT]: { text: 'string', audio: '?boolean' },
+  [ClientMessage.TURN_MODE]: { mode: Object.values(TURN_MODE) },
+  [ClientMessage.COMMIT_AUDIO]: {},
+  [ClientMessage.PAUSE]: {},
+  [ClientMessage.RESUME]: {},
+  [ClientMessage.INTERRUPT]: { itemId: '?string', playedMs: 'number' },
+  [ClientMessage.USER_INFO_UPDATE]: { userInfo: 'object' },
+};
+
+/**
+ * Check a message against its schema
+ * @returns {string|null} Description of the first problem, or null when valid
+ */
+const validateFields = (message, schema) => {
+  for (const [field, spec] of Object.entries(schema)) {
+    const value = message[field];
+
+    if (Array.isArray(spec)) {
+      if (!spec.includes(value)) {
+        return `"${field}" must be one of ${spec.join(', ')} (got ${JSON.stringify(value)})`;
+      }
+      continue;
+    }
+
+    const optional = spec.startsWith('?');
+    const type = optional ? spec.slice(1) : spec;
+
+    if (value === undefined || value === null) {
+      if (!optional) return `missing required field "${field}"`;
+      continue;
+    }
+
+    if (typeof value !== type) {
+      return `"${field}" must be a ${type} (got ${typeof value})`;
+    }
+  }
+  return null;
+};
+
+/**
+ * Parse and validate a JSON message from the server
+ * Unknown types are returned as-is with `known: false` so newer servers don't break older clients.
+ * @param {string} data - Raw WebSocket text frame
+ * @returns {{ message: Object, known: boolean }}
+ * @throws {Error} When the frame isn't valid JSON or a known message is malformed
+ */
+export const parseServerMessage = (data) => {
+  let message;
+  try {
+    message = JSON.parse(data);
+  } catch (error) {
+    throw new Error(`Invalid server message: not JSON (${error.message})`);
+  }
+
+  if (!message || typeof message.type !== 'string') {
+    throw new Error('Invalid server message: missing "type"');
+  }
+
+  const schema = SERVER_SCHEMAS[message.type];
+  if (!schema) {
+    return { message, known: false };
+  }
+
+  const problem = validateFields(message, schema);
+  if (problem) {
+    throw new Error(`Invalid "${message.type}" message: ${problem}`);
+  }
+
+  return { message, known: true };
+};
+
+/**
+ * Build a validated client message ready to send
+ * @param {string} type - One of ClientMessage
+ * @param {Object} payload
+ * @returns {string} JSON text frame
+ * @throws {Error} When the type is unknown or the payload doesn't match its schema
+ */
+export const encodeClientMessage = (type, payload = {}) => {
+  const schema = CLIENT_SCHEMAS[type];
+  if (!schema) {
+    throw new Error(`Unknown client message type "${type}"`);
+  }
+
+  const message = { type, ...payload };
+  const problem = validateFields(message, schema);
+  if (problem) {
+    throw new Error(`Invalid "${type}" message: ${problem}`);
+  }
+
+  return JSON.stringify(message);
+};
+
+/**
+ * Check the server's protocol version from session_ready
+ * Servers that predate the handshake don't send a version (or send null) and are treated as v1.
+ * @param {number|null} [serverVersion]
+ * @returns {string|null} Error message on mismatch, null when compatible
+ */
+export const checkProtocolVersion = (serverVersion) => {
+  const version = serverVersion ?? 1;
+  if (version === PROTOCOL_VERSION) return null;
+  return `Protocol version mismatch: client speaks v${PROTOCOL_VERSION}, server speaks v${version}. Please refresh the page or update the server.`;
+};
@@ -0,0 +1,19 @@
+/**
+ * Reconnect - backoff helpers for transport reconnection
+ */
+
+/**
+ * Exponential backoff delay with jitter
+ * Half of the delay is fixed and half is random, so clients that dropped at the
+ * same moment (e.g. a shared Wi-Fi blip) don't all hammer the server together.
+ * @param {number} attempt - Zero-based reconnect attempt
+ * @param {Object} options
+ * @param {number} options.baseDelayMs - Delay for the first attempt
+ * @param {number} options.maxDelayMs - Upper bound for any attempt
+ * @returns {number} Delay in milliseconds
+ */
+export const getBackoffDelay = (attempt, { baseDelayMs, maxDelayMs }) => {
+  const exponential = Math.min(maxDelayMs, baseDelayMs * 2 ** attempt);
+  const half = exponential / 2;
+  return Math.round(half + Math.random() * half);
+};
@@ -0,0 +1,27 @@
+/**
+ * Resampler loader - main-thread access to the capture worklet's resampler
+ * The implementation lives in public/worklets/resampler.js so the worklet can import
+ * it directly; loading the same file here keeps both directions on one filter.
+ */
+
+const RESAMPLER_URL = '/worklets/resampler.js';
+
+let modulePromise = null;
+
+/**
+ * Create a streaming resampler
+ * @param {Object} options
+ * @param {number} options.inputRate
+ * @param {number} options.outputRate
+ * @param {number} [options.taps]
+ * @returns {Promise<{ process: (input: Float32Array) => Float32Array, flush: () => Float32Array, reset: () => void }>}
+ *   The arrays `process` and `flush` return are overwritten by the next call - copy to keep them
+ */
+export const createResampler = async (options) => {
+  if (!modulePromise) {
+    // Served as a static file, not bundled
+    modulePromise = import(/* webpackIgnore: true */ RESAMPLER_URL);
+  }
+  const { createResampler: create } = await modulePromise;
+  return create(options);
+};
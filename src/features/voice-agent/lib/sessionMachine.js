@@ -0,0 +1,144 @@
+/**
+ * Session Machine - lifecycle of a realtime voice session as one state machine
+ * Connection, turn-taking and barge-in are a single `phase`, so combinations like
+ * "speaking while disconnected" can't be represented. The transition function is
+ * pure: it returns the next state plus the side effects the agent must run (stop
+ * playback, tell the server), which keeps socket callbacks free of stale React state.
+ *
+ * Mute and pause are orthogonal to the phase and stay outside the machine.
+ */
+
+export const SessionPhase = {
+  IDLE: 'idle',                       // No session yet
+  CONNECTING: 'connecting',           // Socket opening / waiting for session_ready
+  READY: 'ready',                     // Waiting for the user
+  USER_SPEAKING: 'user_speaking',
+  THINKING: 'thinking',               // User turn sent, no reply audio yet
+  AGENT_SPEAKING: 'agent_speaking',   // Reply audio is queued or playing
+  INTERRUPTED: 'interrupted',         // User talked over the reply and is still speaking
+  RECONNECTING: 'reconnecting',       // Socket dropped, retrying with backoff
+  ENDED: 'ended',
+};
+
+export const SessionEvent = {
+  CONNECT: 'connect',                 // User started a conversation
+  SESSION_READY: 'session_ready',     // Server accepted (or resumed) the session
+  SPEECH_STARTED: 'speech_started',   // Server VAD or push-to-talk pressed
+  SPEECH_STOPPED: 'speech_stopped',   // Server VAD or push-to-talk released and committed
+  SPEECH_CANCELLED: 'speech_cancelled', // Push-to-talk released without a turn being sent
+  TEXT_SENT: 'text_sent',             // Typed message sent
+  AGENT_AUDIO: 'agent_audio',         // A chunk of reply audio was queued
+  RESPONSE_DONE: 'response_done',     // Server finished the reply (audio may still be playing)
+  PLAYBACK_IDLE: 'playback_idle',     // Everything queued has been heard or dropped
+  SOCKET_CLOSED: 'socket_closed',     // `reconnect` says whether a retry is coming
+  END: 'end',                         // User ended the conversation, or reconnecting gave up
+};
+
+// Side effects requested by a transition
+export const SessionEffect = {
+  INTERRUPT_PLAYBACK: 'interrupt_playback',   // Stop the reply and send the server the truncation
+};
+
+export const initialSessionState = { phase: SessionPhase.IDLE };
+
+// Phases with a live session on the server
+const LIVE_PHASES = [
+  SessionPhase.READY,
+  SessionPhase.USER_SPEAKING,
+  SessionPhase.THINKING,
+  SessionPhase.AGENT_SPEAKING,
+  SessionPhase.INTERRUPTED,
+];
+
+const { IDLE, CONNECTING, READY, USER_SPEAKING, THINKING, AGENT_SPEAKING, INTERRUPTED, RECONNECTING, ENDED } = SessionPhase;
+const E = SessionEvent;
+
+// phase -> event -> next phase; anything missing is ignored
+const TRANSITIONS = {
+  [IDLE]: { [E.CONNECT]: CONNECTING },
+  [ENDED]: { [E.CONNECT]: CONNECTING },
+  [CONNECTING]: { [E.SESSION_READY]: READY },
+  [RECONNECTING]: { [E.SESSION_READY]: READY },
+  [READY]: {
+    [E.SPEECH_STARTED]: USER_SPEAKING,
+    [E.TEXT_SENT]: THINKING,
+    [E.AGENT_AUDIO]: AGENT_SPEAKING,    // e.g. the greeting
+  },
+  [USER_SPEAKING]: {
+    [E.SPEECH_STOPPED]: THINKING,
+    [E.SPEECH_CANCELLED]: READY,
+    [E.TEXT_SENT]: THINKING,
+  },
+  [THINKING]: {
+    [E.SPEECH_STARTED]: USER_SPEAKING,
+    [E.AGENT_AUDIO]: AGENT_SPEAKING,
+    [E.RESPONSE_DONE]: READY,           // Text-only reply
+  },
+  [AGENT_SPEAKING]: {
+    [E.SPEECH_STARTED]: INTERRUPTED,
+    [E.TEXT_SENT]: THINKING,
+    [E.PLAYBACK_IDLE]: READY,
+  },
+  [INTERRUPTED]: {
+    [E.SPEECH_STOPPED]: THINKING,
+    [E.SPEECH_CANCELLED]: READY,
+    [E.TEXT_SENT]: THINKING,
+  },
+};
+
+/**
+ * Compute the next state and the effects to run
+ * @param {{ phase: string }} state
+ * @param {{ type: string, reconnect?: boolean }} event
+ * @returns {{ state: { phase: string }, effects: string[] }} The same state object when the event doesn't apply
+ */
+export const transition = (state, event) => {
+  const { phase } = state;
+  let next = TRANSITIONS[phase]?.[event.type];
+
+  if (event.type === E.SOCKET_CLOSED && (phase === CONNECTING || phase === RECONNECTING || LIVE_PHASES.includes(phase))) {
+    next = event.reconnect ? RECONNECTING : ENDED;
+  } else if (event.type === E.END && phase !== IDLE) {
+    next = ENDED;
+  }
+
+  if (!next || next === phase) {
+    return { state, effects: [] };
+  }
+
+  // The user cut in while the reply was audible - by voice or by typing
+  const effects = phase === AGENT_SPEAKING && (next === INTERRUPTED || event.type === E.TEXT_SENT)
+    ? [SessionEffect.INTERRUPT_PLAYBACK]
+    : [];
+
+  return { state: { ...state, phase: next }, effects };
+};
+
+/**
+ * Reducer form of `transition` for useReducer - effects are dropped
+ */
+export const sessionReducer = (state, event) => transition(state, event).state;
+
+/**
+ * True while a session exists, connected or not (everything except idle and ended)
+ */
+export const isActivePhase = (phase) => phase !== IDLE && phase !== ENDED;
+
+/**
+ * True while the server session is live and can take audio and messages
+ */
+export const isLivePhase = (phase) => LIVE_PHASES.includes(phase);
+
+/**
+ * Whether an assistant audio chunk belongs to a reply the user already cut off
+ * Servers that send response_started name the reply's item, so its late audio is matched by
+ * id. Without one, audio arriving while the user is talking is the reply being barged in on -
+ * a new reply can't start until the user's turn is sent.
+ * @param {string} phase
+ * @param {string|null} itemId - Item the incoming reply belongs to, if the server said
+ * @param {string|null} interruptedItemId - Item the user cut off, if known
+ */
+export const isStaleAgentAudio = (phase, itemId, interruptedItemId) => {
+  if (itemId && itemId === interruptedItemId) return true;
+  return phase === USER_SPEAKING || phase === INTERRUPTED;
+};
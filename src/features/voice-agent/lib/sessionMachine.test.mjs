@@ -0,0 +1,169 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  SessionPhase,
+  SessionEvent,
+  SessionEffect,
+  initialSessionState,
+  transition,
+  sessionReducer,
+  isStaleAgentAudio,
+} from './sessionMachine.js';
+
+const P = SessionPhase;
+const E = SessionEvent;
+
+const LIVE_PHASES = [P.READY, P.USER_SPEAKING, P.THINKING, P.AGENT_SPEAKING, P.INTERRUPTED];
+
+// phase -> event -> expected next phase; every pair not listed must be ignored.
+// SOCKET_CLOSED depends on `reconnect` and has its own table below.
+const EXPECTED = {
+  [P.IDLE]: { [E.CONNECT]: P.CONNECTING },
+  [P.CONNECTING]: { [E.SESSION_READY]: P.READY, [E.END]: P.ENDED },
+  [P.READY]: {
+    [E.SPEECH_STARTED]: P.USER_SPEAKING,
+    [E.TEXT_SENT]: P.THINKING,
+    [E.AGENT_AUDIO]: P.AGENT_SPEAKING,
+    [E.END]: P.ENDED,
+  },
+  [P.USER_SPEAKING]: {
+    [E.SPEECH_STOPPED]: P.THINKING,
+    [E.SPEECH_CANCELLED]: P.READY,
+    [E.TEXT_SENT]: P.THINKING,
+    [E.END]: P.ENDED,
+  },
+  [P.THINKING]: {
+    [E.SPEECH_STARTED]: P.USER_SPEAKING,
+    [E.AGENT_AUDIO]: P.AGENT_SPEAKING,
+    [E.RESPONSE_DONE]: P.READY,
+    [E.END]: P.ENDED,
+  },
+  [P.AGENT_SPEAKING]: {
+    [E.SPEECH_STARTED]: P.INTERRUPTED,
+    [E.TEXT_SENT]: P.THINKING,
+    [E.PLAYBACK_IDLE]: P.READY,
+    [E.END]: P.ENDED,
+  },
+  [P.INTERRUPTED]: {
+    [E.SPEECH_STOPPED]: P.THINKING,
+    [E.SPEECH_CANCELLED]: P.READY,
+    [E.TEXT_SENT]: P.THINKING,
+    [E.END]: P.ENDED,
+  },
+  [P.RECONNECTING]: { [E.SESSION_READY]: P.READY, [E.END]: P.ENDED },
+  [P.ENDED]: { [E.CONNECT]: P.CONNECTING },
+};
+
+// phase -> expected next phase after SOCKET_CLOSED, by `reconnect`
+const SOCKET_CLOSED_EXPECTED = {
+  [P.IDLE]: { true: null, false: null },
+  [P.CONNECTING]: { true: P.RECONNECTING, false: P.ENDED },
+  [P.RECONNECTING]: { true: null, false: P.ENDED },   // Already retrying
+  ...Object.fromEntries(LIVE_PHASES.map((phase) => [phase, { true: P.RECONNECTING, false: P.ENDED }])),
+  [P.ENDED]: { true: null, false: null },
+};
+
+// The only transitions where the user cuts into an audible reply
+const interrupts = (phase, eventType) =>
+  phase === P.AGENT_SPEAKING && (eventType === E.SPEECH_STARTED || eventType === E.TEXT_SENT);
+
+const assertTransition = (phase, event, expectedPhase) => {
+  const state = { phase };
+  const result = transition(state, event);
+
+  if (expectedPhase) {
+    assert.notEqual(result.state, state);
+    assert.equal(result.state.phase, expectedPhase);
+  } else {
+    assert.equal(result.state, state, 'ignored events return the same state object');
+  }
+
+  const expectedEffects = interrupts(phase, event.type) ? [SessionEffect.INTERRUPT_PLAYBACK] : [];
+  assert.deepEqual(result.effects, expectedEffects);
+};
+
+describe('sessionMachine transition', () => {
+  it('covers every phase in the tables', () => {
+    assert.deepEqual(Object.keys(EXPECTED).sort(), Object.values(P).sort());
+    assert.deepEqual(Object.keys(SOCKET_CLOSED_EXPECTED).sort(), Object.values(P).sort());
+  });
+
+  for (const phase of Object.values(P)) {
+    describe(`from ${phase}`, () => {
+      for (const type of Object.values(E)) {
+        if (type === E.SOCKET_CLOSED) continue;
+
+        const expected = EXPECTED[phase][type] || null;
+        it(`${type} -> ${expected || 'ignored'}`, () => {
+          assertTransition(phase, { type }, expected);
+        });
+      }
+
+      for (const reconnect of [true, false]) {
+        const expected = SOCKET_CLOSED_EXPECTED[phase][reconnect];
+        it(`${E.SOCKET_CLOSED} (reconnect: ${reconnect}) -> ${expected || 'ignored'}`, () => {
+          assertTransition(phase, { type: E.SOCKET_CLOSED, reconnect }, expected);
+        });
+      }
+    });
+  }
+
+  it('keeps other state fields on a transition', () => {
+    const { state } = transition({ phase: P.READY, extra: 1 }, { type: E.TEXT_SENT });
+    assert.deepEqual(state, { phase: P.THINKING, extra: 1 });
+  });
+});
+
+describe('sessionReducer', () => {
+  it('returns the next state without effects', () => {
+    const speaking = { phase: P.AGENT_SPEAKING };
+    assert.deepEqual(sessionReducer(speaking, { type: E.SPEECH_STARTED }), { phase: P.INTERRUPTED });
+  });
+
+  it('starts idle', () => {
+    assert.equal(initialSessionState.phase, P.IDLE);
+  });
+});
+
+describe('isStaleAgentAudio', () => {
+  // A reply being barged in on, from a server that never sends response_started - so every
+  // chunk arrives with a null item id and only the phase can tell late audio apart
+  const bargeIn = () => {
+    const speaking = transition({ phase: P.READY }, { type: E.AGENT_AUDIO }).state;
+    const interrupted = transition(speaking, { type: E.SPEECH_STARTED });
+    return { speaking, interrupted };
+  };
+
+  it('drops late audio after a barge-in without response_started', () => {
+    const { speaking, interrupted } = bargeIn();
+    assert.equal(isStaleAgentAudio(speaking.phase, null, null), false, 'the reply plays before the barge-in');
+    assert.deepEqual(interrupted.effects, [SessionEffect.INTERRUPT_PLAYBACK]);
+    assert.equal(interrupted.state.phase, P.INTERRUPTED);
+    assert.equal(isStaleAgentAudio(interrupted.state.phase, null, null), true);
+
+    // Late chunks don't restart playback, so the phase stays put
+    assert.equal(transition(interrupted.state, { type: E.AGENT_AUDIO }).state, interrupted.state);
+  });
+
+  it('plays the next reply once the user turn is sent', () => {
+    const { interrupted } = bargeIn();
+    const { state: thinking } = transition(interrupted.state, { type: E.SPEECH_STOPPED });
+    assert.equal(isStaleAgentAudio(thinking.phase, null, null), false);
+  });
+
+  it('drops audio while the user is speaking', () => {
+    assert.equal(isStaleAgentAudio(P.USER_SPEAKING, null, null), true);
+  });
+
+  it('matches the interrupted item by id in any phase', () => {
+    assert.equal(isStaleAgentAudio(P.THINKING, 'item-1', 'item-1'), true);
+    assert.equal(isStaleAgentAudio(P.AGENT_SPEAKING, 'item-1', 'item-1'), true);
+    assert.equal(isStaleAgentAudio(P.THINKING, 'item-2', 'item-1'), false);
+  });
+
+  it('keeps audio for a live reply', () => {
+    for (const phase of [P.READY, P.THINKING, P.AGENT_SPEAKING]) {
+      assert.equal(isStaleAgentAudio(phase, null, null), false, phase);
+    }
+  });
+});
@@ -0,0 +1,72 @@
+/**
+ * Session Recorder - records both sides of a conversation into one stereo track
+ * Left channel: the microphone. Right channel: the assistant audio exactly as it was
+ * played (taken from the playback output node), so barge-ins and gaps are preserved.
+ */
+
+import { createPcmFrameNode } from './pcmCapture';
+import { encodeWav } from './wav';
+
+// 0.5s of stereo audio per frame keeps message traffic low
+const RECORDER_FRAME_SECONDS = 0.5;
+
+/**
+ * Start recording a session
+ * @param {AudioContext} audioContext
+ * @param {Object} sources
+ * @param {MediaStream} sources.micStream - Microphone stream (left channel)
+ * @param {AudioNode} sources.agentNode - Node carrying assistant playback (right channel)
+ * @returns {Promise<{ stop: () => Blob, replaceMicStream: (stream: MediaStream) => void, getDurationMs: () => number }>}
+ */
+export const createSessionRecorder = async (audioContext, { micStream, agentNode }) => {
+  const chunks = [];
+  let sampleCount = 0;
+
+  const recorderNode = await createPcmFrameNode(audioContext, {
+    frameSize: Math.round(audioContext.sampleRate * RECORDER_FRAME_SECONDS),
+    channelCount: 2,
+    onFrame: (frame) => {
+      chunks.push(frame);
+      sampleCount += frame.byteLength / 4;
+    }
+  });
+
+  const merger = audioContext.createChannelMerger(2);
+  let micSource = audioContext.createMediaStreamSource(micStream);
+  micSource.connect(merger, 0, 0);
+  agentNode.connect(merger, 0, 1);
+  merger.connect(recorderNode);
+
+  /**
+   * Keep recording from another microphone (e.g. the user switched devices mid-session)
+   * @param {MediaStream} stream
+   */
+  const replaceMicStream = (stream) => {
+    micSource.disconnect();
+    micSource = audioContext.createMediaStreamSource(stream);
+    micSource.connect(merger, 0, 0);
+  };
+
+  /**
+   * Stop recording and return the WAV file
+   * Audio still inside the worklet's current frame (< 0.5s) is dropped.
+   */
+  const stop = () => {
+    recorderNode.port.onmessage = null;
+    micSource.disconnect();
+    try {
+      agentNode.disconnect(merger);
+    } catch (e) {
+      // Playback graph already torn down
+    }
+    merger.disconnect();
+
+    return encodeWav(chunks, { sampleRate: audioContext.sampleRate, channelCount: 2 });
+  };
+
+  return {
+    stop,
+    replaceMicStream,
+    getDurationMs: () => (sampleCount / audioContext.sampleRate) * 1000,
+  };
+};
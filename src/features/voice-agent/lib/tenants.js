@@ -0,0 +1,107 @@
+/**
+ * Tenants - the client businesses the voice agent can be switched between
+ * Loaded from config/tenants.json, or from a server endpoint when
+ * NEXT_PUBLIC_TENANTS_URL is set, so onboarding a business is a config change.
+ *
+ * Registry shape:
+ *   { defaultTenant?: string, tenants: Tenant[] }
+ * Tenant:
+ *   { id, name, shortName?, tagline, agentName, greeting, theme, services: [{ name, color }] }
+ * `id` is the businessId sent to the server; `shortName` labels the switcher.
+ * `theme` is described in lib/theme; service colors are CSS colors.
+ */
+
+import bundledRegistry from '../config/tenants.json';
+import { validateTheme, isCssColor } from './theme';
+
+const TENANTS_URL = process.env.NEXT_PUBLIC_TENANTS_URL || null;
+
+const TENANT_FIELDS = {
+  id: 'string',
+  name: 'string',
+  shortName: '?string',
+  tagline: 'string',
+  agentName: 'string',
+  greeting: 'string',
+};
+
+/**
+ * Check one tenant entry
+ * @returns {string|null} Description of the first problem, or null when valid
+ */
+const validateTenant = (tenant) => {
+  if (!tenant || typeof tenant !== 'object') return 'must be an object';
+
+  for (const [field, spec] of Object.entries(TENANT_FIELDS)) {
+    const optional = spec.startsWith('?');
+    const value = tenant[field];
+    if (value === undefined || value === null) {
+      if (!optional) return `missing required field "${field}"`;
+      continue;
+    }
+    if (typeof value !== 'string' || !value.trim()) {
+      return `"${field}" must be a non-empty string`;
+    }
+  }
+
+  const themeProblem = validateTheme(tenant.theme);
+  if (themeProblem) return themeProblem;
+
+  if (!Array.isArray(tenant.services)) return '"services" must be an array';
+  const badService = tenant.services.find((service) =>
+    typeof service?.name !== 'string' || !isCssColor(service.color));
+  if (badService) {
+    return 'every service needs a "name" and a CSS "color"';
+  }
+
+  return null;
+};
+
+/**
+ * Validate a registry and fill in defaults
+ * @param {Object} registry - { defaultTenant?, tenants }
+ * @returns {{ tenants: Object[], defaultTenantId: string }}
+ * @throws {Error} When the registry or any tenant in it is malformed
+ */
+export const parseTenantRegistry = (registry) => {
+  if (!Array.isArray(registry?.tenants) || registry.tenants.length === 0) {
+    throw new Error('Invalid tenant registry: "tenants" must be a non-empty array');
+  }
+
+  const seen = new Set();
+  const tenants = registry.tenants.map((tenant, index) => {
+    const problem = validateTenant(tenant);
+    if (problem) {
+      throw new Error(`Invalid tenant "${tenant?.id ?? index}": ${problem}`);
+    }
+    if (seen.has(tenant.id)) {
+      throw new Error(`Invalid tenant registry: duplicate id "${tenant.id}"`);
+    }
+    seen.add(tenant.id);
+    return { ...tenant, shortName: tenant.shortName || tenant.name };
+  });
+
+  const defaultTenantId = seen.has(registry.defaultTenant) ? registry.defaultTenant : tenants[0].id;
+  return { tenants, defaultTenantId };
+};
+
+// Parsed at import, so a mistake in the bundled file shows up on the first page load
+export const BUNDLED_TENANTS = parseTenantRegistry(bundledRegistry);
+
+/**
+ * Whether tenants come from a server endpoint rather than the bundled file
+ */
+export const hasRemoteTenants = () => TENANTS_URL !== null;
+
+/**
+ * Fetch the registry from NEXT_PUBLIC_TENANTS_URL
+ * @returns {Promise<{ tenants: Object[], defaultTenantId: string }>}
+ * @throws {Error} When the endpoint fails or returns an invalid registry
+ */
+export const fetchTenants = async () => {
+  const response = await fetch(TENANTS_URL);
+  if (!response.ok) {
+    throw new Error(`Failed to load tenants: ${response.status}`);
+  }
+  return parseTenantRegistry(await response.json());
+};
@@ -0,0 +1,100 @@
+/**
+ * Theme - per-tenant palette, orb colors, font and logo as CSS variables
+ * Components use the `brand`, `brand-strong`, `brand-soft`, `brand-accent`, `orb-from`,
+ * `orb-to` colors and `font-brand` (see globals.css), which read the --tenant-* variables
+ * set by TenantTheme. Class names never change per tenant, so Tailwind keeps them all.
+ *
+ * Theme (tenants.json `theme`) - only `primary` is required:
+ *   { primary, primaryStrong?, primarySoft?, accent?, orb?: { from?, to? }, font?, logo? }
+ * Missing shades are mixed from `primary`.
+ */
+
+// SherpaPrompt's purple - also the fallback in globals.css
+export const DEFAULT_THEME = {
+  primary: '#a855f7',
+  primaryStrong: '#9333ea',
+  primarySoft: '#e9d5ff',
+  accent: '#c084fc',
+  orb: { from: '#a855f7', to: '#9333ea' },
+  font: null,
+  logo: null,
+};
+
+// Colors a theme may set, by path
+const COLOR_FIELDS = ['primary', 'primaryStrong', 'primarySoft', 'accent', 'orb.from', 'orb.to'];
+
+const getPath = (object, path) => path.split('.').reduce((value, key) => value?.[key], object);
+
+/**
+ * Whether a string is a CSS color (checked by the browser; anything non-empty passes during SSR)
+ */
+export const isCssColor = (value) => {
+  if (typeof value !== 'string' || !value.trim()) return false;
+  if (typeof CSS === 'undefined' || !CSS.supports) return true;
+  return CSS.supports('color', value);
+};
+
+/**
+ * Check a tenant theme
+ * @returns {string|null} Description of the first problem, or null when valid
+ */
+export const validateTheme = (theme) => {
+  if (!theme || typeof theme !== 'object') return '"theme" must be an object';
+  if (theme.primary === undefined) return 'missing required field "theme.primary"';
+
+  for (const path of COLOR_FIELDS) {
+    const value = getPath(theme, path);
+    if (value !== undefined && value !== null && !isCssColor(value)) {
+      return `"theme.${path}" must be a CSS color (got ${JSON.stringify(value)})`;
+    }
+  }
+
+  for (const field of ['font', 'logo']) {
+    if (theme[field] !== undefined && theme[field] !== null && typeof theme[field] !== 'string') {
+      return `"theme.${field}" must be a string`;
+    }
+  }
+  return null;
+};
+
+/**
+ * Fill in the shades a theme leaves out
+ * @param {Object} [theme]
+ * @returns {Object} Every DEFAULT_THEME field set
+ */
+export const resolveTheme = (theme) => {
+  if (!theme?.primary) return DEFAULT_THEME;
+
+  const { primary } = theme;
+  const primaryStrong = theme.primaryStrong || `color-mix(in oklab, ${primary} 80%, black)`;
+  return {
+    primary,
+    primaryStrong,
+    primarySoft: theme.primarySoft || `color-mix(in oklab, ${primary} 30%, white)`,
+    accent: theme.accent || `color-mix(in oklab, ${primary} 70%, white)`,
+    orb: {
+      from: theme.orb?.from || primary,
+      to: theme.orb?.to || primaryStrong,
+    },
+    font: theme.font || null,
+    logo: theme.logo || null,
+  };
+};
+
+/**
+ * Inline style that applies a theme to an element and everything inside it
+ * @param {Object} [theme]
+ * @returns {Object} React style object of --tenant-* variables
+ */
+export const getThemeStyle = (theme) => {
+  const resolved = resolveTheme(theme);
+  return {
+    '--tenant-primary': resolved.primary,
+    '--tenant-primary-strong': resolved.primaryStrong,
+    '--tenant-primary-soft': resolved.primarySoft,
+    '--tenant-accent': resolved.accent,
+    '--tenant-orb-from': resolved.orb.from,
+    '--tenant-orb-to': resolved.orb.to,
+    ...(resolved.font ? { '--tenant-font': resolved.font } : {}),
+  };
+};
@@ -0,0 +1,114 @@
+/**
+ * Transcript - reducer for the running conversation transcript
+ * Keeps every user and assistant turn in order. Assistant text streams in through
+ * deltas and is finalised in place; turns the user talked over are kept and marked.
+ *
+ * Turn shape:
+ *   { id, role: 'user' | 'assistant', text, status: 'streaming' | 'final' | 'interrupted', startedAt, endedAt, cutoff }
+ *
+ * `cutoff` is where in `text` the user stopped hearing an interrupted reply (null when
+ * it isn't known or they heard all of it).
+ */
+
+export const TranscriptAction = {
+  TURN_STARTED: 'turn_started',   // A turn began before any text (e.g. speech_started)
+  DELTA: 'delta',                 // Streaming text for the current turn of a role
+  FINAL: 'final',                 // Complete text for the current turn of a role
+  RESPONSE_DONE: 'response_done', // Assistant finished generating
+  INTERRUPTED: 'interrupted',     // User barged in on the assistant; `heardRatio` marks the cut-off
+  RESET: 'reset',
+};
+
+export const initialTranscript = [];
+
+let nextTurnId = 1;
+
+const createTurn = (role, text = '') => ({
+  id: `turn-${nextTurnId++}`,
+  role,
+  text,
+  status: 'streaming',
+  startedAt: Date.now(),
+  endedAt: null,
+  cutoff: null,
+});
+
+// Index of the latest turn of a role that is still being filled in
+const findOpenTurn = (turns, role) => {
+  for (let i = turns.length - 1; i >= 0; i--) {
+    if (turns[i].role === role && turns[i].status === 'streaming') return i;
+  }
+  return -1;
+};
+
+const findLastTurn = (turns, role) => {
+  for (let i = turns.length - 1; i >= 0; i--) {
+    if (turns[i].role === role) return i;
+  }
+  return -1;
+};
+
+// Character index the user heard up to - rounded forward to the end of the word being spoken
+const findCutoff = (text, heardRatio) => {
+  if (typeof heardRatio !== 'number' || heardRatio >= 1) return null;
+  const position = Math.round(text.length * Math.max(0, heardRatio));
+  const wordEnd = text.indexOf(' ', position);
+  return wordEnd === -1 ? null : wordEnd;
+};
+
+const updateTurn = (turns, index, changes) =>
+  turns.map((turn, i) => (i === index ? { ...turn, ...changes } : turn));
+
+/**
+ * Transcript reducer
+ * @param {Array} turns
+ * @param {{ type: string, role?: string, text?: string, delta?: string, heardRatio?: number }} action
+ * @returns {Array}
+ */
+export const transcriptReducer = (turns, action) => {
+  switch (action.type) {
+    case TranscriptAction.TURN_STARTED:
+      if (findOpenTurn(turns, action.role) !== -1) return turns;
+      return [...turns, createTurn(action.role)];
+
+    case TranscriptAction.DELTA: {
+      const index = findOpenTurn(turns, action.role);
+      if (index === -1) {
+        return [...turns, createTurn(action.role, action.delta)];
+      }
+      return updateTurn(turns, index, { text: turns[index].text + action.delta });
+    }
+
+    case TranscriptAction.FINAL: {
+      const index = findOpenTurn(turns, action.role);
+      const changes = { text: action.text, status: 'final', endedAt: Date.now() };
+      if (index === -1) {
+        return [...turns, { ...createTurn(action.role), ...changes }];
+      }
+      return updateTurn(turns, index, changes);
+    }
+
+    case TranscriptAction.RESPONSE_DONE: {
+      const index = findOpenTurn(turns, 'assistant');
+      if (index === -1) return turns;
+      return updateTurn(turns, index, { status: 'final', endedAt: Date.now() });
+    }
+
+    case TranscriptAction.INTERRUPTED: {
+      // The reply may already be fully generated while its audio is still playing
+      const index = findLastTurn(turns, 'assistant');
+      if (index === -1 || turns[index].status === 'interrupted') return turns;
+      return updateTurn(turns, index, {
+        status: 'interrupted',
+        endedAt: Date.now(),
+        cutoff: findCutoff(turns[index].text, action.heardRatio),
+      });
+    }
+
+    case TranscriptAction.RESET:
+      return initialTranscript;
+
+    default:
+      return turns;
+  }
+};
@@ -0,0 +1,158 @@
+/**
+ * Transcript Export - serialise a finished conversation for CRM records and QA tickets
+ * Formats: JSON (everything), Markdown (human readable), SRT and WebVTT (captions).
+ * Caption times are relative to the session start, which is also where a session
+ * recording begins, so captions line up with the recorded audio.
+ */
+
+export const EXPORT_FORMATS = {
+  json: { label: 'JSON', extension: 'json', mimeType: 'application/json' },
+  markdown: { label: 'Markdown', extension: 'md', mimeType: 'text/markdown' },
+  srt: { label: 'SRT', extension: 'srt', mimeType: 'application/x-subrip' },
+  vtt: { label: 'WebVTT', extension: 'vtt', mimeType: 'text/vtt' },
+};
+
+// Captions need a visible duration even for turns without an end time
+const MIN_CAPTION_MS = 1000;
+
+const roleLabel = (role, agentName) => (role === 'user' ? 'User' : agentName || 'Assistant');
+
+const pad = (value, length = 2) => String(value).padStart(length, '0');
+
+// 00:01:02,345 (SRT) or 00:01:02.345 (WebVTT)
+const formatCaptionTime = (ms, separator) => {
+  const clamped = Math.max(0, Math.round(ms));
+  const hours = Math.floor(clamped / 3600000);
+  const minutes = Math.floor((clamped % 3600000) / 60000);
+  const seconds = Math.floor((clamped % 60000) / 1000);
+  return `${pad(hours)}:${pad(minutes)}:${pad(seconds)}${separator}${pad(clamped % 1000, 3)}`;
+};
+
+/**
+ * Collect everything worth exporting about a session
+ * @param {Object} session
+ * @param {Array} session.turns - Transcript turns
+ * @param {Object} session.meta - { sessionId, businessId, agentName, startedAt, endedAt }
+ * @param {Object} [session.userInfo]
+ * @param {Object} [session.appointmentDetails]
+ * @param {string} [session.calendarLink]
+ */
+export const buildConversationExport = ({ turns, meta, userInfo, appointmentDetails, calendarLink }) => {
+  const startedAt = meta.startedAt || turns[0]?.startedAt || Date.now();
+
+  return {
+    sessionId: meta.sessionId || null,
+    businessId: meta.businessId || null,
+    agentName: meta.agentName || null,
+    startedAt: new Date(startedAt).toISOString(),
+    endedAt: meta.endedAt ? new Date(meta.endedAt).toISOString() : null,
+    userInfo: userInfo || null,
+    appointment: appointmentDetails ? { ...appointmentDetails, calendarLink: calendarLink || null } : null,
+    turns: turns
+      .filter((turn) => turn.text)
+      .map((turn) => ({
+        role: turn.role,
+        text: turn.text,
+        interrupted: turn.status === 'interrupted',
+        heardText: turn.cutoff !== null && turn.cutoff !== undefined ? turn.text.slice(0, turn.cutoff) : null,
+        timestamp: new Date(turn.startedAt).toISOString(),
+        offsetMs: turn.startedAt - startedAt,
+        endOffsetMs: turn.endedAt ? turn.endedAt - startedAt : null,
+      })),
+  };
+};
+
+export const toJSON = (data) => JSON.stringify(data, null, 2);
+
+export const toMarkdown = (data) => {
+  const lines = [`# Conversation ${data.sessionId || ''}`.trim(), ''];
+
+  lines.push(`- **Started:** ${new Date(data.startedAt).toLocaleString()}`);
+  if (data.endedAt) lines.push(`- **Ended:** ${new Date(data.endedAt).toLocaleString()}`);
+  if (data.businessId) lines.push(`- **Business:** ${data.businessId}`);
+  if (data.agentName) lines.push(`- **Agent:** ${data.agentName}`);
+  lines.push('');
+
+  if (data.userInfo?.name || data.userInfo?.email || data.userInfo?.phone) {
+    lines.push('## Contact', '');
+    if (data.userInfo.name) lines.push(`- **Name:** ${data.userInfo.name}`);
+    if (data.userInfo.email) lines.push(`- **Email:** ${data.userInfo.email}`);
+    if (data.userInfo.phone) lines.push(`- **Phone:** ${data.userInfo.phone}`);
+    lines.push('');
+  }
+
+  if (data.appointment) {
+    lines.push('## Appointment', '');
+    if (data.appointment.title) lines.push(`- **Service:** ${data.appointment.title}`);
+    if (data.appointment.date) lines.push(`- **Date:** ${data.appointment.date}`);
+    if (data.appointment.timeDisplay) lines.push(`- **Time:** ${data.appointment.timeDisplay}`);
+    if (data.appointment.calendarLink) lines.push(`- **Calendar:** ${data.appointment.calendarLink}`);
+    lines.push('');
+  }
+
+  lines.push('## Transcript', '');
+  data.turns.forEach((turn) => {
+    const time = new Date(turn.timestamp).toLocaleTimeString();
+    const marker = turn.interrupted ? ' _(interrupted)_' : '';
+    lines.push(`**${roleLabel(turn.role, data.agentName)}** (${time}): ${turn.heardText ?? turn.text}${marker}`, '');
+  });
+
+  return lines.join('\n');
+};
+
+// Caption cues: each turn runs until it ended, or until the next turn starts
+const buildCues = (data) => data.turns.map((turn, index) => {
+  const next = data.turns[index + 1];
+  const fallbackEnd = next ? next.offsetMs : turn.offsetMs + MIN_CAPTION_MS;
+  const end = Math.max(turn.endOffsetMs ?? fallbackEnd, turn.offsetMs + MIN_CAPTION_MS);
+  const marker = turn.interrupted ? ' [interrupted]' : '';
+  return {
+    start: turn.offsetMs,
+    end,
+    text: `${roleLabel(turn.role, data.agentName)}: ${turn.heardText ?? turn.text}${marker}`,
+  };
+});
+
+export const toSRT = (data) => buildCues(data)
+  .map((cue, index) => `${index + 1}\n${formatCaptionTime(cue.start, ',')} --> ${formatCaptionTime(cue.end, ',')}\n${cue.text}\n`)
+  .join('\n');
+
+export const toWebVTT = (data) => ['WEBVTT', '', ...buildCues(data)
+  .map((cue) => `${formatCaptionTime(cue.start, '.')} --> ${formatCaptionTime(cue.end, '.')}\n${cue.text}\n`)]
+  .join('\n');
+
+const SERIALIZERS = {
+  json: toJSON,
+  markdown: toMarkdown,
+  srt: toSRT,
+  vtt: toWebVTT,
+};
+
+/**
+ * Trigger a browser download
+ * @param {Blob} blob
+ * @param {string} filename
+ */
+export const downloadBlob = (blob, filename) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  // Firefox and Safari start the download after click() returns - revoking now can cancel it
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+};
+
+/**
+ * Serialise a conversation and download it
+ * @param {Object} data - Result of buildConversationExport
+ * @param {keyof EXPORT_FORMATS} format
+ */
+export const downloadConversation = (data, format) => {
+  const { extension, mimeType } = EXPORT_FORMATS[format];
+  const content = SERIALIZERS[format](data);
+  const stamp = data.startedAt.replace(/[:.]/g, '-');
+  downloadBlob(new Blob([content], { type: mimeType }), `conversation-${stamp}.${extension}`);
+};
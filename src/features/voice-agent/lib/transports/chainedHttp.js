@@ -0,0 +1,51 @@
+/**
+ * Chained HTTP transport - one request per pipeline step
+ * Audio → /transcribe → text → /process → reply → /synthesize → MP3
+ */
+
+import { createSessionId } from '../voiceSession';
+import { postJson, deleteSession, postUserInfo } from './http';
+
+/**
+ * Create a chained HTTP transport
+ * @param {Object} [options]
+ * @param {string} [options.businessId] - Tenant whose agent answers; sent with the requests that start a conversation
+ * @returns {Object} Voice session transport plus the three pipeline steps
+ */
+export const createChainedHttpTransport = ({ businessId } = {}) => ({
+  name: 'chained-http',
+
+  open: async () => createSessionId('vad-session'),
+
+  close: async (sessionId) => {
+    if (!sessionId) return;
+    await deleteSession(sessionId);
+    console.log('✅ [ChainedHTTP] Session cleanup requested for:', sessionId);
+  },
+
+  /**
+   * @param {string} sessionId
+   * @param {string} audio - Base64 WebM/Opus recording
+   * @returns {Promise<{ text: string }>}
+   */
+  transcribe: (sessionId, audio) =>
+    postJson('/api/chained-voice/transcribe', { audio, sessionId, businessId }, 'Transcription failed'),
+
+  /**
+   * @param {string} sessionId
+   * @param {string} text - What the user said or typed
+   * @returns {Promise<{ response: string, fillerPhrase?: string, userInfo?: Object, calendarLink?: string, appointmentDetails?: Object }>}
+   */
+  process: (sessionId, text) =>
+    postJson('/api/chained-voice/process', { text, sessionId, businessId }, 'Processing failed'),
+
+  /**
+   * @param {string} sessionId
+   * @param {string} text
+   * @returns {Promise<{ audio: string }>} Base64 MP3
+   */
+  synthesize: (sessionId, text) =>
+    postJson('/api/chained-voice/synthesize', { text, sessionId }, 'Speech synthesis failed'),
+
+  updateUserInfo: postUserInfo,
+});
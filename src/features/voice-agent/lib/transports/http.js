@@ -0,0 +1,63 @@
+/**
+ * HTTP helpers shared by the request/response transports
+ */
+
+export const API_URL = process.env.NEXT_PUBLIC_API_URL || 'http://localhost:3001';
+
+/**
+ * POST a JSON body and parse the JSON reply
+ * @param {string} path - e.g. '/api/chained-voice/process'
+ * @param {Object} body
+ * @param {string} failure - Error message prefix, e.g. 'Processing failed'
+ * @returns {Promise<Object>}
+ * @throws {Error} `${failure}: ${status}` on a non-2xx reply
+ */
+export const postJson = async (path, body, failure) => {
+  const response = await fetch(`${API_URL}${path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+  });
+
+  if (!response.ok) {
+    throw new Error(`${failure}: ${response.status}`);
+  }
+
+  return response.json();
+};
+
+/**
+ * GET and parse a JSON reply
+ * @param {string} path
+ * @param {string} failure - Error message prefix
+ * @returns {Promise<Object>}
+ * @throws {Error} `${failure}: ${status}` on a non-2xx reply
+ */
+export const getJson = async (path, failure) => {
+  const response = await fetch(`${API_URL}${path}`);
+
+  if (!response.ok) {
+    throw new Error(`${failure}: ${response.status}`);
+  }
+
+  return response.json();
+};
+
+/**
+ * DELETE the server-side conversation state of a session
+ * @param {string} sessionId
+ */
+export const deleteSession = async (sessionId) => {
+  await fetch(`${API_URL}/api/chained-voice/session/${sessionId}`, {
+    method: 'DELETE'
+  });
+};
+
+/**
+ * Replace the contact details the agent uses for a session (e.g. an email the visitor corrected)
+ * @param {string} sessionId
+ * @param {{ name: string|null, email: string|null, phone: string|null }} userInfo
+ * @returns {Promise<{ userInfo: Object }>} The session's contact details after the update
+ */
+export const postUserInfo = (sessionId, userInfo) =>
+  postJson('/api/chained-voice/user-info', { sessionId, userInfo }, 'Contact update failed');
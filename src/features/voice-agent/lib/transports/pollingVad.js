@@ -0,0 +1,86 @@
+/**
+ * Polling VAD transport - mic chunks go up over HTTP, the server runs VAD on them
+ * through the Realtime API, and the client polls for speech status and finished replies.
+ */
+
+import { createSessionId } from '../voiceSession';
+import { postJson, getJson, deleteSession, postUserInfo } from './http';
+
+/**
+ * Create a polling VAD transport
+ * @param {Object} [options]
+ * @param {string} [options.businessId] - Tenant whose agent answers; sent when VAD starts
+ * @returns {Object} Voice session transport plus the VAD endpoints
+ */
+export const createPollingVadTransport = ({ businessId } = {}) => {
+  let vadStarted = false;
+
+  return {
+    name: 'polling-vad',
+
+    open: async () => {
+      vadStarted = false;
+      return createSessionId('realtime-vad-session');
+    },
+
+    close: async (sessionId) => {
+      if (!sessionId) return;
+
+      // Stop Realtime VAD on the server before dropping the session
+      if (vadStarted) {
+        vadStarted = false;
+        try {
+          await postJson('/api/chained-voice/realtime-vad/stop', { sessionId }, 'Failed to stop Realtime VAD session');
+        } catch (error) {
+          console.error('❌ [PollingVAD] Failed to stop Realtime VAD session:', error);
+        }
+      }
+
+      await deleteSession(sessionId);
+      console.log('✅ [PollingVAD] Session cleanup requested for:', sessionId);
+    },
+
+    /**
+     * Start server VAD for the session
+     * @param {string} sessionId
+     */
+    startVad: async (sessionId) => {
+      const data = await postJson('/api/chained-voice/realtime-vad/start', { sessionId, businessId }, 'Failed to start Realtime VAD session');
+      vadStarted = true;
+      return data;
+    },
+
+    /**
+     * Send a recorded chunk; the server's VAD decides when a turn ends
+     * @param {string} sessionId
+     * @param {string} audio - Base64 recording
+     * @returns {Promise<{ audioSize: number }>}
+     */
+    sendAudio: (sessionId, audio) =>
+      postJson('/api/chained-voice/realtime-vad/audio', { sessionId, audio, commit: false }, 'VAD processing failed'),
+
+    /**
+     * @param {string} sessionId
+     * @returns {Promise<{ exists: boolean, hasSpeech?: boolean }>}
+     */
+    getStatus: (sessionId) =>
+      getJson(`/api/chained-voice/realtime-vad/status/${sessionId}`, 'Status check failed'),
+
+    /**
+     * @param {string} sessionId
+     * @returns {Promise<{ hasResponse: boolean, responseAudio?: string, fillerPhrase?: string }>}
+     */
+    getResponse: (sessionId) =>
+      getJson(`/api/chained-voice/realtime-vad/response/${sessionId}`, 'Response check failed'),
+
+    /**
+     * @param {string} sessionId
+     * @param {string} text
+     * @returns {Promise<{ audio: string }>} Base64 MP3
+     */
+    synthesize: (sessionId, text) =>
+      postJson('/api/chained-voice/synthesize', { text, sessionId }, 'Speech synthesis failed'),
+
+    updateUserInfo: postUserInfo,
+  };
+};
@@ -0,0 +1,184 @@
+/**
+ * WebRTC transport - Opus audio on media tracks, JSON control messages on a data channel
+ * Holds up far better than PCM over a WebSocket on lossy mobile networks: Opus has
+ * built-in loss concealment and the media path is UDP, so a dropped packet costs a
+ * few milliseconds of audio instead of stalling everything behind it.
+ *
+ * Signaling is a single HTTP exchange: the client POSTs its SDP offer (with the same
+ * query parameters the WebSocket takes) and gets the answer back. Messages on the
+ * data channel are exactly the /realtime-ws JSON messages; assistant audio arrives
+ * as a remote track instead of PCM frames, bracketed by output_audio_started/stopped.
+ */
+
+import { AUDIO_FORMAT } from '../realtimeProtocol';
+import { API_URL } from './http';
+
+const DEFAULT_URL = `${API_URL}/realtime-rtc`;
+
+const DATA_CHANNEL_LABEL = 'realtime-events';
+
+const DEFAULT_ICE_SERVERS = [{ urls: 'stun:stun.l.google.com:19302' }];
+
+/**
+ * Read the ICE server list from NEXT_PUBLIC_ICE_SERVERS - a JSON array of RTCIceServer,
+ * e.g. [{"urls":"stun:stun.example.com"},{"urls":"turn:turn.example.com:3478","username":"u","credential":"p"}].
+ * Visitors behind symmetric NAT can only connect through a TURN server listed here.
+ * @param {string} [value]
+ * @returns {RTCIceServer[]} The public STUN server when unset or invalid
+ */
+export const parseIceServers = (value) => {
+  if (!value) return DEFAULT_ICE_SERVERS;
+
+  try {
+    const servers = JSON.parse(value);
+    const valid = Array.isArray(servers) && servers.length > 0 && servers.every((server) =>
+      server && (typeof server.urls === 'string' || (Array.isArray(server.urls) && server.urls.length > 0)));
+    if (valid) return servers;
+    console.warn('⚠️ [WebRTC] NEXT_PUBLIC_ICE_SERVERS must be a non-empty array of { urls } - using the default STUN server');
+  } catch (error) {
+    console.warn('⚠️ [WebRTC] NEXT_PUBLIC_ICE_SERVERS is not valid JSON - using the default STUN server:', error.message);
+  }
+  return DEFAULT_ICE_SERVERS;
+};
+
+const ICE_SERVERS = parseIceServers(process.env.NEXT_PUBLIC_ICE_SERVERS);
+
+// Close codes reported to onClose, matching the WebSocket ones the agent already understands
+const CLOSE_NORMAL = 1000;      // Ended on purpose - don't retry
+const CLOSE_ABNORMAL = 1006;    // Connection lost - worth retrying
+
+/**
+ * Create a WebRTC transport
+ * @param {Object} [options]
+ * @param {string} [options.url] - Signaling endpoint, defaults to the API server's /realtime-rtc
+ * @param {RTCIceServer[]} [options.iceServers] - Defaults to NEXT_PUBLIC_ICE_SERVERS (see parseIceServers)
+ * @returns {Object} Voice session transport plus `connect`
+ */
+export const createWebRtcTransport = ({
+  url = DEFAULT_URL,
+  iceServers = ICE_SERVERS
+} = {}) => ({
+  name: 'webrtc',
+
+  audioFormat: AUDIO_FORMAT.TRACK,
+
+  // Nothing to set up before the peer connection - the server creates the session
+  open: async () => null,
+
+  // The agent closes the connection itself; the server cleans up when it goes
+  close: async () => {},
+
+  /**
+   * Open one peer connection
+   * @param {URLSearchParams} params - Query string (business, protocol version, resume ID...)
+   * @param {Object} handlers - As for the WebSocket transport, plus:
+   * @param {(stream: MediaStream) => void} handlers.onRemoteStream - Assistant audio track
+   * @param {Object} [options]
+   * @param {MediaStream | null} [options.stream] - Microphone to send; without one the call is receive-only
+   * @returns {Object} Connection - same shape as the WebSocket transport's
+   */
+  connect: (params, { onOpen, onMessage, onRemoteStream, onClose, onError }, { stream = null } = {}) => {
+    const pc = new RTCPeerConnection({ iceServers });
+    const channel = pc.createDataChannel(DATA_CHANNEL_LABEL);
+    let closed = false;
+    let micEnabled = true;
+
+    // Chrome only feeds a remote WebRTC stream into Web Audio while a media element plays it
+    const sink = new Audio();
+    sink.muted = true;
+
+    // Send a clone of the mic track, so muting what goes out leaves local meters and recording alone
+    const cloneMicTrack = (micStream) => {
+      const track = micStream?.getAudioTracks()[0]?.clone() || null;
+      if (track) track.enabled = micEnabled;
+      return track;
+    };
+
+    // Always negotiate a send track so a microphone picked later can be swapped in
+    const transceiver = pc.addTransceiver(cloneMicTrack(stream) || 'audio', { direction: 'sendrecv' });
+
+    const finish = (code) => {
+      if (closed) return;
+      closed = true;
+      channel.close();
+      transceiver.sender.track?.stop();
+      pc.close();
+      sink.srcObject = null;
+      onClose(code);
+    };
+
+    pc.ontrack = (event) => {
+      const [remoteStream] = event.streams.length > 0 ? event.streams : [new MediaStream([event.track])];
+      sink.srcObject = remoteStream;
+      sink.play().catch(() => {});
+      onRemoteStream(remoteStream);
+    };
+
+    pc.onconnectionstatechange = () => {
+      if (pc.connectionState === 'failed') {
+        finish(CLOSE_ABNORMAL);
+      }
+    };
+
+    channel.onopen = () => onOpen();
+    channel.onmessage = (event) => onMessage(event.data);
+    // A channel closed while the peer is still up means the server hung up on purpose
+    channel.onclose = () => finish(pc.connectionState === 'connected' ? CLOSE_NORMAL : CLOSE_ABNORMAL);
+    channel.onerror = (event) => onError(event.error || event);
+
+    // Offer/answer over HTTP
+    const negotiate = async () => {
+      const offer = await pc.createOffer();
+      await pc.setLocalDescription(offer);
+
+      let response;
+      try {
+        response = await fetch(`${url}?${params.toString()}`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ sdp: offer.sdp }),
+        });
+      } catch (error) {
+        onError(error);
+        finish(CLOSE_ABNORMAL);
+        return;
+      }
+
+      if (!response.ok) {
+        onError(new Error(`WebRTC signaling failed: ${response.status}`));
+        // Server errors may pass; a server that can't do WebRTC at all won't
+        finish(response.status >= 500 && response.status !== 501 ? CLOSE_ABNORMAL : CLOSE_NORMAL);
+        return;
+      }
+
+      const { sdp } = await response.json();
+      if (!closed) {
+        await pc.setRemoteDescription({ type: 'answer', sdp });
+      }
+    };
+
+    negotiate().catch((error) => {
+      onError(error);
+      finish(CLOSE_ABNORMAL);
+    });
+
+    return {
+      isOpen: () => !closed && channel.readyState === 'open',
+      send: (text) => channel.send(text),
+      // Mic audio travels on the media track, never as frames
+      sendAudio: () => {},
+      // Muting the track sends silence, which Opus turns into almost no traffic
+      setMicEnabled: (enabled) => {
+        micEnabled = enabled;
+        const track = transceiver.sender.track;
+        if (track) track.enabled = enabled;
+      },
+      replaceMicStream: async (nextStream) => {
+        const previous = transceiver.sender.track;
+        await transceiver.sender.replaceTrack(cloneMicTrack(nextStream));
+        previous?.stop();
+      },
+      close: (code = CLOSE_NORMAL) => finish(code),
+    };
+  },
+});
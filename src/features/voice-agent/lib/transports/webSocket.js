@@ -0,0 +1,74 @@
+/**
+ * WebSocket transport - one socket carries JSON control messages and binary PCM16 audio
+ * The server assigns the session ID in session_ready, so `open` returns null and the
+ * agent reports the ID once it arrives. Reconnection policy stays with the agent.
+ *
+ * Connection shape, shared with the WebRTC transport:
+ *   { isOpen(), send(text), sendAudio(frame), setMicEnabled(enabled), replaceMicStream(stream), close(code) }
+ */
+
+import { AUDIO_FORMAT } from '../realtimeProtocol';
+
+const DEFAULT_URL = process.env.NEXT_PUBLIC_API_URL
+  ? `${process.env.NEXT_PUBLIC_API_URL.replace('http', 'ws')}/realtime-ws`
+  : 'ws://localhost:3001/realtime-ws';
+
+/**
+ * Create a WebSocket transport
+ * @param {Object} [options]
+ * @param {string} [options.url] - Endpoint, defaults to the API server's /realtime-ws
+ * @returns {Object} Voice session transport plus `connect`
+ */
+export const createWebSocketTransport = ({ url = DEFAULT_URL } = {}) => ({
+  name: 'websocket',
+
+  // Offered in the connection query; the server confirms it (or base64) in session_ready
+  audioFormat: AUDIO_FORMAT.BINARY,
+
+  // Nothing to set up before the socket - the server creates the session
+  open: async () => null,
+
+  // The agent closes the socket itself; the server cleans up when it goes
+  close: async () => {},
+
+  /**
+   * Open one socket
+   * @param {URLSearchParams} params - Query string (business, protocol version, resume ID...)
+   * @param {Object} handlers
+   * @param {() => void} handlers.onOpen
+   * @param {(text: string) => void} handlers.onMessage - JSON control message
+   * @param {(pcm16: ArrayBuffer) => void} handlers.onAudio - Binary assistant audio
+   * @param {(code: number) => void} handlers.onClose
+   * @param {(error: Event) => void} handlers.onError
+   * @returns {Object} Connection - see the shape above
+   */
+  connect: (params, { onOpen, onMessage, onAudio, onClose, onError }) => {
+    const ws = new WebSocket(`${url}?${params.toString()}`);
+    ws.binaryType = 'arraybuffer';
+
+    ws.onopen = () => onOpen();
+    ws.onmessage = (event) => {
+      if (event.data instanceof ArrayBuffer) {
+        onAudio(event.data);
+      } else {
+        onMessage(event.data);
+      }
+    };
+    ws.onerror = (error) => onError(error);
+    ws.onclose = (event) => onClose(event.code);
+
+    return {
+      isOpen: () => ws.readyState === WebSocket.OPEN,
+      send: (text) => ws.send(text),
+      sendAudio: (frame) => ws.send(frame),
+      // Mic audio arrives through sendAudio, so the agent gates it frame by frame
+      setMicEnabled: () => {},
+      replaceMicStream: () => {},
+      close: (code = 1000) => {
+        if (ws.readyState <= WebSocket.OPEN) {
+          ws.close(code);
+        }
+      },
+    };
+  },
+});
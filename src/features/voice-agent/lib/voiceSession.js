@@ -0,0 +1,204 @@
+/**
+ * Voice Session - transport-independent core shared by every voice agent
+ * Owns what all agents have in common: the microphone stream (with a text-only
+ * fallback), the session ID, the status line and the conversation data the server
+ * reports back (contact details, booking progress, appointment, exchange count). How audio and text
+ * actually reach the server is the transport's job; the session only opens and
+ * closes it.
+ *
+ * Plain JS with a subscribe/getState store, so it works outside React; see
+ * hooks/useVoiceSession for the React binding.
+ *
+ * Transport shape (each transport adds its own methods for the agent that uses it):
+ *   { name, open: () => Promise<string | null>, close: (sessionId) => Promise<void> }
+ * `open` returns the session ID, or null when the server assigns one later.
+ */
+
+import { getMicrophoneStream } from './audioDevices';
+
+export const EMPTY_USER_INFO = { name: null, email: null, phone: null, collected: false };
+
+// Conversation data - reset at the start of every session
+const EMPTY_CONVERSATION = {
+  userInfo: EMPTY_USER_INFO,
+  calendarLink: null,
+  appointmentDetails: null,
+  booking: null,          // { details, confirmed } from the moment the agent starts scheduling
+  conversationCount: 0,
+};
+
+/**
+ * Client-generated session ID
+ * @param {string} prefix - e.g. 'vad-session'
+ * @returns {string}
+ */
+export const createSessionId = (prefix) =>
+  `${prefix}-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+
+/**
+ * Base64 body of a Blob (no data: URL prefix)
+ * @param {Blob} blob
+ * @returns {Promise<string>}
+ */
+export const blobToBase64 = (blob) => {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => {
+      const base64 = reader.result.split(',')[1];
+      resolve(base64);
+    };
+    reader.onerror = reject;
+    reader.readAsDataURL(blob);
+  });
+};
+
+/**
+ * Create a voice session
+ * @param {Object} options
+ * @param {Object} options.transport - See the transport shape above
+ * @param {boolean} [options.requireMicrophone] - Fail to start without a mic instead of falling back to text
+ * @param {string} [options.logTag] - Console tag, e.g. 'RealtimeWS'
+ */
+export const createVoiceSession = ({ transport, requireMicrophone = false, logTag = 'VoiceSession' }) => {
+  let state = {
+    sessionId: null,
+    status: 'Ready to start conversation',
+    micAvailable: true,
+    ...EMPTY_CONVERSATION,
+  };
+  let stream = null;
+  let currentTransport = transport;
+  const listeners = new Set();
+
+  const setState = (changes) => {
+    state = { ...state, ...changes };
+    listeners.forEach((listener) => listener(state));
+  };
+
+  /**
+   * @param {() => void} listener
+   * @returns {() => void} Unsubscribe
+   */
+  const subscribe = (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  };
+
+  const setStatus = (status) => {
+    setState({ status });
+    console.log(`📊 [${logTag}] Status:`, status);
+  };
+
+  /**
+   * Acquire the microphone, reset the conversation and open the transport
+   * @param {Object} [options]
+   * @param {string} [options.inputDeviceId] - '' for the system default
+   * @param {MediaTrackConstraints} [options.constraints]
+   * @returns {Promise<{ stream: MediaStream | null, sessionId: string | null }>}
+   * @throws {Error} When the microphone is required and unavailable, or the transport fails to open
+   */
+  const start = async ({ inputDeviceId = '', constraints = {} } = {}) => {
+    stream = null;
+    try {
+      stream = await getMicrophoneStream(inputDeviceId, constraints);
+    } catch (error) {
+      if (requireMicrophone) throw error;
+      console.warn(`⚠️ [${logTag}] Microphone unavailable, continuing with text input:`, error);
+    }
+
+    setState({ ...EMPTY_CONVERSATION, sessionId: null, micAvailable: Boolean(stream) });
+
+    const sessionId = await currentTransport.open();
+    if (sessionId) {
+      setState({ sessionId });
+      console.log(`✅ [${logTag}] Session started:`, sessionId);
+    }
+    return { stream, sessionId };
+  };
+
+  /**
+   * Release the microphone and close the transport
+   * @param {Object} [options]
+   * @param {string} [options.status] - Final status line
+   * @param {boolean} [options.keepConversation] - Keep contact/appointment data on screen (e.g. for export)
+   */
+  const stop = async ({ status = 'Conversation ended', keepConversation = false } = {}) => {
+    const { sessionId } = state;
+
+    stream?.getTracks().forEach((track) => track.stop());
+    stream = null;
+
+    setState({
+      ...(keepConversation ? {} : EMPTY_CONVERSATION),
+      sessionId: null,
+    });
+    setStatus(status);
+
+    try {
+      await currentTransport.close(sessionId);
+    } catch (error) {
+      console.error(`❌ [${logTag}] Failed to close session:`, error);
+    }
+  };
+
+  /**
+   * Swap in a new microphone stream; the caller stops the previous one once nothing uses it
+   * @param {MediaStream} nextStream
+   * @returns {MediaStream | null} The previous stream
+   */
+  const replaceStream = (nextStream) => {
+    const previous = stream;
+    stream = nextStream;
+    setState({ micAvailable: Boolean(nextStream) });
+    return previous;
+  };
+
+  /**
+   * Merge partial appointment data into the booking in progress, starting one if needed
+   * @param {Object} [details] - Whichever appointmentDetails fields the agent has gathered so far
+   */
+  const updateBooking = (details = {}) => {
+    const { booking } = state;
+    setState({
+      booking: {
+        details: { ...booking?.details, ...details },
+        confirmed: booking?.confirmed ?? false,
+      },
+    });
+  };
+
+  /**
+   * Apply the conversation fields of a server payload - whichever of them are present
+   * A full appointmentDetails means the booking went through.
+   * @param {{ userInfo?: Object, calendarLink?: string, appointmentDetails?: Object, conversationCount?: number }} data
+   */
+  const applyUpdate = (data) => {
+    const changes = {};
+    if (data.userInfo) changes.userInfo = data.userInfo;
+    if (data.calendarLink || data.appointmentDetails) {
+      changes.calendarLink = data.calendarLink ?? null;
+      changes.appointmentDetails = data.appointmentDetails ?? null;
+      if (data.appointmentDetails) {
+        changes.booking = { details: data.appointmentDetails, confirmed: true };
+      }
+    }
+    if (typeof data.conversationCount === 'number') changes.conversationCount = data.conversationCount;
+    if (Object.keys(changes).length > 0) setState(changes);
+  };
+
+  return {
+    subscribe,
+    getState: () => state,
+    getStream: () => stream,
+    getTransport: () => currentTransport,
+    setTransport: (nextTransport) => { currentTransport = nextTransport; },
+    start,
+    stop,
+    setStatus,
+    setSessionId: (sessionId) => setState({ sessionId }),
+    replaceStream,
+    updateBooking,
+    applyUpdate,
+    countExchange: () => setState({ conversationCount: state.conversationCount + 1 }),
+  };
+};
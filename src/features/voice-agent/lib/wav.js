@@ -0,0 +1,39 @@
+/**
+ * WAV - minimal PCM16 RIFF/WAVE encoder
+ */
+
+const writeString = (view, offset, text) => {
+  for (let i = 0; i < text.length; i++) {
+    view.setUint8(offset + i, text.charCodeAt(i));
+  }
+};
+
+/**
+ * Wrap interleaved PCM16 chunks in a WAV container
+ * @param {Array<ArrayBuffer|Int16Array>} chunks - Interleaved little-endian PCM16 data
+ * @param {Object} options
+ * @param {number} options.sampleRate
+ * @param {number} options.channelCount
+ * @returns {Blob}
+ */
+export const encodeWav = (chunks, { sampleRate, channelCount }) => {
+  const dataLength = chunks.reduce((total, chunk) => total + chunk.byteLength, 0);
+  const blockAlign = channelCount * 2;
+
+  const header = new DataView(new ArrayBuffer(44));
+  writeString(header, 0, 'RIFF');
+  header.setUint32(4, 36 + dataLength, true);
+  writeString(header, 8, 'WAVE');
+  writeString(header, 12, 'fmt ');
+  header.setUint32(16, 16, true);                       // fmt chunk size
+  header.setUint16(20, 1, true);                        // PCM
+  header.setUint16(22, channelCount, true);
+  header.setUint32(24, sampleRate, true);
+  header.setUint32(28, sampleRate * blockAlign, true);  // byte rate
+  header.setUint16(32, blockAlign, true);
+  header.setUint16(34, 16, true);                       // bits per sample
+  writeString(header, 36, 'data');
+  header.setUint32(40, dataLength, true);
+
+  return new Blob([header, ...chunks], { type: 'audio/wav' });
+};